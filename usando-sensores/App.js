@@ -11,7 +11,11 @@ import {
   Switch,
   StatusBar,
   SafeAreaView,
-  ActivityIndicator
+  ActivityIndicator,
+  TextInput,
+  Linking,
+  AppState,
+  Dimensions
 } from 'react-native';
 import { NavigationContainer, useNavigation, useRoute } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
@@ -21,11 +25,34 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { themes, translations, createStyles } from './assets/theme';
 
 import {
-
   startSensorServices,
   stopSensorServices,
   getSensorData,
   getSensorStatus,
+  startSensorRecording,
+  subscribeToSensor,
+  subscribeToSensorFrame,
+  getSensorHealth,
+  subscribeToSensorHealth,
+  HEALTH_STATUS,
+  SENSOR_NAMES,
+  startMagnetometerCalibration,
+  getMagnetometerCalibrationStatus,
+  startBiasCalibration,
+  isSensorBiasStale,
+  setSensorBias,
+  setSensorSamplingProfile,
+  getChallengeSensorRequirements,
+  SAMPLING_PROFILES,
+  setSensorDisplayRate,
+  getSensorDisplayRate,
+  DISPLAY_RATES,
+  getSensorPermissions,
+  requestSensorPermissions,
+  refreshSensorPermissions,
+  PERMISSION_STATUS,
+  setScreenRotation,
+  getScreenRotation,
   
   // Sound util
   initSoundService,
@@ -35,8 +62,13 @@ import {
   
   // Challenge utilities
   generateChallenge,
-  resetChallengeTracking,
-  verifyChallengeCompletion,
+  getDifficultyProfile,
+  getVerifierOptions,
+  getChallengeTypeStatus,
+  createChallengeVerifier,
+  startChallengeVerification,
+  scoreChallenge,
+  summarizeScores,
   CHALLENGE_TYPES,
   
   // Storage utilities
@@ -44,11 +76,24 @@ import {
   getHistory,
   clearHistory,
   getDifficultySettings,
-  setDifficultySettings,
+  setDifficultyProfile,
+  getStandardCustomThresholds,
+  getCustomThresholds,
+  stepCustomThreshold,
+  CUSTOM_THRESHOLD_LIMITS,
   getTheme,
   setTheme,
   getLanguage,
-  setLanguage
+  setLanguage,
+  saveSensorTrace,
+  getCompassSettings,
+  setCompassSettings,
+  saveMagnetometerCalibration,
+  getSavedMagnetometerCalibration,
+  clearMagnetometerCalibration,
+  getSavedSensorBias,
+  setSamplingProfile,
+  setDisplayRate
 } from './utils/utils';
 
 // ==================== CONTEXT API ====================
@@ -73,6 +118,28 @@ const AppProvider = ({ children }) => {
         const savedLanguage = await getLanguage();
         setLanguageState(savedLanguage);
         
+        // Apply the saved compass declination to the heading service
+        const compassSettings = await getCompassSettings();
+        await setCompassSettings(compassSettings);
+        
+        // Apply this device's magnetometer calibration, if there is one
+        const magCalibration = await getSavedMagnetometerCalibration();
+        if (magCalibration) {
+          await saveMagnetometerCalibration(magCalibration);
+        }
+        
+        // Apply the last measured gyroscope/accelerometer bias
+        setSensorBias(await getSavedSensorBias());
+        
+        // Apply the saved sampling profile and readout display rate
+        const { samplingProfile, displayRate } = await getDifficultySettings();
+        if (Object.values(SAMPLING_PROFILES).includes(samplingProfile)) {
+          setSensorSamplingProfile(samplingProfile);
+        }
+        if (DISPLAY_RATES.includes(displayRate)) {
+          setSensorDisplayRate(displayRate);
+        }
+        
         // Initialize sound service
         await initSoundService();
       } catch (error) {
@@ -85,6 +152,21 @@ const AppProvider = ({ children }) => {
     loadSettings();
   }, []);
   
+  // Keep the sensor axes on the screen's axes when it rotates
+  // React Native doesn't say which way a landscape screen is turned; device motion corrects it when running
+  useEffect(() => {
+    const applyScreenRotation = ({ window }) => {
+      const landscape = window.width > window.height;
+      if (landscape !== (getScreenRotation() % 180 === 90)) {
+        setScreenRotation(landscape ? 90 : 0);
+      }
+    };
+    
+    applyScreenRotation({ window: Dimensions.get('window') });
+    const subscription = Dimensions.addEventListener('change', applyScreenRotation);
+    return () => subscription.remove();
+  }, []);
+  
   // Change theme
   const changeTheme = async (newTheme) => {
     setThemeState(newTheme);
@@ -171,6 +253,9 @@ const HomeScreen = () => {
   const { styles, t, themeColors } = useApp();
   const [challengeCount, setChallengeCount] = useState(0);
   const [bestScore, setBestScore] = useState(0);
+  const [diagnostics, setDiagnostics] = useState(null);
+  
+  const diagnosticsSession = useRef(null);
 
   useEffect(() => {
     // Load stats when screen is focused
@@ -226,6 +311,73 @@ const HomeScreen = () => {
     // Call checkSensors once on mount
     checkSensors();
   }, []);
+  
+  // Stop the diagnostics when leaving the screen
+  useEffect(() => {
+    const unsubscribeBlur = navigation.addListener('blur', stopDiagnostics);
+    
+    return () => {
+      unsubscribeBlur();
+      stopDiagnostics();
+    };
+  }, [navigation]);
+  
+  // Run the motion sensors and poll how their streams are doing
+  const startDiagnostics = () => {
+    stopDiagnostics();
+    
+    const unsubscribe = subscribeToSensorFrame(() => {}, SENSOR_NAMES);
+    const interval = setInterval(() => {
+      setDiagnostics({ health: getSensorHealth(), status: getSensorStatus() });
+    }, 500);
+    
+    diagnosticsSession.current = { unsubscribe, interval };
+    setDiagnostics({ health: getSensorHealth(), status: getSensorStatus() });
+  };
+  
+  const stopDiagnostics = () => {
+    if (diagnosticsSession.current) {
+      diagnosticsSession.current.unsubscribe();
+      clearInterval(diagnosticsSession.current.interval);
+      diagnosticsSession.current = null;
+    }
+    setDiagnostics(null);
+  };
+  
+  const healthColors = {
+    [HEALTH_STATUS.OK]: themeColors.success,
+    [HEALTH_STATUS.DEGRADED]: themeColors.warning,
+    [HEALTH_STATUS.INVALID]: themeColors.danger,
+    [HEALTH_STATUS.STALLED]: themeColors.danger
+  };
+  
+  // Render the stream health of one sensor
+  const renderSensorHealth = (name) => {
+    const health = diagnostics.health[name];
+    const available = diagnostics.status[name];
+    const color = available ? healthColors[health.status] : themeColors.secondaryTextColor;
+    
+    return (
+      <View key={name} style={[styles.infoBox, { borderLeftWidth: 4, borderLeftColor: color }]}>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+          <Text style={styles.infoTitle}>{t(name)}</Text>
+          <Text style={[styles.infoText, { fontWeight: 'bold', color }]}>
+            {available ? t(`health_${health.status}`) : t('sensorUnavailable')}
+          </Text>
+        </View>
+        {available && (
+          <>
+            <Text style={styles.infoText}>
+              {t('sampleRate')}: {health.rate.toFixed(1)} / {health.expectedRate.toFixed(1)} Hz · {t('jitter')}: {health.jitter.toFixed(1)} ms
+            </Text>
+            <Text style={styles.infoText}>
+              {t('droppedFrames')}: {health.totals.dropped} · {t('invalidValues')}: {health.totals.invalid} · {t('saturatedValues')}: {health.totals.saturated}
+            </Text>
+          </>
+        )}
+      </View>
+    );
+  };
 
   return (
     <ScrollView style={styles.container}>
@@ -279,6 +431,25 @@ const HomeScreen = () => {
         </TouchableOpacity>
       </View>
       
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('sensorDiagnostics')}</Text>
+        <Text style={styles.text}>{t('diagnosticsDescription')}</Text>
+        
+        {diagnostics && (
+          <View style={{ marginTop: 10 }}>
+            {SENSOR_NAMES.map(renderSensorHealth)}
+          </View>
+        )}
+        
+        <TouchableOpacity 
+          style={[styles.secondaryButton, { marginTop: 10 }]} 
+          onPress={diagnostics ? stopDiagnostics : startDiagnostics}
+        >
+          <Ionicons name={diagnostics ? 'stop' : 'pulse'} size={24} color={themeColors.primary} />
+          <Text style={styles.secondaryButtonText}>{diagnostics ? t('stopDiagnostics') : t('runDiagnostics')}</Text>
+        </TouchableOpacity>
+      </View>
+      
       <View style={styles.card}>
         <Text style={styles.sectionTitle}>{t('aboutTitle')}</Text>
         <Text style={styles.text}>
@@ -306,6 +477,161 @@ const HomeScreen = () => {
 };
 
 // ==================== CHALLENGE SCREEN ====================
+// Localized instruction (results saved before the catalog kept the English text)
+const getChallengeInstruction = (challenge, t) => (
+  challenge.instructionKey ? t(challenge.instructionKey) : challenge.instruction
+);
+
+// Icon and card color of each challenge type (others, like old BASIC results, get the default)
+const CHALLENGE_TYPE_STYLES = {
+  RUN: { icon: 'walk', color: '#4e73df' },
+  ROTATE: { icon: 'sync', color: '#1cc88a' },
+  TILT: { icon: 'phone-portrait', color: '#f6c23e' },
+  DIRECTION: { icon: 'compass', color: '#e74a3b' },
+  SHAKE: { icon: 'pulse', color: '#fd7e14' },
+  JUMP: { icon: 'arrow-up-circle', color: '#36b9cc' },
+  BALANCE: { icon: 'body', color: '#6f42c1' },
+  SQUAT: { icon: 'barbell', color: '#20c997' },
+  COMBO: { icon: 'layers', color: '#5a5c69' }
+};
+const DEFAULT_CHALLENGE_TYPE_STYLE = { icon: 'help-circle', color: '#4e73df' };
+
+const getChallengeTypeStyle = (type) => CHALLENGE_TYPE_STYLES[type] || DEFAULT_CHALLENGE_TYPE_STYLE;
+
+// Challenge types played with the accelerometer readout on screen
+const ACCELEROMETER_CHALLENGE_TYPES = ['RUN', 'SHAKE', 'JUMP', 'BALANCE', 'SQUAT'];
+
+// Frame shared by the live sensor readouts
+const ReadoutCard = ({ icon, title, available, highlighted, first, children }) => {
+  const { styles, t, themeColors } = useApp();
+  
+  return (
+    <View style={[
+      styles.infoBox,
+      highlighted && { borderLeftWidth: 4, borderLeftColor: themeColors.primary },
+      !first && { marginTop: 10 }
+    ]}>
+      <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+        <Ionicons 
+          name={icon} 
+          size={18} 
+          color={available ? themeColors.primary : "#aaa"} 
+        />
+        <Text style={[
+          styles.infoTitle,
+          !available && { color: "#aaa" }
+        ]}>
+          {title}
+        </Text>
+      </View>
+      {available ? children : (
+        <Text style={[styles.infoText, { fontStyle: 'italic' }]}>
+          {t('sensorUnavailable')}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+// Readouts are memoized on the formatted values they show
+const AccelerometerReadout = React.memo(({ available, highlighted, movement }) => {
+  const { styles, t } = useApp();
+  
+  return (
+    <ReadoutCard icon="speedometer" title={t('accelerometer')} available={available} highlighted={highlighted} first>
+      <Text style={styles.infoText}>
+        {t('movement')}: {movement} m/s²
+      </Text>
+    </ReadoutCard>
+  );
+});
+
+const GyroscopeReadout = React.memo(({ available, highlighted, x, y, z, hasOrientation, pitch, roll, yaw, turned = null, turnDirection = null }) => {
+  const { styles, t } = useApp();
+  
+  return (
+    <ReadoutCard icon="sync" title={t('gyroscope')} available={available} highlighted={highlighted}>
+      <Text style={styles.infoText}>
+        {t('rotation')}: X:{x} Y:{y} Z:{z}
+      </Text>
+      {turned !== null && (
+        <Text style={[styles.infoText, { fontWeight: 'bold' }]}>
+          {t('angleTurned')}: {turned}° {turnDirection && t(turnDirection)}
+        </Text>
+      )}
+      {hasOrientation && (
+        <Text style={styles.infoText}>
+          {t('orientation')}: {t('pitch')} {pitch}° {t('roll')} {roll}° {t('yaw')} {yaw}°
+        </Text>
+      )}
+    </ReadoutCard>
+  );
+});
+
+const CompassReadout = React.memo(({ available, highlighted, heading }) => {
+  const { styles, t } = useApp();
+  
+  // Get direction name
+  const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW', 'N'];
+  const direction = directions[Math.round(heading / 45) % 8];
+  
+  return (
+    <ReadoutCard icon="compass" title={t('compass')} available={available} highlighted={highlighted}>
+      <Text style={styles.infoText}>
+        {t('heading')}: {heading}° {direction}
+      </Text>
+    </ReadoutCard>
+  );
+});
+
+// Stages of a combo: done, failed, being played or still to come, and the current one's instruction
+const StageIndicator = ({ stages, progress, color }) => {
+  const { styles, t } = useApp();
+  const stage = stages[progress.stage];
+  const stageTimeLeft = progress.stageTimeLimit
+    ? Math.max(0, Math.ceil(progress.stageTimeLimit - progress.stageElapsed))
+    : null;
+  
+  return (
+    <View style={{ marginBottom: 10 }}>
+      <View style={{ flexDirection: 'row', justifyContent: 'center' }}>
+        {stages.map((item, index) => {
+          const result = progress.stages[index];
+          const done = !!result && result.completed;
+          const failed = !!result && !result.completed;
+          
+          return (
+            <View
+              key={item.id}
+              style={{
+                width: 32,
+                height: 32,
+                borderRadius: 16,
+                marginHorizontal: 4,
+                justifyContent: 'center',
+                alignItems: 'center',
+                backgroundColor: done ? 'white' : 'rgba(255,255,255,0.2)',
+                borderWidth: 2,
+                borderColor: index === progress.stage && !done ? 'white' : 'transparent'
+              }}
+            >
+              <Ionicons
+                name={failed ? 'close' : getChallengeTypeStyle(item.type).icon}
+                size={16}
+                color={done ? color : 'white'}
+              />
+            </View>
+          );
+        })}
+      </View>
+      <Text style={[styles.challengeHint, { marginTop: 8 }]}>
+        {t('stage')} {progress.stage + 1}/{stages.length}: {getChallengeInstruction(stage, t)}
+        {stageTimeLeft !== null ? ` (${stageTimeLeft} s)` : ''}
+      </Text>
+    </View>
+  );
+};
+
 const ChallengeScreen = () => {
   const navigation = useNavigation();
   const { styles, t, themeColors } = useApp();
@@ -316,19 +642,41 @@ const ChallengeScreen = () => {
   const [sensorData, setSensorData] = useState({
     accelerometer: { x: 0, y: 0, z: 0 },
     gyroscope: { x: 0, y: 0, z: 0 },
-    magnetometer: { x: 0, y: 0, z: 0 }
+    magnetometer: { x: 0, y: 0, z: 0 },
+    gravity: { x: 0, y: 0, z: 0 },
+    linearAcceleration: { x: 0, y: 0, z: 0 },
+    orientation: { pitch: 0, roll: 0, yaw: 0 },
+    heading: { heading: 0 }
   });
   const [sessionChallenges, setSessionChallenges] = useState([]);
+  const [holdStill, setHoldStill] = useState(null);
+  const [sensorHealthIssue, setSensorHealthIssue] = useState(null);
+  const [lockedChallenges, setLockedChallenges] = useState([]);
   
   // References
   const timerRef = useRef(null);
   const challengeTimeout = useRef(null);
+  const sensorSubscription = useRef(null);
+  const sensorRecording = useRef(null);
+  const driftPrompted = useRef(false);
+  const biasCalibration = useRef(null);
+  const challengeVerifier = useRef(null);
+  const streak = useRef(0);
+  const difficultyProfile = useRef(getDifficultyProfile());
+  
+  // The verification callback outlives the render it was made in; it reads the clock from here
+  const timeLeftRef = useRef(0);
+  useEffect(() => {
+    timeLeftRef.current = timeLeft;
+  }, [timeLeft]);
   
   // Reset everything when the screen first loads
   useEffect(() => {
     // Set up navigation listeners
     const unsubscribeBlur = navigation.addListener('blur', () => {
+      cancelHoldStill();
       pauseChallenge();
+      stopRecording();
       stopSensors();
     });
     
@@ -341,6 +689,8 @@ const ChallengeScreen = () => {
     
     return () => {
       // Clean up everything on unmount
+      cancelHoldStill();
+      stopRecording();
       stopSensors();
       clearTimeout(timerRef.current);
       clearTimeout(challengeTimeout.current);
@@ -349,79 +699,220 @@ const ChallengeScreen = () => {
     };
   }, [navigation]);
   
+  // Check the permissions again when coming back from the system settings
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', async (state) => {
+      if (state === 'active') {
+        await refreshSensorPermissions();
+        updateLockedChallenges();
+      }
+    });
+    
+    return () => subscription.remove();
+  }, []);
+  
   // Start new challenge session
-  const startNewSession = () => {
+  const startNewSession = async () => {
+    driftPrompted.current = false;
+    streak.current = 0;
     setScore(0);
     setSessionChallenges([]);
+    
+    // The difficulty set in the settings holds for the whole session
+    difficultyProfile.current = getDifficultyProfile(await getDifficultySettings());
+    
+    // Challenges are picked from the sensors the user allowed
+    await refreshSensorPermissions();
+    await askForSensorPermissions();
+    updateLockedChallenges();
     generateNewChallenge();
+    
+    // Measure the sensor bias first if it's missing or old
+    if (isSensorBiasStale()) {
+      startHoldStill();
+    }
+  };
+  
+  // Explain why the motion sensors are needed, then ask for the ones not decided yet
+  // Sensors the user refused before aren't asked for again (they can be allowed in the settings)
+  const askForSensorPermissions = () => new Promise((resolve) => {
+    const sensorStatus = getSensorStatus();
+    const permissions = getSensorPermissions();
+    const pending = SENSOR_NAMES.filter((name) => (
+      sensorStatus[name] && permissions[name].status === PERMISSION_STATUS.UNDETERMINED
+    ));
+    
+    if (pending.length === 0) {
+      resolve();
+      return;
+    }
+    
+    Alert.alert(
+      t('permissionTitle'),
+      `${t('permissionIntro')}\n\n${pending.map((name) => `- ${t(name)}: ${t(`permissionReason_${name}`)}`).join('\n')}`,
+      [
+        { text: t('notNow'), style: 'cancel', onPress: resolve },
+        { text: t('allow'), onPress: () => requestSensorPermissions(pending).then(resolve, resolve) }
+      ],
+      { cancelable: false }
+    );
+  });
+  
+  const updateLockedChallenges = () => {
+    setLockedChallenges(getChallengeTypeStatus().filter((status) => status.locked));
+  };
+  
+  // "Hold still" step: measures the gyroscope/accelerometer bias
+  const startHoldStill = () => {
+    cancelHoldStill();
+    setHoldStill({ atRest: false, progress: 0 });
+    
+    biasCalibration.current = startBiasCalibration((result) => {
+      if (result.bias) {
+        biasCalibration.current = null;
+        setHoldStill(null);
+      } else {
+        setHoldStill(result);
+      }
+    });
+  };
+  
+  // Leave the "hold still" step (the previous bias stays in use)
+  const cancelHoldStill = () => {
+    if (biasCalibration.current) {
+      biasCalibration.current.cancel();
+      biasCalibration.current = null;
+    }
+    setHoldStill(null);
   };
   
-  // Watch for completed challenges
+  // Watch for completed challenges (verified on the sensor stream, not on rendered state)
   useEffect(() => {
     if (!isPaused && challenge) {
-      const checkCompletionInterval = setInterval(() => {
-        const sensorState = getSensorData();
-        setSensorData(sensorState);
-        
-        // Verify completion
-        const result = verifyChallengeCompletion(challenge, sensorState);
+      // The challenge's own verifier, so pausing keeps the progress made so far
+      const stopVerification = startChallengeVerification(challenge, (result) => {
+        // A combo stage that ran out of time fails the whole challenge
+        if (result.failed) {
+          challengeFailed();
+          return;
+        }
         
-        if (result.completed) {
-          // Challenge completed
-          const points = Math.round(result.performance * 100);
-          challengeCompleted(points);
-          clearInterval(checkCompletionInterval);
+        // Challenge completed
+        challengeCompleted(result);
+      }, { verifier: challengeVerifier.current });
+      
+      // The compass can't be trusted once the field drifts from the calibration
+      const usesCompass = challenge.type === CHALLENGE_TYPES.DIRECTION ||
+        (challenge.stages || []).some((stage) => stage.type === CHALLENGE_TYPES.DIRECTION);
+      const driftCheckInterval = usesCompass ? setInterval(() => {
+        if (!driftPrompted.current && getMagnetometerCalibrationStatus().drifting) {
+          driftPrompted.current = true;
+          promptRecalibration();
         }
-      }, 100);
+      }, 1000) : null;
       
       return () => {
-        clearInterval(checkCompletionInterval);
+        stopVerification();
+        clearInterval(driftCheckInterval);
       };
     }
   }, [isPaused, challenge]);
   
-  // Start sensor services
-  const startSensors = async () => {
+  // Pause when a sensor the challenge needs stops delivering usable readings
+  useEffect(() => {
+    if (isPaused || !challenge) return;
+    
+    const { sensors } = getChallengeSensorRequirements(challenge);
+    const unsubscribe = subscribeToSensorHealth((event) => {
+      if (!sensors.includes(event.sensor)) return;
+      
+      if (event.status === HEALTH_STATUS.OK) {
+        setSensorHealthIssue(null);
+        return;
+      }
+      
+      setSensorHealthIssue(event);
+      
+      if (event.status === HEALTH_STATUS.STALLED || event.status === HEALTH_STATUS.INVALID) {
+        pauseChallenge();
+        Alert.alert(
+          t('sensorProblemTitle'),
+          `${t(event.sensor)}: ${t(`healthMessage_${event.status}`)}\n\n${t('sensorProblemPaused')}`,
+          [{ text: "OK" }]
+        );
+      }
+    });
+    
+    return unsubscribe;
+  }, [isPaused, challenge]);
+  
+  // Start the sensors the challenge needs
+  const startSensors = async (activeChallenge) => {
     try {
-      // Start sensors and get initial readings
-      await startSensorServices((data) => {
+      setSensorHealthIssue(null);
+      
+      // Start sensors; the readouts get coalesced frames at the display rate (drop any previous subscription first)
+      if (sensorSubscription.current) {
+        stopSensorServices(sensorSubscription.current);
+        sensorSubscription.current = null;
+      }
+      sensorSubscription.current = await startSensorServices((data) => {
         setSensorData(data);
-      });
+      }, activeChallenge, { throttle: 1000 / getSensorDisplayRate() });
       
       // Play sound to indicate start
       playSound(SOUND_TYPES.CHALLENGE_START);
       
     } catch (error) {
       console.error('Failed to start sensors:', error);
-      Alert.alert('Error', 'Failed to access device sensors');
+      Alert.alert(
+        t('sensorAccessFailedTitle'),
+        t('sensorAccessFailedMessage'),
+        [
+          { text: "OK", style: 'cancel' },
+          { text: t('openSettings'), onPress: () => Linking.openSettings() }
+        ]
+      );
     }
   };
   
   // Stop sensor services
   const stopSensors = async () => {
-    stopSensorServices();
+    if (sensorSubscription.current) {
+      stopSensorServices(sensorSubscription.current);
+      sensorSubscription.current = null;
+    }
+  };
+  
+  // Offer to recalibrate the compass (once per session)
+  const promptRecalibration = () => {
+    Alert.alert(
+      t('recalibrateTitle'),
+      t('recalibrateMessage'),
+      [
+        { text: t('later'), style: 'cancel' },
+        { text: t('calibrate'), onPress: () => navigation.navigate('Calibration') }
+      ]
+    );
+  };
+  
+  // Stop recording the current attempt and return its trace
+  const stopRecording = () => {
+    if (!sensorRecording.current) return null;
+    
+    const trace = sensorRecording.current.stop();
+    sensorRecording.current = null;
+    return trace;
   };
   
   // Generate a new challenge
   const generateNewChallenge = () => {
-    resetChallengeTracking();
-    const newChallenge = generateChallenge();
+    const newChallenge = generateChallenge(difficultyProfile.current);
+    challengeVerifier.current = createChallengeVerifier(newChallenge, getVerifierOptions(difficultyProfile.current));
     setChallenge(newChallenge);
     
-    // Set time limit based on challenge type
-    let timeLimit = 15; // Default
-    
-    if (newChallenge.type === CHALLENGE_TYPES.RUN) {
-      timeLimit = 10;
-    } else if (newChallenge.type === CHALLENGE_TYPES.ROTATE) {
-      timeLimit = 8;
-    } else if (newChallenge.type === CHALLENGE_TYPES.TILT) {
-      timeLimit = 6;
-    } else if (newChallenge.type === CHALLENGE_TYPES.DIRECTION) {
-      timeLimit = 8;
-    }
-    
-    setTimeLeft(timeLimit);
+    // Each catalog entry sets its own time limit (scaled by the difficulty)
+    setTimeLeft(newChallenge.timeLimit);
     
     // Initially set to paused state
     setIsPaused(true);
@@ -430,7 +921,12 @@ const ChallengeScreen = () => {
   // Start challenge timer
   const startChallenge = async () => {
     // Start sensors
-    await startSensors();
+    await startSensors(challenge);
+    
+    // Record the attempt so a failed one can be replayed later
+    if (!sensorRecording.current) {
+      sensorRecording.current = startSensorRecording(getChallengeSensorRequirements(challenge).sensors);
+    }
     
     setIsPaused(false);
     
@@ -454,26 +950,46 @@ const ChallengeScreen = () => {
     clearInterval(timerRef.current);
   };
   
+  // How each stage of a combo went, to save with the challenge (stages never reached have no result)
+  const getStageResults = () => {
+    if (!challenge.stages || !challengeVerifier.current) return {};
+    
+    const { stages } = challengeVerifier.current.getProgress();
+    return { stages: challenge.stages.map((stage, index) => ({ ...stage, ...stages[index] })) };
+  };
+  
   // Handle challenge completion
-  const challengeCompleted = (points) => {
+  const challengeCompleted = (result) => {
     // Stop timer
     clearInterval(timerRef.current);
     setIsPaused(true);
+    stopRecording();
     
     // Play success sound
     playSound(SOUND_TYPES.CHALLENGE_COMPLETE);
     
+    // Completion, precision, time left and the streak make up the points
+    const scoring = scoreChallenge(challenge, {
+      result,
+      progress: challengeVerifier.current ? challengeVerifier.current.getProgress() : {},
+      timeLeft: timeLeftRef.current,
+      streak: streak.current
+    });
+    streak.current = scoring.streak;
+    
     // Add to session score
-    setScore((prevScore) => prevScore + points);
+    setScore((prevScore) => prevScore + scoring.total);
     
     // Add to session challenges
     setSessionChallenges((prev) => [
       ...prev,
       { 
         ...challenge, 
+        ...getStageResults(),
         completed: true, 
-        score: points,
-        timeLeft
+        score: scoring.total,
+        scoring,
+        timeLeft: timeLeftRef.current
       }
     ]);
     
@@ -486,16 +1002,29 @@ const ChallengeScreen = () => {
   
   // Handle challenge failure
   const challengeFailed = () => {
+    // Stop timer (a combo stage can fail before the time is up)
+    clearInterval(timerRef.current);
+    setIsPaused(true);
+    
     // Play failure sound
     playSound(SOUND_TYPES.CHALLENGE_FAIL);
+    streak.current = 0;
+    
+    // Keep the failed attempt for bug reports
+    const trace = stopRecording();
+    if (trace) {
+      saveSensorTrace(trace, challenge).catch(() => {});
+    }
     
     // Add to session challenges
     setSessionChallenges((prev) => [
       ...prev,
       { 
         ...challenge, 
+        ...getStageResults(),
         completed: false, 
         score: 0,
+        scoring: scoreChallenge(challenge),
         timeLeft: 0
       }
     ]);
@@ -511,14 +1040,18 @@ const ChallengeScreen = () => {
   const skipChallenge = () => {
     // Stop timer
     clearInterval(timerRef.current);
+    stopRecording();
+    streak.current = 0;
     
     // Add to session challenges (as skipped)
     setSessionChallenges((prev) => [
       ...prev,
       { 
         ...challenge, 
+        ...getStageResults(),
         completed: false, 
         score: 0,
+        scoring: scoreChallenge(challenge),
         timeLeft,
         skipped: true
       }
@@ -534,6 +1067,7 @@ const ChallengeScreen = () => {
     clearInterval(timerRef.current);
     clearTimeout(challengeTimeout.current);
     setIsPaused(true);
+    stopRecording();
     stopSensors();
     
     // Save session if challenges were completed
@@ -580,136 +1114,78 @@ const ChallengeScreen = () => {
     }
   };
   
-  // Render the sensor display component
+  // Progress of the current challenge (redrawn with every sensor update)
+  const challengeProgress = challenge && challengeVerifier.current ? challengeVerifier.current.getProgress() : null;
+  
+  // The stage being played and its progress for combos, the challenge itself otherwise
+  const activeChallenge = challenge && challenge.stages && challengeProgress
+    ? challenge.stages[challengeProgress.stage]
+    : challenge;
+  const activeProgress = challengeProgress && challengeProgress.stageProgress
+    ? challengeProgress.stageProgress
+    : challengeProgress;
+  
+  // Render the live readouts for the active challenge
   const renderSensorDisplay = () => {
     if (!sensorData) return null;
     
-    const { accelerometer, gyroscope, magnetometer } = sensorData;
+    const { gyroscope, linearAcceleration, orientation, heading } = sensorData;
     
     // Determine which sensors to display based on the active challenge
-    const showAccelerometer = !challenge || ['RUN'].includes(challenge.type);
-    const showGyroscope = !challenge || ['ROTATE', 'TILT'].includes(challenge.type);
-    const showMagnetometer = !challenge || ['DIRECTION'].includes(challenge.type);
+    const showAccelerometer = !activeChallenge || ACCELEROMETER_CHALLENGE_TYPES.includes(activeChallenge.type);
+    const showGyroscope = !activeChallenge || ['ROTATE', 'TILT'].includes(activeChallenge.type);
+    const showMagnetometer = !activeChallenge || ['DIRECTION'].includes(activeChallenge.type);
     
     // Get sensor status
     const sensorStatus = getSensorStatus();
     
-    // Format data for display
+    // Angle turned so far (clockwise positive), as the challenge's verifier integrated it
+    const rotation = activeChallenge && activeChallenge.type === CHALLENGE_TYPES.ROTATE ? activeProgress : null;
+    const turned = rotation ? Math.abs(rotation.angle).toFixed(0) : null;
+    const turnDirection = rotation && Math.round(rotation.angle) !== 0
+      ? (rotation.angle > 0 ? 'clockwise' : 'counterClockwise')
+      : null;
+    
+    // Format data for display (movement excludes gravity)
     const accMagnitude = Math.sqrt(
-      Math.pow(accelerometer.x, 2) + 
-      Math.pow(accelerometer.y, 2) + 
-      Math.pow(accelerometer.z, 2)
+      Math.pow(linearAcceleration.x, 2) + 
+      Math.pow(linearAcceleration.y, 2) + 
+      Math.pow(linearAcceleration.z, 2)
     ).toFixed(2);
     
-    const gyroX = gyroscope.x.toFixed(2);
-    const gyroY = gyroscope.y.toFixed(2);
-    const gyroZ = gyroscope.z.toFixed(2);
-    
-    const heading = Math.atan2(magnetometer.y, magnetometer.x) * (180 / Math.PI);
-    const normalizedHeading = (heading < 0 ? heading + 360 : heading).toFixed(0);
-    
-    // Get direction name
-    const getDirectionName = (heading) => {
-      const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW', 'N'];
-      return directions[Math.round(heading / 45) % 8];
-    };
-    
-    const direction = getDirectionName(normalizedHeading);
-    
+    // Readouts only get the rounded values they show, so they skip redraws when those don't change
     return (
       <View style={{ marginTop: 20, paddingHorizontal: 20 }}>
         {showAccelerometer && (
-          <View style={[
-            styles.infoBox,
-            challenge && challenge.type === 'RUN' && { borderLeftWidth: 4, borderLeftColor: themeColors.primary }
-          ]}>
-            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-              <Ionicons 
-                name="speedometer" 
-                size={18} 
-                color={sensorStatus.accelerometer ? themeColors.primary : "#aaa"} 
-              />
-              <Text style={[
-                styles.infoTitle,
-                !sensorStatus.accelerometer && { color: "#aaa" }
-              ]}>
-                {t('accelerometer')}
-              </Text>
-            </View>
-            {sensorStatus.accelerometer ? (
-              <Text style={styles.infoText}>
-                {t('movement')}: {accMagnitude}
-              </Text>
-            ) : (
-              <Text style={[styles.infoText, { fontStyle: 'italic' }]}>
-                {t('sensorUnavailable')}
-              </Text>
-            )}
-          </View>
+          <AccelerometerReadout
+            available={sensorStatus.accelerometer}
+            highlighted={!!activeChallenge && ACCELEROMETER_CHALLENGE_TYPES.includes(activeChallenge.type)}
+            movement={accMagnitude}
+          />
         )}
         
         {showGyroscope && (
-          <View style={[
-            styles.infoBox,
-            challenge && 
-            (challenge.type === 'ROTATE' || challenge.type === 'TILT') && 
-            { borderLeftWidth: 4, borderLeftColor: themeColors.primary },
-            { marginTop: 10 }
-          ]}>
-            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-              <Ionicons 
-                name="sync" 
-                size={18} 
-                color={sensorStatus.gyroscope ? themeColors.primary : "#aaa"} 
-              />
-              <Text style={[
-                styles.infoTitle,
-                !sensorStatus.gyroscope && { color: "#aaa" }
-              ]}>
-                {t('gyroscope')}
-              </Text>
-            </View>
-            {sensorStatus.gyroscope ? (
-              <Text style={styles.infoText}>
-                {t('rotation')}: X:{gyroX} Y:{gyroY} Z:{gyroZ}
-              </Text>
-            ) : (
-              <Text style={[styles.infoText, { fontStyle: 'italic' }]}>
-                {t('sensorUnavailable')}
-              </Text>
-            )}
-          </View>
+          <GyroscopeReadout
+            available={sensorStatus.gyroscope}
+            highlighted={!!activeChallenge && (activeChallenge.type === 'ROTATE' || activeChallenge.type === 'TILT')}
+            x={gyroscope.x.toFixed(2)}
+            y={gyroscope.y.toFixed(2)}
+            z={gyroscope.z.toFixed(2)}
+            hasOrientation={orientation.timestamp > 0}
+            pitch={orientation.pitch.toFixed(0)}
+            roll={orientation.roll.toFixed(0)}
+            yaw={orientation.yaw.toFixed(0)}
+            turned={turned}
+            turnDirection={turnDirection}
+          />
         )}
         
         {showMagnetometer && (
-          <View style={[
-            styles.infoBox,
-            challenge && challenge.type === 'DIRECTION' && { borderLeftWidth: 4, borderLeftColor: themeColors.primary },
-            { marginTop: 10 }
-          ]}>
-            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-              <Ionicons 
-                name="compass" 
-                size={18} 
-                color={sensorStatus.magnetometer ? themeColors.primary : "#aaa"} 
-              />
-              <Text style={[
-                styles.infoTitle,
-                !sensorStatus.magnetometer && { color: "#aaa" }
-              ]}>
-                {t('compass')}
-              </Text>
-            </View>
-            {sensorStatus.magnetometer ? (
-              <Text style={styles.infoText}>
-                {t('heading')}: {normalizedHeading}° {direction}
-              </Text>
-            ) : (
-              <Text style={[styles.infoText, { fontStyle: 'italic' }]}>
-                {t('sensorUnavailable')}
-              </Text>
-            )}
-          </View>
+          <CompassReadout
+            available={sensorStatus.magnetometer}
+            highlighted={!!activeChallenge && activeChallenge.type === 'DIRECTION'}
+            heading={heading.heading.toFixed(0)}
+          />
         )}
       </View>
     );
@@ -721,6 +1197,12 @@ const ChallengeScreen = () => {
         <View style={{ alignItems: 'center' }}>
           <Text style={{ fontSize: 12, color: themeColors.secondaryTextColor }}>{t('score')}</Text>
           <Text style={{ fontSize: 24, fontWeight: 'bold', color: themeColors.primary }}>{score}</Text>
+          {streak.current > 1 && (
+            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <Ionicons name="flame" size={12} color="#fd7e14" />
+              <Text style={{ fontSize: 12, color: '#fd7e14', marginLeft: 2 }}>{t('streak')} {streak.current}</Text>
+            </View>
+          )}
         </View>
         
         <View style={styles.timerContainer}>
@@ -740,10 +1222,7 @@ const ChallengeScreen = () => {
         {challenge && (
           <View style={[
             styles.challengeCard,
-            { backgroundColor: challenge.type === 'RUN' ? '#4e73df' : 
-                             challenge.type === 'ROTATE' ? '#1cc88a' : 
-                             challenge.type === 'TILT' ? '#f6c23e' : 
-                             challenge.type === 'DIRECTION' ? '#e74a3b' : '#4e73df' }
+            { backgroundColor: getChallengeTypeStyle(challenge.type).color }
           ]}>
             <View style={{ 
               width: 80, 
@@ -755,22 +1234,101 @@ const ChallengeScreen = () => {
               marginBottom: 15 
             }}>
               <Ionicons 
-                name={challenge.type === 'RUN' ? 'walk' : 
-                      challenge.type === 'ROTATE' ? 'sync' : 
-                      challenge.type === 'TILT' ? 'phone-portrait' : 
-                      challenge.type === 'DIRECTION' ? 'compass' : 'help-circle'} 
+                name={getChallengeTypeStyle(challenge.type).icon} 
                 size={40} 
                 color="white" 
               />
             </View>
-            <Text style={styles.challengeText}>{challenge.instruction}</Text>
-            {challenge.hint && (
-              <Text style={styles.challengeHint}>{challenge.hint}</Text>
+            <Text style={styles.challengeText}>{getChallengeInstruction(challenge, t)}</Text>
+            {challenge.hintKey && (
+              <Text style={styles.challengeHint}>{t(challenge.hintKey)}</Text>
             )}
+            {challengeProgress && (
+              <View style={{ alignSelf: 'stretch', marginTop: 15 }}>
+                {challenge.stages && (
+                  <StageIndicator
+                    stages={challenge.stages}
+                    progress={challengeProgress}
+                    color={getChallengeTypeStyle(challenge.type).color}
+                  />
+                )}
+                <View style={{ height: 8, borderRadius: 4, backgroundColor: 'rgba(255,255,255,0.3)', overflow: 'hidden' }}>
+                  <View style={{ height: 8, width: `${Math.round(challengeProgress.progress * 100)}%`, backgroundColor: 'white' }} />
+                </View>
+                {activeProgress.hold && (
+                  <Text style={[styles.challengeHint, { marginTop: 5 }]}>
+                    {t('timeHeld')}: {activeProgress.hold.held.toFixed(1)} / {activeProgress.hold.duration} s
+                  </Text>
+                )}
+                {activeChallenge.type === 'JUMP' && activeProgress.airtime !== null && (
+                  <Text style={[styles.challengeHint, { marginTop: 5 }]}>
+                    {t('lastJump')}: {activeProgress.airtime} ms, {activeProgress.height.toFixed(0)} cm
+                  </Text>
+                )}
+                {activeChallenge.type === 'SQUAT' && (
+                  <Text style={[styles.challengeHint, { marginTop: 5 }]}>
+                    {t('squatsDone')}: {activeProgress.squats} / {activeProgress.target}
+                  </Text>
+                )}
+              </View>
+            )}
+          </View>
+        )}
+        
+        {sensorHealthIssue && (
+          <View style={[styles.infoBox, { marginTop: 15, borderLeftWidth: 4, borderLeftColor: sensorHealthIssue.status === HEALTH_STATUS.DEGRADED ? themeColors.warning : themeColors.danger }]}>
+            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <Ionicons name="warning" size={18} color={themeColors.warning} />
+              <Text style={styles.infoTitle}>{t(sensorHealthIssue.sensor)}: {t(`health_${sensorHealthIssue.status}`)}</Text>
+            </View>
+            <Text style={styles.infoText}>{t(`healthMessage_${sensorHealthIssue.status}`)}</Text>
+          </View>
+        )}
+        
+        {lockedChallenges.length > 0 && (
+          <View style={[styles.infoBox, { marginTop: 15, borderLeftWidth: 4, borderLeftColor: themeColors.warning }]}>
+            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <Ionicons name="lock-closed" size={18} color={themeColors.warning} />
+              <Text style={styles.infoTitle}>{t('challengesLocked')}</Text>
+            </View>
+            {lockedChallenges.map((status) => (
+              <Text key={status.type} style={styles.infoText}>
+                {t(`challengeType_${status.type}`)}: {status.lockedSensors.map((name) => t(name)).join(', ')}
+              </Text>
+            ))}
+            <Text style={[styles.infoText, { marginTop: 5 }]}>{t('challengesLockedMessage')}</Text>
+            <TouchableOpacity 
+              style={[styles.secondaryButton, { marginTop: 10 }]} 
+              onPress={() => Linking.openSettings()}
+            >
+              <Ionicons name="settings" size={24} color={themeColors.primary} />
+              <Text style={styles.secondaryButtonText}>{t('openSettings')}</Text>
+            </TouchableOpacity>
           </View>
         )}
       </View>
       
+      {holdStill ? (
+        <View style={[styles.infoBox, { marginHorizontal: 20 }]}>
+          <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+            <Ionicons name="hand-left" size={18} color={themeColors.primary} />
+            <Text style={styles.infoTitle}>{t('holdStill')}</Text>
+          </View>
+          <Text style={styles.infoText}>
+            {holdStill.atRest ? t('holdStillMeasuring') : t('holdStillInstructions')}
+          </Text>
+          <View style={{ height: 10, borderRadius: 5, backgroundColor: themeColors.border, marginTop: 10, overflow: 'hidden' }}>
+            <View style={{ height: 10, width: `${Math.round(holdStill.progress * 100)}%`, backgroundColor: themeColors.primary }} />
+          </View>
+          <TouchableOpacity 
+            style={[styles.secondaryButton, { marginTop: 15 }]} 
+            onPress={cancelHoldStill}
+          >
+            <Ionicons name="arrow-forward" size={24} color={themeColors.secondaryTextColor} />
+            <Text style={[styles.secondaryButtonText, { color: themeColors.secondaryTextColor }]}>{t('challengeSkip')}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
       <View style={{ flexDirection: 'row', paddingHorizontal: 20 }}>
         {isPaused ? (
           <TouchableOpacity 
@@ -798,6 +1356,7 @@ const ChallengeScreen = () => {
           <Text style={[styles.secondaryButtonText, { color: themeColors.secondaryTextColor }]}>{t('challengeSkip')}</Text>
         </TouchableOpacity>
       </View>
+      )}
       
       {renderSensorDisplay()}
     </View>
@@ -805,6 +1364,19 @@ const ChallengeScreen = () => {
 };
 
 // ==================== RESULT SCREEN ====================
+// How the points were earned: "Completion 50 · Precision 42 · Speed 18 · Streak +22"
+const formatScoreBreakdown = (scoring, t) => [
+  `${t('scoreCompletion')} ${scoring.completion}`,
+  `${t('scorePrecision')} ${scoring.precision}`,
+  `${t('scoreSpeed')} ${scoring.speed}`,
+  ...(scoring.streakBonus > 0 ? [`${t('streak')} +${scoring.streakBonus}`] : [])
+].join(' · ');
+
+// What the precision was measured on, e.g. "Heading error 4°" (empty for most types)
+const formatPrecisionDetails = (details = {}, t) => Object.entries(details)
+  .map(([name, degrees]) => `${t(name)} ${degrees.toFixed(0)}°`)
+  .join(' · ');
+
 const ResultScreen = () => {
   const navigation = useNavigation();
   const route = useRoute();
@@ -861,20 +1433,7 @@ const ResultScreen = () => {
   // Render a result item row
   const ResultItemRow = ({ challenge }) => {
     // Get icon based on challenge type
-    const getIcon = () => {
-      switch (challenge.type) {
-        case 'RUN':
-          return 'walk';
-        case 'ROTATE':
-          return 'sync';
-        case 'TILT':
-          return 'phone-portrait';
-        case 'DIRECTION':
-          return 'compass';
-        default:
-          return 'help-circle';
-      }
-    };
+    const getIcon = () => getChallengeTypeStyle(challenge.type).icon;
     
     // Get status icon based on completion
     const getStatusIcon = () => {
@@ -909,14 +1468,49 @@ const ResultScreen = () => {
           <Ionicons name={getIcon()} size={20} color={themeColors.primary} />
         </View>
         <View style={{ flex: 1 }}>
-          <Text style={{ fontSize: 14, color: themeColors.textColor }}>{challenge.instruction}</Text>
+          <Text style={{ fontSize: 14, color: themeColors.textColor }}>{getChallengeInstruction(challenge, t)}</Text>
           {challenge.skipped ? (
             <Text style={{ fontSize: 12, color: '#858796' }}>{t('skipped')}</Text>
           ) : challenge.completed ? (
-            <Text style={{ fontSize: 12, color: '#1cc88a', fontWeight: 'bold' }}>+{challenge.score} pts</Text>
+            <View>
+              <Text style={{ fontSize: 12, color: '#1cc88a', fontWeight: 'bold' }}>
+                +{challenge.score} pts
+                {challenge.scoring && challenge.scoring.multiplier > 1 ? ` (×${challenge.scoring.multiplier.toFixed(1)})` : ''}
+              </Text>
+              {challenge.scoring && (
+                <Text style={{ fontSize: 11, color: themeColors.secondaryTextColor }}>
+                  {formatScoreBreakdown(challenge.scoring, t)}
+                </Text>
+              )}
+              {challenge.scoring && Object.keys(challenge.scoring.details).length > 0 && (
+                <Text style={{ fontSize: 11, color: themeColors.secondaryTextColor }}>
+                  {formatPrecisionDetails(challenge.scoring.details, t)}
+                </Text>
+              )}
+            </View>
           ) : (
             <Text style={{ fontSize: 12, color: '#e74a3b' }}>{t('failed')}</Text>
           )}
+          {challenge.stages && challenge.stages.map((stage, index) => (
+            <View key={stage.id} style={{ flexDirection: 'row', alignItems: 'center', marginTop: 4 }}>
+              <Ionicons
+                name={getChallengeTypeStyle(stage.type).icon}
+                size={14}
+                color={stage.completed === false ? '#e74a3b' : themeColors.primary}
+                style={{ marginRight: 6 }}
+              />
+              <Text style={{ flex: 1, fontSize: 12, color: themeColors.textColor }}>
+                {index + 1}. {getChallengeInstruction(stage, t)}
+              </Text>
+              {stage.completed ? (
+                <Text style={{ fontSize: 12, color: '#1cc88a' }}>{Math.round(stage.performance * 100)}%</Text>
+              ) : stage.completed === false ? (
+                <Text style={{ fontSize: 12, color: '#e74a3b', fontWeight: 'bold' }}>{t('stageFailed')}</Text>
+              ) : (
+                <Text style={{ fontSize: 12, color: '#858796' }}>{t('stageNotReached')}</Text>
+              )}
+            </View>
+          ))}
         </View>
         <Ionicons name={statusIcon.name} size={24} color={statusIcon.color} />
       </View>
@@ -1106,6 +1700,7 @@ const HistoryScreen = () => {
     const completedChallenges = item.challenges?.filter(c => c.score > 0).length || 0;
     const totalChallenges = item.totalChallenges || item.challenges?.length || 0;
     const completionRate = totalChallenges > 0 ? Math.round((completedChallenges / totalChallenges) * 100) : 0;
+    const scoreSummary = summarizeScores(item.challenges);
     
     // Determine badge color based on completion rate
     const getBadgeColor = () => {
@@ -1162,6 +1757,12 @@ const HistoryScreen = () => {
               </Text>
             </View>
           </View>
+          
+          {scoreSummary && (
+            <Text style={{ fontSize: 11, color: themeColors.secondaryTextColor, marginTop: 6 }}>
+              {formatScoreBreakdown(scoreSummary, t)}
+            </Text>
+          )}
         </View>
       </View>
     );
@@ -1217,6 +1818,11 @@ const SettingsScreen = () => {
   const { styles, t, themeColors, themeName, language, changeTheme, changeLanguage } = useApp();
   const [soundEnabled, setSoundEnabled] = useState(true);
   const [difficulty, setDifficulty] = useState('medium');
+  const [customThresholds, setCustomThresholds] = useState(getStandardCustomThresholds());
+  const [useTrueNorth, setUseTrueNorth] = useState(false);
+  const [declinationText, setDeclinationText] = useState('0');
+  const [samplingProfile, setSamplingProfileState] = useState(SAMPLING_PROFILES.BALANCED);
+  const [displayRate, setDisplayRateState] = useState(10);
   
   useEffect(() => {
     loadSettings();
@@ -1228,16 +1834,18 @@ const SettingsScreen = () => {
       const soundSetting = await AsyncStorage.getItem('soundEnabled');
       setSoundEnabled(soundSetting === null ? true : soundSetting === 'true');
       
-gs
+      // Load difficulty settings
       const diffSettings = await getDifficultySettings();
       
-      if (diffSettings.sensitivity <= 0.7) {
-        setDifficulty('easy');
-      } else if (diffSettings.sensitivity >= 1.3) {
-        setDifficulty('hard');
-      } else {
-        setDifficulty('medium');
-      }
+      setDifficulty(getDifficultyProfile(diffSettings).difficulty);
+      setCustomThresholds(getCustomThresholds(diffSettings.customThresholds));
+      
+      setSamplingProfileState(diffSettings.samplingProfile);
+      setDisplayRateState(diffSettings.displayRate);
+      
+      const compassSettings = await getCompassSettings();
+      setUseTrueNorth(compassSettings.useTrueNorth);
+      setDeclinationText(String(compassSettings.declination));
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
@@ -1258,6 +1866,34 @@ gs
     }
   };
   
+  // Declination typed by the user, limited to -180..180 (east positive)
+  const parseDeclination = (text) => {
+    const value = parseFloat(String(text).replace(',', '.'));
+    return isNaN(value) ? 0 : Math.max(-180, Math.min(180, value));
+  };
+  
+  const toggleTrueNorth = async (value) => {
+    try {
+      setUseTrueNorth(value);
+      await setCompassSettings({ declination: parseDeclination(declinationText), useTrueNorth: value });
+    } catch (error) {
+      console.error('Failed to save compass setting:', error);
+      Alert.alert('Error', 'Failed to save compass setting');
+    }
+  };
+  
+  const saveDeclination = async () => {
+    const declination = parseDeclination(declinationText);
+    setDeclinationText(String(declination));
+    
+    try {
+      await setCompassSettings({ declination, useTrueNorth });
+    } catch (error) {
+      console.error('Failed to save compass setting:', error);
+      Alert.alert('Error', 'Failed to save compass setting');
+    }
+  };
+  
   const handleThemeChange = async (newTheme) => {
     await changeTheme(newTheme);
   };
@@ -1269,27 +1905,9 @@ gs
   const changeDifficulty = async (value) => {
     setDifficulty(value);
     
-   
-    let sensitivity = 1.0;
-    let timeMultiplier = 1.0;
-    
-    switch(value) {
-      case 'easy':
-        sensitivity = 0.7; 
-        timeMultiplier = 1.3; 
-        break;
-      case 'medium':
-        sensitivity = 1.0;
-        timeMultiplier = 1.0;
-        break;
-      case 'hard':
-        sensitivity = 1.3; 
-        timeMultiplier = 0.7; 
-        break;
-    }
-    
     try {
-      await setDifficultySettings({ sensitivity, timeMultiplier });
+      // The custom thresholds are kept when leaving the custom profile, for coming back to it
+      await setDifficultyProfile(value, value === 'custom' ? customThresholds : undefined);
       
      
       if (soundEnabled) {
@@ -1301,6 +1919,51 @@ gs
     }
   };
   
+  // Move one custom threshold a step up (+1) or down (-1), within its limits
+  const changeCustomThreshold = async (name, direction) => {
+    const updated = { ...customThresholds, [name]: stepCustomThreshold(name, customThresholds[name], direction) };
+    
+    try {
+      setCustomThresholds(updated);
+      await setDifficultyProfile('custom', updated);
+      
+      if (soundEnabled) {
+        playSound(SOUND_TYPES.UI_CLICK);
+      }
+    } catch (error) {
+      console.error('Failed to save custom difficulty:', error);
+      Alert.alert('Error', 'Failed to save custom difficulty');
+    }
+  };
+  
+  const changeSamplingProfile = async (profile) => {
+    try {
+      setSamplingProfileState(profile);
+      await setSamplingProfile(profile);
+      
+      if (soundEnabled) {
+        playSound(SOUND_TYPES.UI_CLICK);
+      }
+    } catch (error) {
+      console.error('Failed to save sampling profile:', error);
+      Alert.alert('Error', 'Failed to save sampling profile');
+    }
+  };
+  
+  const changeDisplayRate = async (rate) => {
+    try {
+      setDisplayRateState(rate);
+      await setDisplayRate(rate);
+      
+      if (soundEnabled) {
+        playSound(SOUND_TYPES.UI_CLICK);
+      }
+    } catch (error) {
+      console.error('Failed to save display rate:', error);
+      Alert.alert('Error', 'Failed to save display rate');
+    }
+  };
+  
   const handleResetSettings = () => {
     Alert.alert(
       t('resetSettings'),
@@ -1313,7 +1976,10 @@ gs
           onPress: async () => {
             try {
               await setSoundEnabledState(true);
-              await setDifficultySettings({ sensitivity: 1.0, timeMultiplier: 1.0 });
+              await setDifficultyProfile('medium', null);
+              await setSamplingProfile(SAMPLING_PROFILES.BALANCED);
+              await setDisplayRate(10);
+              await setCompassSettings({ declination: 0, useTrueNorth: false });
               await setTheme('light');
               await setLanguage('pt');
               
@@ -1340,11 +2006,12 @@ gs
     const levels = [
       { id: 'easy', label: t('easy') },
       { id: 'medium', label: t('medium') },
-      { id: 'hard', label: t('hard') }
+      { id: 'hard', label: t('hard') },
+      { id: 'custom', label: t('custom') }
     ];
     
     return (
-      <View style={{ flexDirection: 'row' }}>
+      <View style={{ flexDirection: 'row', justifyContent: 'center', marginVertical: 10 }}>
         {levels.map((level) => (
           <TouchableOpacity
             key={level.id}
@@ -1374,6 +2041,131 @@ gs
     );
   };
   
+  // Render the custom profile's thresholds, each with a - / + stepper
+  const CustomThresholdEditor = () => {
+    const thresholds = [
+      { id: 'stepMagnitude', unit: 'm/s²', decimals: 1 },
+      { id: 'rotationSpeed', unit: '°/s', decimals: 0 },
+      { id: 'tiltAngle', unit: '°', decimals: 0 },
+      { id: 'directionTolerance', unit: '°', decimals: 0 },
+      { id: 'holdTime', unit: 's', decimals: 1 }
+    ];
+    
+    return (
+      <View style={{ marginBottom: 10 }}>
+        {thresholds.map((threshold) => {
+          const { min, max } = CUSTOM_THRESHOLD_LIMITS[threshold.id];
+          const value = customThresholds[threshold.id];
+          
+          return (
+            <View key={threshold.id} style={styles.settingItem}>
+              <Text style={styles.settingLabel}>{t(`custom_${threshold.id}`)}</Text>
+              <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                <TouchableOpacity
+                  style={{ padding: 5 }}
+                  disabled={value <= min}
+                  onPress={() => changeCustomThreshold(threshold.id, -1)}
+                >
+                  <Ionicons
+                    name="remove-circle-outline"
+                    size={24}
+                    color={value <= min ? themeColors.border : themeColors.primary}
+                  />
+                </TouchableOpacity>
+                <Text style={{ minWidth: 70, textAlign: 'center', color: themeColors.textColor }}>
+                  {value.toFixed(threshold.decimals)} {threshold.unit}
+                </Text>
+                <TouchableOpacity
+                  style={{ padding: 5 }}
+                  disabled={value >= max}
+                  onPress={() => changeCustomThreshold(threshold.id, 1)}
+                >
+                  <Ionicons
+                    name="add-circle-outline"
+                    size={24}
+                    color={value >= max ? themeColors.border : themeColors.primary}
+                  />
+                </TouchableOpacity>
+              </View>
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+  
+  // Render a readout display rate selector
+  const DisplayRateSelector = () => {
+    return (
+      <View style={{ flexDirection: 'row', justifyContent: 'center', marginVertical: 10 }}>
+        {DISPLAY_RATES.map((rate) => (
+          <TouchableOpacity
+            key={rate}
+            style={{
+              paddingHorizontal: 12,
+              paddingVertical: 6,
+              borderRadius: 15,
+              borderWidth: 1,
+              borderColor: displayRate === rate ? themeColors.primary : themeColors.border,
+              marginHorizontal: 3,
+              backgroundColor: displayRate === rate ? themeColors.primary : themeColors.cardBackground,
+            }}
+            onPress={() => changeDisplayRate(rate)}
+          >
+            <Text 
+              style={{
+                fontSize: 12,
+                color: displayRate === rate ? 'white' : themeColors.secondaryTextColor,
+                fontWeight: displayRate === rate ? 'bold' : 'normal',
+              }}
+            >
+              {rate} fps
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+  
+  // Render a sampling profile selector
+  const SamplingProfileSelector = () => {
+    const profiles = [
+      { id: SAMPLING_PROFILES.PERFORMANCE, label: t('performance') },
+      { id: SAMPLING_PROFILES.BALANCED, label: t('balanced') },
+      { id: SAMPLING_PROFILES.BATTERY_SAVER, label: t('batterySaver') }
+    ];
+    
+    return (
+      <View style={{ flexDirection: 'row', justifyContent: 'center', marginVertical: 10 }}>
+        {profiles.map((profile) => (
+          <TouchableOpacity
+            key={profile.id}
+            style={{
+              paddingHorizontal: 12,
+              paddingVertical: 6,
+              borderRadius: 15,
+              borderWidth: 1,
+              borderColor: samplingProfile === profile.id ? themeColors.primary : themeColors.border,
+              marginHorizontal: 3,
+              backgroundColor: samplingProfile === profile.id ? themeColors.primary : themeColors.cardBackground,
+            }}
+            onPress={() => changeSamplingProfile(profile.id)}
+          >
+            <Text 
+              style={{
+                fontSize: 12,
+                color: samplingProfile === profile.id ? 'white' : themeColors.secondaryTextColor,
+                fontWeight: samplingProfile === profile.id ? 'bold' : 'normal',
+              }}
+            >
+              {profile.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+  
   return (
     <ScrollView style={styles.container}>
       <View style={[styles.card, { marginTop: 20 }]}>
@@ -1438,9 +2230,12 @@ gs
             <Ionicons name="body" size={24} color={themeColors.primary} />
             <Text style={[styles.settingLabel, { marginLeft: 10 }]}>{t('difficultyLevel')}</Text>
           </View>
-          <DifficultySelector />
         </View>
         
+        <DifficultySelector />
+        
+        {difficulty === 'custom' && <CustomThresholdEditor />}
+        
         <View style={styles.infoBox}>
           <Text style={styles.infoTitle}>{t('difficultyInfo')}</Text>
           <View style={{ flexDirection: 'row', marginBottom: 5 }}>
@@ -1461,6 +2256,12 @@ gs
               <Text style={{ fontWeight: 'bold' }}>{t('hard')}:</Text> {t('hardDesc')}
             </Text>
           </View>
+          <View style={{ flexDirection: 'row', marginBottom: 5 }}>
+            <Text style={{ color: themeColors.primary, marginRight: 5 }}>•</Text>
+            <Text style={styles.infoText}>
+              <Text style={{ fontWeight: 'bold' }}>{t('custom')}:</Text> {t('customDesc')}
+            </Text>
+          </View>
         </View>
       </View>
       
@@ -1481,6 +2282,93 @@ gs
         </View>
       </View>
       
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('samplingSettings')}</Text>
+        
+        <SamplingProfileSelector />
+        
+        <View style={styles.infoBox}>
+          <Text style={styles.infoTitle}>{t('samplingInfo')}</Text>
+          <View style={{ flexDirection: 'row', marginBottom: 5 }}>
+            <Text style={{ color: themeColors.primary, marginRight: 5 }}>•</Text>
+            <Text style={styles.infoText}>
+              <Text style={{ fontWeight: 'bold' }}>{t('performance')}:</Text> {t('performanceDesc')}
+            </Text>
+          </View>
+          <View style={{ flexDirection: 'row', marginBottom: 5 }}>
+            <Text style={{ color: themeColors.primary, marginRight: 5 }}>•</Text>
+            <Text style={styles.infoText}>
+              <Text style={{ fontWeight: 'bold' }}>{t('balanced')}:</Text> {t('balancedDesc')}
+            </Text>
+          </View>
+          <View style={{ flexDirection: 'row', marginBottom: 5 }}>
+            <Text style={{ color: themeColors.primary, marginRight: 5 }}>•</Text>
+            <Text style={styles.infoText}>
+              <Text style={{ fontWeight: 'bold' }}>{t('batterySaver')}:</Text> {t('batterySaverDesc')}
+            </Text>
+          </View>
+        </View>
+        
+        <Text style={[styles.settingLabel, { marginTop: 15 }]}>{t('displayRate')}</Text>
+        <DisplayRateSelector />
+        <Text style={styles.infoText}>{t('displayRateInfo')}</Text>
+      </View>
+      
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('compassSettings')}</Text>
+        
+        <View style={styles.settingItem}>
+          <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+            <Ionicons name="compass" size={24} color={themeColors.primary} />
+            <Text style={[styles.settingLabel, { marginLeft: 10 }]}>{t('useTrueNorth')}</Text>
+          </View>
+          <Switch
+            value={useTrueNorth}
+            onValueChange={toggleTrueNorth}
+            trackColor={{ false: themeColors.border, true: themeColors.primary }}
+            thumbColor={'white'}
+          />
+        </View>
+        
+        <View style={styles.settingItem}>
+          <Text style={styles.settingLabel}>{t('declination')}</Text>
+          <TextInput
+            style={{
+              minWidth: 70,
+              paddingHorizontal: 10,
+              paddingVertical: 6,
+              borderRadius: 5,
+              borderWidth: 1,
+              borderColor: themeColors.border,
+              color: themeColors.textColor,
+              textAlign: 'right',
+            }}
+            value={declinationText}
+            onChangeText={setDeclinationText}
+            onEndEditing={saveDeclination}
+            keyboardType="numbers-and-punctuation"
+            editable={useTrueNorth}
+          />
+        </View>
+        
+        <Text style={{ 
+          fontSize: 12, 
+          color: themeColors.secondaryTextColor, 
+          fontStyle: 'italic', 
+          marginTop: 15 
+        }}>
+          {t('declinationInfo')}
+        </Text>
+        
+        <TouchableOpacity 
+          style={[styles.secondaryButton, { marginTop: 15 }]} 
+          onPress={() => navigation.navigate('Calibration')}
+        >
+          <Ionicons name="navigate" size={24} color={themeColors.primary} />
+          <Text style={styles.secondaryButtonText}>{t('calibrateCompass')}</Text>
+        </TouchableOpacity>
+      </View>
+      
       <View style={styles.card}>
         <Text style={styles.sectionTitle}>{t('aboutSensors')}</Text>
         
@@ -1551,6 +2439,191 @@ gs
   );
 };
 
+// ==================== CALIBRATION SCREEN ====================
+const CalibrationScreen = () => {
+  const navigation = useNavigation();
+  const { styles, t, themeColors } = useApp();
+  const [status, setStatus] = useState(getMagnetometerCalibrationStatus());
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  
+  const calibrationSession = useRef(null);
+  
+  // Keep the (calibrated) magnetometer running to show the current field strength
+  useEffect(() => {
+    const unsubscribe = subscribeToSensor('magnetometer', () => {});
+    const statusInterval = setInterval(() => {
+      setStatus(getMagnetometerCalibrationStatus());
+    }, 500);
+    
+    return () => {
+      clearInterval(statusInterval);
+      unsubscribe();
+      cancelCalibration();
+    };
+  }, []);
+  
+  // Start collecting samples
+  const startCalibration = () => {
+    cancelCalibration();
+    setResult(null);
+    setProgress({ samples: 0, coverage: 0, ready: false });
+    calibrationSession.current = startMagnetometerCalibration(setProgress);
+  };
+  
+  // Stop collecting without keeping anything
+  const cancelCalibration = () => {
+    if (calibrationSession.current) {
+      calibrationSession.current.cancel();
+      calibrationSession.current = null;
+    }
+    setProgress(null);
+  };
+  
+  // Fit the collected samples and keep the calibration
+  const finishCalibration = async () => {
+    if (!calibrationSession.current) return;
+    
+    const calibration = calibrationSession.current.finish();
+    calibrationSession.current = null;
+    setProgress(null);
+    
+    if (!calibration) {
+      Alert.alert(t('calibrationFailed'), t('calibrationFailedMessage'));
+      return;
+    }
+    
+    try {
+      await saveMagnetometerCalibration(calibration);
+      setResult(calibration);
+      setStatus(getMagnetometerCalibrationStatus());
+      playSound(SOUND_TYPES.CHALLENGE_COMPLETE);
+    } catch (error) {
+      console.error('Failed to save calibration:', error);
+      Alert.alert('Error', 'Failed to save calibration');
+    }
+  };
+  
+  // Go back to uncalibrated readings
+  const resetCalibration = async () => {
+    try {
+      await clearMagnetometerCalibration();
+      setResult(null);
+      setStatus(getMagnetometerCalibrationStatus());
+    } catch (error) {
+      console.error('Failed to reset calibration:', error);
+      Alert.alert('Error', 'Failed to reset calibration');
+    }
+  };
+  
+  const qualityColors = {
+    good: '#1cc88a',
+    fair: '#f6c23e',
+    poor: '#e74a3b',
+    none: themeColors.secondaryTextColor
+  };
+  
+  const coverage = progress ? Math.round(progress.coverage * 100) : 0;
+  
+  return (
+    <ScrollView style={styles.container}>
+      <View style={[styles.card, { marginTop: 20 }]}>
+        <Text style={styles.sectionTitle}>{t('calibrationStatus')}</Text>
+        
+        <View style={styles.settingItem}>
+          <Text style={styles.settingLabel}>{t('calibrationQuality')}</Text>
+          <Text style={[styles.settingLabel, { color: qualityColors[status.qualityLevel], fontWeight: 'bold' }]}>
+            {t(`quality_${status.qualityLevel}`)}
+          </Text>
+        </View>
+        
+        {status.calibrated && (
+          <View style={styles.settingItem}>
+            <Text style={styles.settingLabel}>{t('expectedField')}</Text>
+            <Text style={styles.settingLabel}>{status.fieldStrength.toFixed(1)} μT</Text>
+          </View>
+        )}
+        
+        <View style={styles.settingItem}>
+          <Text style={styles.settingLabel}>{t('currentField')}</Text>
+          <Text style={styles.settingLabel}>
+            {status.currentStrength !== null ? `${status.currentStrength.toFixed(1)} μT` : '-'}
+          </Text>
+        </View>
+        
+        {status.drifting && (
+          <View style={[styles.infoBox, { borderLeftWidth: 4, borderLeftColor: '#e74a3b', marginTop: 15 }]}>
+            <Text style={styles.infoTitle}>{t('recalibrateTitle')}</Text>
+            <Text style={styles.infoText}>{t('fieldDrifted')}</Text>
+          </View>
+        )}
+      </View>
+      
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('calibrateCompass')}</Text>
+        <Text style={styles.text}>{t('calibrationInstructions')}</Text>
+        
+        {progress && (
+          <View style={{ marginTop: 15 }}>
+            <Text style={styles.infoText}>
+              {t('calibrationCoverage')}: {coverage}% ({progress.samples} {t('samples')})
+            </Text>
+            <View style={{ height: 10, borderRadius: 5, backgroundColor: themeColors.border, marginTop: 8, overflow: 'hidden' }}>
+              <View style={{ 
+                height: 10, 
+                width: `${Math.min(100, coverage)}%`, 
+                backgroundColor: progress.ready ? '#1cc88a' : themeColors.primary 
+              }} />
+            </View>
+          </View>
+        )}
+        
+        {result && (
+          <Text style={[styles.infoText, { marginTop: 15 }]}>
+            {t('calibrationSaved')} ({t(`quality_${status.qualityLevel}`)})
+          </Text>
+        )}
+        
+        <View style={{ marginTop: 20 }}>
+          {!progress ? (
+            <TouchableOpacity style={styles.button} onPress={startCalibration}>
+              <Ionicons name="infinite" size={24} color="white" />
+              <Text style={styles.buttonText}>{t('startCalibration')}</Text>
+            </TouchableOpacity>
+          ) : (
+            <>
+              <TouchableOpacity 
+                style={[styles.button, !progress.ready && { opacity: 0.5 }]} 
+                onPress={finishCalibration}
+                disabled={!progress.ready}
+              >
+                <Ionicons name="checkmark" size={24} color="white" />
+                <Text style={styles.buttonText}>{t('finishCalibration')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.secondaryButton} onPress={cancelCalibration}>
+                <Ionicons name="close" size={24} color={themeColors.primary} />
+                <Text style={styles.secondaryButtonText}>{t('cancel')}</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      </View>
+      
+      {status.calibrated && !progress && (
+        <View style={{ alignItems: 'center', marginBottom: 30 }}>
+          <TouchableOpacity 
+            style={{ flexDirection: 'row', alignItems: 'center', padding: 10 }}
+            onPress={resetCalibration}
+          >
+            <Ionicons name="refresh" size={16} color="#e74a3b" />
+            <Text style={{ fontSize: 14, color: "#e74a3b", marginLeft: 5 }}>{t('resetCalibration')}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
 
 const Stack = createNativeStackNavigator();
 
@@ -1600,6 +2673,25 @@ export default function App() {
               };
             }}
           />
+          <Stack.Screen 
+            name="Calibration" 
+            component={CalibrationScreen} 
+            options={({ navigation, route }) => {
+              const { themeColors, t } = useApp();
+              return {
+                title: t('calibrateCompass'),
+                headerStyle: {
+                  backgroundColor: themeColors.cardBackground,
+                },
+                headerTintColor: themeColors.textColor,
+                headerTitleStyle: {
+                  fontWeight: 'bold',
+                  color: themeColors.textColor,
+                },
+                headerShadowVisible: false,
+              };
+            }}
+          />
           <Stack.Screen 
             name="Settings" 
             component={SettingsScreen} 
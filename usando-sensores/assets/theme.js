@@ -76,6 +76,13 @@ export const translations = {
     easyDesc: 'Easy: More forgiving movement detection, more time for challenges',
     mediumDesc: 'Medium: Balanced detection sensitivity and timing',
     hardDesc: 'Hard: Precise movement detection required, less time for challenges',
+    custom: 'Custom',
+    customDesc: 'Custom: Set each threshold yourself, e.g. gentler for older players or brisker for young ones',
+    custom_stepMagnitude: 'Softest step',
+    custom_rotationSpeed: 'Slowest turn',
+    custom_tiltAngle: 'Tilt angle',
+    custom_directionTolerance: 'Direction tolerance',
+    custom_holdTime: 'Direction hold time',
     soundSettings: 'Sound Settings',
     soundEffects: 'Sound Effects',
     aboutSensors: 'About Sensors',
@@ -93,7 +100,137 @@ export const translations = {
     language: 'Language',
     english: 'English',
     portuguese: 'Portuguese',
-    version: 'Version'
+    version: 'Version',
+    orientation: 'Orientation',
+    pitch: 'Pitch',
+    roll: 'Roll',
+    yaw: 'Yaw',
+    angleTurned: 'Turned',
+    timeHeld: 'Time held',
+    lastJump: 'Last jump',
+    squatsDone: 'Squats',
+    stage: 'Stage',
+    stageFailed: 'Out of time',
+    stageNotReached: 'Not reached',
+    streak: 'Streak',
+    scoreCompletion: 'Completion',
+    scorePrecision: 'Precision',
+    scoreSpeed: 'Speed',
+    headingError: 'Heading error',
+    overshoot: 'Overshoot',
+    returnError: 'Missed the start by',
+    clockwise: 'clockwise',
+    counterClockwise: 'counter-clockwise',
+    compassSettings: 'Compass',
+    useTrueNorth: 'Use True North',
+    declination: 'Magnetic Declination (°)',
+    declinationInfo: 'Declination is the angle between magnetic and true north where you are (east positive). Look it up for your city to make the compass point to true north.',
+    calibrateCompass: 'Calibrate Compass',
+    calibrationStatus: 'Compass Calibration',
+    calibrationQuality: 'Quality',
+    quality_good: 'Good',
+    quality_fair: 'Fair',
+    quality_poor: 'Poor',
+    quality_none: 'Not calibrated',
+    expectedField: 'Calibrated field',
+    currentField: 'Current field',
+    calibrationInstructions: 'Move away from metal objects and electronics. Tap start, then slowly wave the phone in a figure-eight, turning it in every direction, until the bar turns green.',
+    calibrationCoverage: 'Directions covered',
+    samples: 'samples',
+    startCalibration: 'Start Calibration',
+    finishCalibration: 'Finish',
+    calibrationSaved: 'Calibration saved',
+    calibrationFailed: 'Calibration Failed',
+    calibrationFailedMessage: 'The readings were not enough to calibrate. Try again, turning the phone in more directions.',
+    resetCalibration: 'Reset Calibration',
+    recalibrateTitle: 'Compass Needs Calibration',
+    recalibrateMessage: 'The magnetic field no longer matches the compass calibration, so directions may be wrong. Calibrate now?',
+    fieldDrifted: 'The magnetic field has changed since the last calibration. Calibrate again for accurate directions.',
+    calibrate: 'Calibrate',
+    later: 'Later',
+    holdStill: 'Hold Still',
+    holdStillInstructions: 'Put the phone down on a flat surface and don\'t touch it for a moment so the sensors can be calibrated.',
+    holdStillMeasuring: 'Measuring... keep the phone still.',
+    samplingSettings: 'Sensor Sampling',
+    samplingInfo: 'How often sensors are read outside of what a challenge needs:',
+    performance: 'Performance',
+    balanced: 'Balanced',
+    batterySaver: 'Battery Saver',
+    performanceDesc: 'Every 50 ms. Smoothest readings, highest battery use.',
+    balancedDesc: 'Every 100 ms. Good readings with moderate battery use.',
+    batterySaverDesc: 'Every 250 ms. Lowest battery use; challenges still get the rate they need.',
+    sensorDiagnostics: 'Sensor Diagnostics',
+    diagnosticsDescription: 'Checks how each motion sensor is streaming: its rate, timing jitter, dropped frames and bad readings.',
+    runDiagnostics: 'Run Diagnostics',
+    stopDiagnostics: 'Stop Diagnostics',
+    sampleRate: 'Rate',
+    jitter: 'Jitter',
+    droppedFrames: 'Dropped',
+    invalidValues: 'Invalid',
+    saturatedValues: 'Saturated',
+    health_ok: 'OK',
+    health_degraded: 'Degraded',
+    health_invalid: 'Invalid',
+    health_stalled: 'Stalled',
+    healthMessage_degraded: 'Readings are arriving late, dropping out or hitting the sensor limit. Results may be less accurate.',
+    healthMessage_invalid: 'The sensor is reporting invalid values.',
+    healthMessage_stalled: 'The sensor stopped sending readings.',
+    sensorProblemTitle: 'Sensor Problem',
+    sensorProblemPaused: 'The challenge was paused. Press start to try again, or skip this challenge.',
+    displayRate: 'Readout Refresh Rate',
+    displayRateInfo: 'How often the live sensor values are redrawn during a challenge. Lower rates run smoother on slower phones; challenges are checked at full rate either way.',
+    permissionTitle: 'Motion Sensors',
+    permissionIntro: 'StepMaster needs access to your motion sensors to check the challenges:',
+    permissionReason_accelerometer: 'counts your steps and detects running and jumping',
+    permissionReason_gyroscope: 'measures how you rotate and tilt the device',
+    permissionReason_magnetometer: 'works as a compass to tell which way you are facing',
+    allow: 'Allow',
+    notNow: 'Not Now',
+    openSettings: 'Open Settings',
+    challengesLocked: 'Some challenges are locked',
+    challengesLockedMessage: 'Allow motion access in the system settings to unlock them.',
+    sensorAccessFailedTitle: 'Sensor Access',
+    sensorAccessFailedMessage: 'The motion sensors could not be started. Check that StepMaster is allowed to use them in the system settings.',
+    challengeType_RUN: 'Running',
+    challengeType_ROTATE: 'Rotation',
+    challengeType_TILT: 'Tilt',
+    challengeType_DIRECTION: 'Direction',
+    challengeType_SHAKE: 'Shake',
+    challengeType_JUMP: 'Jump',
+    challengeType_BALANCE: 'Balance',
+    challengeType_SQUAT: 'Squat',
+    challengeType_COMBO: 'Combo',
+    challengeType_BASIC: 'Basic',
+    // Desafios do catálogo (utils/challengeCatalog.js)
+    challenges: {
+      runInPlace: { instruction: 'Run in place for 3 seconds', hint: 'Move up and down quickly' },
+      stepsForward: { instruction: 'Take 5 steps forward', hint: 'Step forward with your device' },
+      marchInPlace: { instruction: 'March in place for 5 seconds', hint: 'Raise knees high' },
+      rotateClockwise: { instruction: 'Rotate device 360° clockwise', hint: 'Turn your device in a full circle' },
+      rotateCounterClockwise: { instruction: 'Rotate device 360° counter-clockwise', hint: 'Turn your device in a full circle in the opposite direction' },
+      rotateHalfAndBack: { instruction: 'Rotate device 180° and back', hint: 'Turn halfway around and return' },
+      spinAround: { instruction: 'Spin around with your device', hint: 'Turn your whole body' },
+      tiltLeftRight: { instruction: 'Tilt device left then right', hint: 'Tilt from side to side' },
+      tiltForwardBackward: { instruction: 'Tilt device forward then backward', hint: 'Tilt forward and backward' },
+      tiltCircle: { instruction: 'Tilt device in a circle', hint: 'Move in a circular pattern' },
+      holdTiltLeft: { instruction: 'Hold device tilted left for 3 seconds', hint: 'Keep it steady' },
+      faceNorth: { instruction: 'Face North', hint: 'Use the compass to find North' },
+      faceEast: { instruction: 'Face East', hint: 'Use the compass to find East' },
+      faceSouth: { instruction: 'Face South', hint: 'Use the compass to find South' },
+      faceWest: { instruction: 'Face West', hint: 'Use the compass to find West' },
+      faceSouthEast: { instruction: 'Rotate slowly to face South-East', hint: 'Between South and East' },
+      shake: { instruction: 'Shake your device for 2 seconds', hint: 'Shake it hard, in any direction' },
+      shakeHard: { instruction: 'Shake your device as hard as you can for 5 seconds', hint: 'Hold it tight and don\'t stop' },
+      jumpThree: { instruction: 'Jump 3 times', hint: 'Hold the device against your chest' },
+      jumpHigh: { instruction: 'Jump as high as you can', hint: 'Reach at least 15 cm' },
+      balanceStill: { instruction: 'Keep your device still for 5 seconds', hint: 'Hold it steady in both hands' },
+      balanceSteady: { instruction: 'Stand on one foot, keeping the device still for 8 seconds', hint: 'The steadier, the better' },
+      squatThree: { instruction: 'Do 3 squats', hint: 'Hold the device against your chest and go down slowly' },
+      squatDeep: { instruction: 'Do 5 deep squats', hint: 'Go down at least 35 cm each time' },
+      comboEastSpinSteps: { instruction: 'Face east, spin around, then take 5 steps', hint: 'Each stage has its own time limit' },
+      comboTiltShake: { instruction: 'Tilt left and right, then shake the phone', hint: 'Move on as soon as the stage is done' },
+      comboJumpBalance: { instruction: 'Jump 3 times, then hold the phone still', hint: 'Catch your breath before the balance stage' }
+    }
   },
   pt: {
     appName: 'StepMaster',
@@ -139,6 +276,13 @@ export const translations = {
     easyDesc: 'Fácil: Detecção de movimento mais tolerante, mais tempo para desafios',
     mediumDesc: 'Médio: Sensibilidade de detecção e tempo equilibrados',
     hardDesc: 'Difícil: Detecção de movimento precisa necessária, menos tempo para desafios',
+    custom: 'Personalizado',
+    customDesc: 'Personalizado: Ajuste cada limite, por exemplo mais suave para idosos ou mais exigente para jovens',
+    custom_stepMagnitude: 'Passo mais leve',
+    custom_rotationSpeed: 'Giro mais lento',
+    custom_tiltAngle: 'Ângulo de inclinação',
+    custom_directionTolerance: 'Tolerância de direção',
+    custom_holdTime: 'Tempo mantendo a direção',
     soundSettings: 'Configurações de Som',
     soundEffects: 'Efeitos Sonoros',
     aboutSensors: 'Sobre os Sensores',
@@ -156,7 +300,137 @@ export const translations = {
     language: 'Idioma',
     english: 'Inglês',
     portuguese: 'Português',
-    version: 'Versão'
+    version: 'Versão',
+    orientation: 'Orientação',
+    pitch: 'Arfagem',
+    roll: 'Rolagem',
+    yaw: 'Guinada',
+    angleTurned: 'Girado',
+    timeHeld: 'Tempo mantido',
+    lastJump: 'Último pulo',
+    squatsDone: 'Agachamentos',
+    stage: 'Etapa',
+    stageFailed: 'Tempo esgotado',
+    stageNotReached: 'Não alcançada',
+    streak: 'Sequência',
+    scoreCompletion: 'Conclusão',
+    scorePrecision: 'Precisão',
+    scoreSpeed: 'Rapidez',
+    headingError: 'Erro de direção',
+    overshoot: 'Passou do alvo',
+    returnError: 'Errou o início por',
+    clockwise: 'sentido horário',
+    counterClockwise: 'sentido anti-horário',
+    compassSettings: 'Bússola',
+    useTrueNorth: 'Usar Norte Verdadeiro',
+    declination: 'Declinação Magnética (°)',
+    declinationInfo: 'A declinação é o ângulo entre o norte magnético e o norte verdadeiro onde você está (leste positivo). Consulte o valor da sua cidade para que a bússola aponte para o norte verdadeiro.',
+    calibrateCompass: 'Calibrar Bússola',
+    calibrationStatus: 'Calibração da Bússola',
+    calibrationQuality: 'Qualidade',
+    quality_good: 'Boa',
+    quality_fair: 'Razoável',
+    quality_poor: 'Ruim',
+    quality_none: 'Não calibrada',
+    expectedField: 'Campo calibrado',
+    currentField: 'Campo atual',
+    calibrationInstructions: 'Afaste-se de objetos metálicos e eletrônicos. Toque em iniciar e mova o celular lentamente em forma de oito, girando-o em todas as direções, até a barra ficar verde.',
+    calibrationCoverage: 'Direções cobertas',
+    samples: 'amostras',
+    startCalibration: 'Iniciar Calibração',
+    finishCalibration: 'Concluir',
+    calibrationSaved: 'Calibração salva',
+    calibrationFailed: 'Falha na Calibração',
+    calibrationFailedMessage: 'As leituras não foram suficientes para calibrar. Tente novamente, girando o celular em mais direções.',
+    resetCalibration: 'Redefinir Calibração',
+    recalibrateTitle: 'Bússola Precisa de Calibração',
+    recalibrateMessage: 'O campo magnético não corresponde mais à calibração da bússola, então as direções podem estar erradas. Calibrar agora?',
+    fieldDrifted: 'O campo magnético mudou desde a última calibração. Calibre novamente para obter direções precisas.',
+    calibrate: 'Calibrar',
+    later: 'Depois',
+    holdStill: 'Fique Parado',
+    holdStillInstructions: 'Coloque o celular em uma superfície plana e não toque nele por um momento para calibrar os sensores.',
+    holdStillMeasuring: 'Medindo... mantenha o celular parado.',
+    samplingSettings: 'Amostragem dos Sensores',
+    samplingInfo: 'Com que frequência os sensores são lidos além do que um desafio precisa:',
+    performance: 'Desempenho',
+    balanced: 'Equilibrado',
+    batterySaver: 'Economia de Bateria',
+    performanceDesc: 'A cada 50 ms. Leituras mais suaves, maior consumo de bateria.',
+    balancedDesc: 'A cada 100 ms. Boas leituras com consumo moderado de bateria.',
+    batterySaverDesc: 'A cada 250 ms. Menor consumo de bateria; os desafios ainda recebem a taxa de que precisam.',
+    sensorDiagnostics: 'Diagnóstico dos Sensores',
+    diagnosticsDescription: 'Verifica como cada sensor de movimento está transmitindo: taxa, variação de tempo, quadros perdidos e leituras ruins.',
+    runDiagnostics: 'Iniciar Diagnóstico',
+    stopDiagnostics: 'Parar Diagnóstico',
+    sampleRate: 'Taxa',
+    jitter: 'Variação',
+    droppedFrames: 'Perdidos',
+    invalidValues: 'Inválidos',
+    saturatedValues: 'Saturados',
+    health_ok: 'OK',
+    health_degraded: 'Degradado',
+    health_invalid: 'Inválido',
+    health_stalled: 'Parado',
+    healthMessage_degraded: 'As leituras estão chegando atrasadas, falhando ou atingindo o limite do sensor. Os resultados podem ser menos precisos.',
+    healthMessage_invalid: 'O sensor está informando valores inválidos.',
+    healthMessage_stalled: 'O sensor parou de enviar leituras.',
+    sensorProblemTitle: 'Problema no Sensor',
+    sensorProblemPaused: 'O desafio foi pausado. Toque em iniciar para tentar de novo ou pule este desafio.',
+    displayRate: 'Atualização dos Valores',
+    displayRateInfo: 'Com que frequência os valores dos sensores são redesenhados durante um desafio. Taxas menores rodam melhor em celulares mais lentos; os desafios são verificados na taxa completa de qualquer forma.',
+    permissionTitle: 'Sensores de Movimento',
+    permissionIntro: 'O StepMaster precisa acessar os sensores de movimento para verificar os desafios:',
+    permissionReason_accelerometer: 'conta seus passos e detecta corridas e saltos',
+    permissionReason_gyroscope: 'mede como você gira e inclina o dispositivo',
+    permissionReason_magnetometer: 'funciona como bússola para saber para onde você está virado',
+    allow: 'Permitir',
+    notNow: 'Agora Não',
+    openSettings: 'Abrir Configurações',
+    challengesLocked: 'Alguns desafios estão bloqueados',
+    challengesLockedMessage: 'Permita o acesso ao movimento nas configurações do sistema para desbloqueá-los.',
+    sensorAccessFailedTitle: 'Acesso aos Sensores',
+    sensorAccessFailedMessage: 'Não foi possível iniciar os sensores de movimento. Verifique se o StepMaster tem permissão para usá-los nas configurações do sistema.',
+    challengeType_RUN: 'Corrida',
+    challengeType_ROTATE: 'Rotação',
+    challengeType_TILT: 'Inclinação',
+    challengeType_DIRECTION: 'Direção',
+    challengeType_SHAKE: 'Agitar',
+    challengeType_JUMP: 'Pulo',
+    challengeType_BALANCE: 'Equilíbrio',
+    challengeType_SQUAT: 'Agachamento',
+    challengeType_COMBO: 'Combo',
+    challengeType_BASIC: 'Básico',
+    // Desafios do catálogo (utils/challengeCatalog.js)
+    challenges: {
+      runInPlace: { instruction: 'Corra no lugar por 3 segundos', hint: 'Mova-se para cima e para baixo rapidamente' },
+      stepsForward: { instruction: 'Dê 5 passos para frente', hint: 'Caminhe para frente com o dispositivo' },
+      marchInPlace: { instruction: 'Marche no lugar por 5 segundos', hint: 'Levante bem os joelhos' },
+      rotateClockwise: { instruction: 'Gire o dispositivo 360° no sentido horário', hint: 'Gire o dispositivo em um círculo completo' },
+      rotateCounterClockwise: { instruction: 'Gire o dispositivo 360° no sentido anti-horário', hint: 'Gire o dispositivo em um círculo completo no sentido oposto' },
+      rotateHalfAndBack: { instruction: 'Gire o dispositivo 180° e volte', hint: 'Dê meia-volta e retorne' },
+      spinAround: { instruction: 'Dê uma volta com o dispositivo', hint: 'Gire o corpo inteiro' },
+      tiltLeftRight: { instruction: 'Incline o dispositivo para a esquerda e depois para a direita', hint: 'Incline de um lado para o outro' },
+      tiltForwardBackward: { instruction: 'Incline o dispositivo para frente e depois para trás', hint: 'Incline para frente e para trás' },
+      tiltCircle: { instruction: 'Incline o dispositivo em círculo', hint: 'Faça um movimento circular' },
+      holdTiltLeft: { instruction: 'Mantenha o dispositivo inclinado para a esquerda por 3 segundos', hint: 'Mantenha-o firme' },
+      faceNorth: { instruction: 'Vire-se para o Norte', hint: 'Use a bússola para encontrar o Norte' },
+      faceEast: { instruction: 'Vire-se para o Leste', hint: 'Use a bússola para encontrar o Leste' },
+      faceSouth: { instruction: 'Vire-se para o Sul', hint: 'Use a bússola para encontrar o Sul' },
+      faceWest: { instruction: 'Vire-se para o Oeste', hint: 'Use a bússola para encontrar o Oeste' },
+      faceSouthEast: { instruction: 'Gire devagar até ficar de frente para o Sudeste', hint: 'Entre o Sul e o Leste' },
+      shake: { instruction: 'Agite o dispositivo por 2 segundos', hint: 'Agite com força, em qualquer direção' },
+      shakeHard: { instruction: 'Agite o dispositivo o mais forte que puder por 5 segundos', hint: 'Segure firme e não pare' },
+      jumpThree: { instruction: 'Pule 3 vezes', hint: 'Segure o dispositivo junto ao peito' },
+      jumpHigh: { instruction: 'Pule o mais alto que puder', hint: 'Alcance pelo menos 15 cm' },
+      balanceStill: { instruction: 'Mantenha o dispositivo parado por 5 segundos', hint: 'Segure-o firme com as duas mãos' },
+      balanceSteady: { instruction: 'Fique em um pé só, mantendo o dispositivo parado por 8 segundos', hint: 'Quanto mais firme, melhor' },
+      squatThree: { instruction: 'Faça 3 agachamentos', hint: 'Segure o dispositivo junto ao peito e desça devagar' },
+      squatDeep: { instruction: 'Faça 5 agachamentos profundos', hint: 'Desça pelo menos 35 cm a cada vez' },
+      comboEastSpinSteps: { instruction: 'Vire para o leste, dê uma volta e depois dê 5 passos', hint: 'Cada etapa tem seu próprio limite de tempo' },
+      comboTiltShake: { instruction: 'Incline para a esquerda e para a direita, depois agite o celular', hint: 'Passe adiante assim que a etapa terminar' },
+      comboJumpBalance: { instruction: 'Pule 3 vezes e depois segure o celular parado', hint: 'Recupere o fôlego antes da etapa de equilíbrio' }
+    }
   }
 };
 
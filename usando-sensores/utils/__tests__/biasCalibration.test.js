@@ -0,0 +1,57 @@
+import { applyAccelerometerBias, applyGyroscopeBias, createRestDetector } from '../biasCalibration';
+import { STANDARD_GRAVITY } from '../sensorFrame';
+import { createSyntheticGenerator, stillMotion, walkingMotion } from '../syntheticMotion';
+
+const GYRO_OFFSET = { x: 0.02, y: -0.015, z: 0.01 };
+const ACCEL_SCALE = 1.04;
+
+// Feed `seconds` of a motion, read by a phone whose gyroscope has GYRO_OFFSET and whose
+// accelerometer reads ACCEL_SCALE too much, to a rest detector; returns the last result
+const detect = (motion, { seconds = 3, seed = 1 } = {}) => {
+  const generator = createSyntheticGenerator(motion, { seed, bias: { gyroscope: GYRO_OFFSET } });
+  const detector = createRestDetector();
+  let result = null;
+
+  for (let elapsed = 0; elapsed <= seconds * 1000; elapsed += 20) {
+    const { accelerometer, gyroscope } = generator.frameAt(elapsed);
+    detector.update('gyroscope', gyroscope);
+    result = detector.update('accelerometer', {
+      x: accelerometer.x * ACCEL_SCALE,
+      y: accelerometer.y * ACCEL_SCALE,
+      z: accelerometer.z * ACCEL_SCALE,
+      timestamp: accelerometer.timestamp
+    });
+  }
+  return result;
+};
+
+describe('createRestDetector', () => {
+  it('estimates the gyroscope offset and the gravity scale of a phone at rest', () => {
+    const { atRest, bias } = detect(stillMotion({ pitch: 20, roll: 10 }));
+
+    expect(atRest).toBe(true);
+    ['x', 'y', 'z'].forEach((axis) => {
+      expect(Math.abs(bias.gyroscope[axis] - GYRO_OFFSET[axis])).toBeLessThan(0.005);
+    });
+    expect(bias.gravityMagnitude / STANDARD_GRAVITY).toBeCloseTo(ACCEL_SCALE, 2);
+
+    const corrected = applyAccelerometerBias({ x: 0, y: 0, z: STANDARD_GRAVITY * ACCEL_SCALE, timestamp: 0 }, bias);
+    expect(corrected.z).toBeCloseTo(STANDARD_GRAVITY, 1);
+    expect(applyGyroscopeBias({ ...GYRO_OFFSET, timestamp: 0 }, bias).z).toBeCloseTo(0, 2);
+  });
+
+  it('has no estimate before the phone has rested for the whole window', () => {
+    const { atRest, progress, bias } = detect(stillMotion(), { seconds: 1 });
+
+    expect(atRest).toBe(true);
+    expect(progress).toBeLessThan(1);
+    expect(bias).toBeNull();
+  });
+
+  it('gives no estimate while the phone moves', () => {
+    const { atRest, bias } = detect(walkingMotion());
+
+    expect(atRest).toBe(false);
+    expect(bias).toBeNull();
+  });
+});
@@ -0,0 +1,44 @@
+import { CHALLENGE_CATALOG, CHALLENGE_TYPES, createChallengeFromEntry, validateChallengeEntry } from '../challengeCatalog';
+
+const comboEntry = (stageLimits, timeLimit) => ({
+  id: 'comboTest',
+  type: CHALLENGE_TYPES.COMBO,
+  params: {
+    stages: stageLimits.map((stageLimit) => ({
+      type: CHALLENGE_TYPES.SHAKE,
+      params: { duration: 2 },
+      timeLimit: stageLimit,
+      instructionKey: 'challenges.shake.instruction'
+    }))
+  },
+  timeLimit,
+  difficulty: 'medium',
+  instructionKey: 'challenges.shake.instruction',
+  hintKey: 'challenges.shake.hint'
+});
+
+describe('validateChallengeEntry', () => {
+  it.each(CHALLENGE_CATALOG.map((entry) => [entry.id, entry]))('accepts the catalog entry %s', (id, entry) => {
+    expect(validateChallengeEntry(entry)).toBe(true);
+  });
+
+  it('accepts a combo whose stage limits fill its time limit', () => {
+    expect(validateChallengeEntry(comboEntry([6, 6], 12))).toBe(true);
+  });
+
+  it('rejects a combo whose stage limits add up to more than its time limit', () => {
+    expect(() => validateChallengeEntry(comboEntry([8, 8, 10], 25))).toThrow(/add up to 26 s/);
+  });
+});
+
+describe('createChallengeFromEntry', () => {
+  it.each([0.7, 1, 1.3])('keeps the stage limits within the combo limit at a time multiplier of %f', (timeMultiplier) => {
+    CHALLENGE_CATALOG
+      .filter((entry) => entry.type === CHALLENGE_TYPES.COMBO)
+      .forEach((entry) => {
+        const challenge = createChallengeFromEntry(entry, { timeMultiplier });
+        const stagesTime = challenge.stages.reduce((sum, stage) => sum + (stage.timeLimit || 0), 0);
+        expect(stagesTime).toBeLessThanOrEqual(challenge.timeLimit);
+      });
+  });
+});
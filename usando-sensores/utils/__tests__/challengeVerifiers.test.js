@@ -0,0 +1,251 @@
+import { CHALLENGE_CATALOG, createChallengeFromEntry } from '../challengeCatalog';
+import { createChallengeVerifier } from '../challengeVerifiers';
+import { createGravitySeparator } from '../filters';
+import {
+  createRandom,
+  createSyntheticGenerator,
+  jumpMotion,
+  motionForChallenge,
+  sequenceMotion,
+  shakeMotion,
+  spinMotion,
+  squatMotion,
+  stillMotion,
+  walkingMotion
+} from '../syntheticMotion';
+
+const catalogChallenge = (id) => createChallengeFromEntry(CHALLENGE_CATALOG.find((entry) => entry.id === id));
+
+// Feed a motion to a verifier at the given times (ms), through the gravity split
+// the sensor service does; returns the last result
+const playAt = (verifier, motion, times, { seed = 1 } = {}) => {
+  const generator = createSyntheticGenerator(motion, { seed, startTime: 1000 });
+  const separator = createGravitySeparator();
+  let result = null;
+
+  times.forEach((elapsed) => {
+    const frame = generator.frameAt(elapsed);
+    result = verifier.update({ ...frame, ...separator.apply(frame.accelerometer) });
+  });
+  return result;
+};
+
+// Sample times every `interval` ms over `seconds`
+const everyInterval = (seconds, interval) => (
+  Array.from({ length: Math.floor(seconds * 1000 / interval) + 1 }, (unused, index) => index * interval)
+);
+
+// `seconds` of a motion every `interval` ms
+const play = (verifier, motion, { seconds, interval = 50, seed = 1 }) => (
+  playAt(verifier, motion, everyInterval(seconds, interval), { seed })
+);
+
+describe('createChallengeVerifier snapshots', () => {
+  it('restore a failed challenge as failed', () => {
+    const challenge = catalogChallenge('comboTiltShake');
+    const verifier = createChallengeVerifier(challenge);
+
+    // Never tilting runs out the first stage's time
+    expect(play(verifier, stillMotion(), { seconds: 7 }).failed).toBe(true);
+
+    const restored = createChallengeVerifier(challenge, { snapshot: verifier.serialize() });
+
+    // Doing the stage now changes nothing: the challenge is over
+    const result = play(restored, motionForChallenge(challenge.stages[0]), { seconds: 3 });
+
+    expect(result).toEqual(verifier.update(null));
+    expect(restored.getProgress()).toEqual(verifier.getProgress());
+  });
+
+  it('restore a combo in the middle of a stage', () => {
+    const challenge = catalogChallenge('comboTiltShake');
+    const motion = motionForChallenge(challenge.stages[0]);
+    const verifier = createChallengeVerifier(challenge);
+
+    // The first tilt of the stage, not the second
+    play(verifier, motion, { seconds: 1.2 });
+    expect(verifier.getProgress().stageProgress.tilts).toEqual(['left']);
+
+    const restored = createChallengeVerifier(challenge, { snapshot: verifier.serialize() });
+    expect(restored.getProgress()).toEqual(verifier.getProgress());
+
+    // Both go on the same from there
+    const rest = everyInterval(3, 50).map((time) => time + 1250);
+    expect(playAt(restored, motion, rest)).toEqual(playAt(verifier, motion, rest));
+    expect(restored.getProgress()).toEqual(verifier.getProgress());
+    expect(restored.getProgress().stage).toBe(1);
+  });
+});
+
+describe('ROTATE verifier', () => {
+  // A turn too big to finish, so the angle can be read after any time
+  const longTurn = { id: 'longTurn', type: 'ROTATE', degrees: 3600, direction: 1, timeLimit: 60 };
+
+  it.each([20, 50, 100])('integrates the same angle from samples every %i ms', (interval) => {
+    const verifier = createChallengeVerifier(longTurn);
+    play(verifier, spinMotion({ rate: 90 }), { seconds: 2, interval });
+
+    expect(Math.abs(verifier.getProgress().angle - 180)).toBeLessThan(3);
+  });
+
+  it('integrates over the sample times when they come unevenly', () => {
+    const random = createRandom(3);
+    const times = [0];
+    while (times[times.length - 1] < 2000) {
+      times.push(Math.min(2000, times[times.length - 1] + 10 + Math.round(random() * 90)));
+    }
+
+    const verifier = createChallengeVerifier(longTurn);
+    playAt(verifier, spinMotion({ rate: 90 }), times);
+
+    expect(Math.abs(verifier.getProgress().angle - 180)).toBeLessThan(3);
+  });
+
+  it('does not bridge a gap in the samples', () => {
+    // One second of spin, a second with no samples, then another second
+    const times = [...everyInterval(1, 50), ...everyInterval(1, 50).map((time) => time + 2000)];
+
+    const verifier = createChallengeVerifier(longTurn);
+    playAt(verifier, spinMotion({ rate: 90 }), times);
+
+    expect(Math.abs(verifier.getProgress().angle - 180)).toBeLessThan(3);
+  });
+
+  it('counts a counter-clockwise turn against a clockwise challenge', () => {
+    const verifier = createChallengeVerifier(longTurn);
+    play(verifier, spinMotion({ rate: 90, direction: -1 }), { seconds: 2 });
+
+    expect(Math.abs(verifier.getProgress().angle + 180)).toBeLessThan(3);
+    expect(verifier.getProgress().progress).toBe(0);
+  });
+});
+
+describe('TILT verifier', () => {
+  const tiltRightLeft = { id: 'tiltRightLeft', type: 'TILT', directions: ['right', 'left'], timeLimit: 60 };
+
+  // Lean right by each angle in turn (negative is left), a second each
+  const leanRight = (angles) => sequenceMotion(angles.map((roll) => ({ motion: stillMotion({ roll }), duration: 1 })));
+
+  it('enters a pose only past the enter angle', () => {
+    const verifier = createChallengeVerifier(tiltRightLeft);
+
+    play(verifier, leanRight([20]), { seconds: 1 });
+    expect(verifier.getProgress().pose).toBe('neutral');
+
+    play(verifier, leanRight([35]), { seconds: 1 });
+    expect(verifier.getProgress().pose).toBe('right');
+  });
+
+  it('keeps the pose between the exit and enter angles and leaves it under the exit angle', () => {
+    const verifier = createChallengeVerifier(tiltRightLeft);
+
+    play(verifier, leanRight([35, 20]), { seconds: 2 });
+    expect(verifier.getProgress().pose).toBe('right');
+
+    play(verifier, leanRight([10]), { seconds: 1 });
+    expect(verifier.getProgress().pose).toBe('neutral');
+  });
+
+  it('counts a wobble around the enter angle as one tilt', () => {
+    const verifier = createChallengeVerifier(tiltRightLeft);
+    play(verifier, leanRight([35, 20, 30, 18, 28, 20, -35]), { seconds: 7 });
+
+    expect(verifier.getProgress().tilts).toEqual(['right', 'left']);
+    expect(verifier.getProgress().progress).toBe(1);
+  });
+});
+
+describe('SHAKE verifier', () => {
+  const shake = { id: 'shake', type: 'SHAKE', intensity: 2, duration: 2, timeLimit: 10 };
+
+  it('qualifies while the phone shakes past the intensity', () => {
+    const verifier = createChallengeVerifier(shake);
+
+    expect(play(verifier, shakeMotion({ amplitude: 2 }), { seconds: 1 }).completed).toBe(false);
+    expect(play(verifier, shakeMotion({ amplitude: 2 }), { seconds: 3 }).completed).toBe(true);
+  });
+
+  it('does not count a shake softer than the intensity', () => {
+    const verifier = createChallengeVerifier(shake);
+    play(verifier, shakeMotion({ amplitude: 0.5 }), { seconds: 5 });
+
+    expect(verifier.getProgress().progress).toBe(0);
+  });
+});
+
+describe('JUMP verifier', () => {
+  const jumps = { id: 'jumps', type: 'JUMP', count: 2, minHeight: 10, timeLimit: 30 };
+
+  // The accelerometer in free fall for `airtime` ms from `start`, at rest otherwise
+  const freeFall = (verifier, start, airtime) => {
+    [start - 20, start, start + airtime].forEach((timestamp) => verifier.update({
+      accelerometer: timestamp === start ? { x: 0, y: 0, z: 0 } : { x: 0, y: 0, z: 9.81 },
+      timestamp
+    }));
+  };
+
+  it('takes the height of a jump from its airtime', () => {
+    const verifier = createChallengeVerifier(jumps);
+    // g·t²/8 for 0.4 s in the air
+    freeFall(verifier, 1000, 400);
+
+    expect(verifier.getProgress().jumps).toBe(1);
+    expect(verifier.getProgress().height).toBeCloseTo(19.6, 1);
+  });
+
+  it('leaves out jumps lower than the minimum height and falls too long to be a jump', () => {
+    const verifier = createChallengeVerifier(jumps);
+    freeFall(verifier, 1000, 200);
+    freeFall(verifier, 3000, 1500);
+
+    expect(verifier.getProgress().jumps).toBe(0);
+  });
+
+  it('completes on synthetic jumps high enough', () => {
+    const verifier = createChallengeVerifier(jumps);
+    const result = play(verifier, jumpMotion({ count: 2, height: 0.2 }), { seconds: 4, interval: 20 });
+
+    expect(result.completed).toBe(true);
+    expect(Math.abs(verifier.getProgress().bestHeight - 20)).toBeLessThan(4);
+  });
+});
+
+describe('BALANCE verifier', () => {
+  const balance = { id: 'balance', type: 'BALANCE', tolerance: 0.5, duration: 3, timeLimit: 10 };
+
+  it('qualifies while the phone is held still', () => {
+    const verifier = createChallengeVerifier(balance);
+
+    expect(play(verifier, stillMotion(), { seconds: 4 }).completed).toBe(true);
+    expect(verifier.getProgress().spread).toBeLessThan(0.5);
+  });
+
+  it('fails to qualify while the phone moves', () => {
+    const verifier = createChallengeVerifier(balance);
+
+    expect(play(verifier, walkingMotion(), { seconds: 4 }).completed).toBe(false);
+    expect(verifier.getProgress().spread).toBeGreaterThan(0.5);
+  });
+});
+
+describe('SQUAT verifier', () => {
+  const squats = { id: 'squats', type: 'SQUAT', count: 3, depth: 25, timeLimit: 30 };
+
+  it('counts squats as deep as asked', () => {
+    const verifier = createChallengeVerifier(squats);
+    const result = play(verifier, squatMotion({ count: 3, depth: 0.4 }), { seconds: 11 });
+
+    expect(verifier.getProgress().squats).toBe(3);
+    expect(result.completed).toBe(true);
+  });
+
+  it('does not count squats too shallow, nor standing still', () => {
+    const shallow = createChallengeVerifier(squats);
+    const still = createChallengeVerifier(squats);
+    play(shallow, squatMotion({ count: 3, depth: 0.1 }), { seconds: 11 });
+    play(still, stillMotion(), { seconds: 11 });
+
+    expect(shallow.getProgress().squats).toBe(0);
+    expect(still.getProgress().squats).toBe(0);
+  });
+});
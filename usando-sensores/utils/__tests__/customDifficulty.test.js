@@ -0,0 +1,90 @@
+import { CHALLENGE_CATALOG, createChallengeFromEntry } from '../challengeCatalog';
+import { CUSTOM_THRESHOLD_LIMITS, createChallengeVerifier } from '../challengeVerifiers';
+import { createGravitySeparator } from '../filters';
+import { createStagedMotion, createSyntheticGenerator, motionForChallenge } from '../syntheticMotion';
+import { DIFFICULTY_PROFILES } from '../utils';
+
+jest.mock('expo-av', () => ({ Audio: { setAudioModeAsync: jest.fn(), Sound: { createAsync: jest.fn() } } }));
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+// Whether a challenge gets done in its time limit when played by synthetic
+// motion sampled every `interval` ms, each frame checked like runSyntheticChallenge does
+// The motion is sized for the sensitivity; `noise` is the generator's
+const completesInTime = (challenge, { customThresholds = null, sensitivityMultiplier = 1, noise, seed = 1, interval = 20 }) => {
+  const getMotion = (item) => motionForChallenge(item, { sensitivityMultiplier });
+  const staged = challenge.stages ? createStagedMotion(challenge.stages.map(getMotion)) : null;
+  const generator = createSyntheticGenerator(staged ? staged.motion : getMotion(challenge), { seed, noise, startTime: 1000 });
+  const separator = createGravitySeparator();
+  const verifier = createChallengeVerifier(challenge, { customThresholds, sensitivityMultiplier });
+  let stage = 0;
+
+  for (let elapsed = 0; elapsed <= challenge.timeLimit * 1000; elapsed += interval) {
+    const frame = generator.frameAt(elapsed);
+    const result = verifier.update({ ...frame, ...separator.apply(frame.accelerometer) });
+
+    if (result.completed || result.failed) return result.completed;
+
+    if (staged && verifier.getProgress().stage > stage) {
+      stage = verifier.getProgress().stage;
+      staged.advance(elapsed / 1000);
+    }
+  }
+  return false;
+};
+
+const names = Object.keys(CUSTOM_THRESHOLD_LIMITS);
+
+// Every threshold at the same end of its range
+const allAt = (end) => Object.fromEntries(names.map((name) => [name, CUSTOM_THRESHOLD_LIMITS[name][end]]));
+
+// One threshold at an end of its range, the others standard
+const oneAt = (name, end) => ({ ...allAt('standard'), [name]: CUSTOM_THRESHOLD_LIMITS[name][end] });
+
+const profiles = [
+  ['every threshold at its minimum', allAt('min')],
+  ['every threshold at its maximum', allAt('max')],
+  ...names.flatMap((name) => [
+    [`${name} at its minimum`, oneAt(name, 'min')],
+    [`${name} at its maximum`, oneAt(name, 'max')]
+  ])
+];
+
+describe('custom difficulty limits', () => {
+  it.each(profiles)('leave every catalog challenge doable with %s', (label, customThresholds) => {
+    const failing = CHALLENGE_CATALOG
+      .map((entry) => createChallengeFromEntry(entry))
+      .filter((challenge) => [1, 2, 3].some((seed) => !completesInTime(challenge, { customThresholds, seed })))
+      .map((challenge) => challenge.id);
+
+    expect(failing).toEqual([]);
+  });
+});
+
+describe('difficulty profiles', () => {
+  it.each(Object.keys(DIFFICULTY_PROFILES))('leave every catalog challenge doable in its time on %s', (difficulty) => {
+    const { sensitivity, timeMultiplier } = DIFFICULTY_PROFILES[difficulty];
+    // A player up to the profile holds the phone as steady as its balance tolerance asks
+    const noise = { accelerometer: 0.2 * Math.min(1, sensitivity), gyroscope: 0.01, magnetometer: 0.4 };
+
+    const failing = CHALLENGE_CATALOG
+      .map((entry) => createChallengeFromEntry(entry, { timeMultiplier }))
+      .filter((challenge) => [1, 2, 3].some((seed) => (
+        !completesInTime(challenge, { sensitivityMultiplier: sensitivity, noise, seed })
+      )))
+      .map((challenge) => challenge.id);
+
+    expect(failing).toEqual([]);
+  });
+
+  it('never cut into a hold when shortening the time limit', () => {
+    const balanceSteady = CHALLENGE_CATALOG.find((entry) => entry.id === 'balanceSteady');
+    const { duration } = balanceSteady.params;
+
+    // 8 s to hold out of 12: the 4 s around it are scaled, not the hold
+    expect(createChallengeFromEntry(balanceSteady, { timeMultiplier: 0.7 }).timeLimit).toBe(11);
+    expect(createChallengeFromEntry(balanceSteady, { timeMultiplier: 0.1 }).timeLimit).toBeGreaterThanOrEqual(duration);
+    expect(createChallengeFromEntry(balanceSteady, { timeMultiplier: 1.3 }).timeLimit).toBe(16);
+  });
+});
@@ -0,0 +1,91 @@
+import {
+  FILTER_TYPES,
+  createFilterPipeline,
+  createGravitySeparator,
+  createLowPassFilter,
+  createMedianFilter,
+  getHorizontalAcceleration,
+  getVerticalAcceleration
+} from '../filters';
+
+// `seconds` of a signal sampled every `interval` ms
+const sampleSignal = (signal, { seconds = 5, interval = 20 } = {}) => {
+  const samples = [];
+  for (let time = 0; time <= seconds * 1000; time += interval) {
+    samples.push({ ...signal(time / 1000), timestamp: time });
+  }
+  return samples;
+};
+
+// Largest absolute value of one axis over the last `count` samples
+const amplitude = (samples, axis, count) => Math.max(...samples.slice(-count).map((sample) => Math.abs(sample[axis])));
+
+describe('createLowPassFilter', () => {
+  it('passes slow signals and damps fast ones', () => {
+    const slow = createLowPassFilter({ cutoffHz: 2 });
+    const fast = createLowPassFilter({ cutoffHz: 2 });
+
+    const slowOut = sampleSignal((t) => ({ x: Math.sin(2 * Math.PI * 0.2 * t), y: 0, z: 0 })).map(slow.apply);
+    const fastOut = sampleSignal((t) => ({ x: Math.sin(2 * Math.PI * 10 * t), y: 0, z: 0 })).map(fast.apply);
+
+    expect(amplitude(slowOut, 'x', 100)).toBeGreaterThan(0.9);
+    expect(amplitude(fastOut, 'x', 100)).toBeLessThan(0.3);
+  });
+
+  it('follows a step at the same pace whatever the sample rate', () => {
+    // A 1 Hz cutoff is a time constant of 1/(2π) s: 1 - e^(-π) of the step after half a second
+    const expected = 4 * (1 - Math.exp(-Math.PI));
+
+    [10, 20, 50].forEach((interval) => {
+      const filter = createLowPassFilter({ cutoffHz: 1 });
+      const out = sampleSignal((t) => ({ x: t > 0 ? 4 : 0, y: 0, z: 0 }), { seconds: 0.5, interval }).map(filter.apply);
+
+      expect(Math.abs(out[out.length - 1].x - expected)).toBeLessThan(0.2);
+    });
+  });
+});
+
+describe('createMedianFilter', () => {
+  it('removes an isolated spike', () => {
+    const filter = createMedianFilter({ size: 3 });
+    const out = [1, 1, 50, 1, 1].map((x, index) => filter.apply({ x, y: 0, z: 0, timestamp: index * 20 }));
+
+    expect(out.map((sample) => sample.x)).toEqual([1, 1, 1, 1, 1]);
+  });
+});
+
+describe('createFilterPipeline', () => {
+  it('runs its stages in order', () => {
+    const pipeline = createFilterPipeline([{ type: FILTER_TYPES.MEDIAN, size: 3 }, { type: FILTER_TYPES.MOVING_AVERAGE, size: 2 }]);
+    const out = [0, 2, 100, 2].map((x, index) => pipeline.apply({ x, y: 0, z: 0, timestamp: index * 20 }));
+
+    // Medians 0, 1, 2, 2 then averaged in pairs
+    expect(out.map((sample) => sample.x)).toEqual([0, 0.5, 1.5, 2]);
+  });
+
+  it('rejects unknown filter types', () => {
+    expect(() => createFilterPipeline([{ type: 'kalman' }])).toThrow(/Unknown filter type/);
+  });
+});
+
+describe('createGravitySeparator', () => {
+  it('finds gravity under a bouncing motion and leaves the bounce as linear acceleration', () => {
+    const separator = createGravitySeparator();
+    const out = sampleSignal((t) => ({ x: 0, y: 0, z: 9.81 + 3 * Math.sin(2 * Math.PI * 2 * t) }), { seconds: 20 })
+      .map(separator.apply);
+    const last = out.slice(-50);
+
+    last.forEach(({ gravity }) => expect(Math.abs(gravity.z - 9.81)).toBeLessThan(0.5));
+    expect(amplitude(last.map((item) => item.linearAcceleration), 'z', 50)).toBeGreaterThan(2.5);
+  });
+});
+
+describe('getVerticalAcceleration and getHorizontalAcceleration', () => {
+  it('split the linear acceleration along and across gravity', () => {
+    const gravity = { x: 0, y: 9.81, z: 0 };
+    const linear = { x: 3, y: -2, z: 4 };
+
+    expect(getVerticalAcceleration(linear, gravity)).toBeCloseTo(-2);
+    expect(getHorizontalAcceleration(linear, gravity)).toBeCloseTo(5);
+  });
+});
@@ -0,0 +1,51 @@
+import { computeTiltCompensatedHeading, createHeadingEstimator, createHeadingSmoother, getHeadingDifference } from '../heading';
+import { createSyntheticGenerator, stillMotion } from '../syntheticMotion';
+
+// Gravity and field a noiseless phone reads in a pose
+const readPose = (pose) => {
+  const { accelerometer, magnetometer } = createSyntheticGenerator(stillMotion(pose), { noise: null }).frameAt(0);
+  return { gravity: accelerometer, magnetometer };
+};
+
+describe('computeTiltCompensatedHeading', () => {
+  it.each([
+    [0, 0],
+    [45, 30],
+    [120, 60],
+    [200, -25],
+    [300, 80],
+    [350, 45]
+  ])('reads heading %i° with the phone pitched %i°', (heading, pitch) => {
+    const { gravity, magnetometer } = readPose({ heading, pitch, roll: 0 });
+
+    expect(Math.abs(getHeadingDifference(heading, computeTiltCompensatedHeading(gravity, magnetometer)))).toBeLessThan(0.01);
+  });
+
+  it('has no heading without gravity', () => {
+    expect(computeTiltCompensatedHeading({ x: 0, y: 0, z: 0 }, { x: 0, y: 22, z: -40 })).toBeNull();
+  });
+});
+
+describe('createHeadingSmoother', () => {
+  it('goes across north the short way', () => {
+    const smoother = createHeadingSmoother({ cutoffHz: 1 });
+    smoother.apply(355, 0);
+
+    for (let time = 50; time <= 300; time += 50) {
+      const heading = smoother.apply(5, time);
+      expect(Math.abs(getHeadingDifference(0, heading))).toBeLessThanOrEqual(5);
+    }
+  });
+});
+
+describe('createHeadingEstimator', () => {
+  it('adds the declination when asked for true north', () => {
+    const estimator = createHeadingEstimator({ declination: -20, useTrueNorth: true });
+    const { gravity, magnetometer } = readPose({ heading: 90 });
+    const result = estimator.update(gravity, magnetometer, 0);
+
+    expect(result.magneticHeading).toBeCloseTo(90);
+    expect(result.trueHeading).toBeCloseTo(70);
+    expect(result.heading).toBeCloseTo(70);
+  });
+});
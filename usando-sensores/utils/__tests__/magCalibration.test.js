@@ -0,0 +1,93 @@
+import {
+  applyMagnetometerCalibration,
+  createFieldDriftMonitor,
+  createMagnetometerCalibrator,
+  fitMagnetometerCalibration
+} from '../magCalibration';
+import { createRandom } from '../syntheticMotion';
+
+const FIELD = 45; // μT
+const OFFSET = { x: 12, y: -30, z: 5 };
+const SOFT_IRON = { x: 1.2, y: 0.9, z: 1 };
+
+// Readings of a phone waved through every direction, `count` points spread over the
+// sphere (Fibonacci spiral), distorted by the hard- and soft-iron above plus some noise
+const waveReadings = ({ count = 400, seed = 1, noise = 0.3 } = {}) => {
+  const random = createRandom(seed);
+  const golden = Math.PI * (3 - Math.sqrt(5));
+
+  return Array.from({ length: count }, (unused, index) => {
+    const z = 1 - (2 * (index + 0.5)) / count;
+    const ring = Math.sqrt(1 - z * z);
+    const direction = { x: ring * Math.cos(golden * index), y: ring * Math.sin(golden * index), z };
+
+    return Object.fromEntries(['x', 'y', 'z'].map((axis) => [
+      axis,
+      FIELD * direction[axis] * SOFT_IRON[axis] + OFFSET[axis] + noise * (random() - 0.5)
+    ]));
+  });
+};
+
+const magnitude = (v) => Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+
+describe('fitMagnetometerCalibration', () => {
+  it('recovers the hard-iron offset and evens out the soft-iron scale', () => {
+    const samples = waveReadings();
+    const calibration = fitMagnetometerCalibration(samples, 0);
+
+    ['x', 'y', 'z'].forEach((axis) => {
+      expect(Math.abs(calibration.offset[axis] - OFFSET[axis])).toBeLessThan(0.5);
+    });
+
+    const strengths = samples.map((sample) => magnitude(applyMagnetometerCalibration(sample, calibration)));
+    strengths.forEach((strength) => {
+      expect(Math.abs(strength - calibration.fieldStrength) / calibration.fieldStrength).toBeLessThan(0.02);
+    });
+    expect(calibration.quality).toBeGreaterThan(0.75);
+  });
+
+  it('needs enough samples', () => {
+    expect(fitMagnetometerCalibration(waveReadings({ count: 50 }))).toBeNull();
+  });
+});
+
+describe('createMagnetometerCalibrator', () => {
+  it('is not ready while the phone only turns flat on a table', () => {
+    const calibrator = createMagnetometerCalibrator();
+    let progress;
+    for (let index = 0; index < 300; index++) {
+      const angle = (index / 300) * 2 * Math.PI;
+      progress = calibrator.add({ x: FIELD * Math.cos(angle), y: FIELD * Math.sin(angle), z: -20 });
+    }
+
+    expect(progress.ready).toBe(false);
+  });
+
+  it('is ready once the phone has been waved through every direction', () => {
+    const calibrator = createMagnetometerCalibrator();
+    let progress;
+    waveReadings().forEach((sample) => {
+      progress = calibrator.add(sample);
+    });
+
+    expect(progress.ready).toBe(true);
+  });
+});
+
+describe('createFieldDriftMonitor', () => {
+  it('flags a field that stays off the calibrated strength', () => {
+    const monitor = createFieldDriftMonitor();
+    const sample = (strength, timestamp) => ({ x: strength, y: 0, z: 0, timestamp });
+
+    for (let time = 0; time <= 2000; time += 50) {
+      expect(monitor.update(sample(FIELD, time), FIELD)).toBe(false);
+    }
+    // Near a magnet: twice the field for a few seconds
+    let drifting = false;
+    for (let time = 2050; time <= 8000; time += 50) {
+      drifting = monitor.update(sample(2 * FIELD, time), FIELD);
+    }
+
+    expect(drifting).toBe(true);
+  });
+});
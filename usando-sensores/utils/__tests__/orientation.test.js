@@ -0,0 +1,53 @@
+import { createOrientationEstimator, quaternionFromVectors, quaternionToEuler } from '../orientation';
+import { createSyntheticGenerator, spinMotion, stillMotion } from '../syntheticMotion';
+
+// Estimate after `seconds` of a synthetic motion sampled every 20 ms
+const estimate = (motion, { seconds = 3, withMagnetometer = true } = {}) => {
+  const generator = createSyntheticGenerator(motion, { seed: 1 });
+  const estimator = createOrientationEstimator();
+  let orientation = null;
+
+  for (let elapsed = 0; elapsed <= seconds * 1000; elapsed += 20) {
+    const { accelerometer, gyroscope, magnetometer, timestamp } = generator.frameAt(elapsed);
+    orientation = estimator.update({ accelerometer, gyroscope, magnetometer: withMagnetometer ? magnetometer : null, timestamp });
+  }
+  return orientation;
+};
+
+// Signed difference between two headings, in degrees
+const headingError = (a, b) => ((a - b + 540) % 360) - 180;
+
+describe('createOrientationEstimator', () => {
+  it('finds the pitch, roll and heading of a phone held still', () => {
+    const orientation = estimate(stillMotion({ heading: 60, pitch: 30, roll: -20 }));
+
+    expect(Math.abs(orientation.pitch - 30)).toBeLessThan(2);
+    expect(Math.abs(orientation.roll + 20)).toBeLessThan(2);
+    expect(Math.abs(headingError(orientation.yaw, 60))).toBeLessThan(3);
+  });
+
+  it('follows a spin at a known rate', () => {
+    // 90°/s clockwise for 2 s, from north
+    const orientation = estimate(spinMotion({ rate: 90 }), { seconds: 2 });
+
+    expect(Math.abs(headingError(orientation.yaw, 180))).toBeLessThan(5);
+    expect(Math.abs(orientation.pitch)).toBeLessThan(2);
+  });
+
+  it('integrates the gyroscope when there is no magnetometer', () => {
+    const start = estimate(spinMotion({ rate: 45 }), { seconds: 0, withMagnetometer: false });
+    const end = estimate(spinMotion({ rate: 45 }), { seconds: 2, withMagnetometer: false });
+
+    expect(Math.abs(headingError(end.yaw, start.yaw + 90))).toBeLessThan(5);
+  });
+});
+
+describe('quaternionFromVectors', () => {
+  it('reads a phone lying flat and pointing north as level with heading 0', () => {
+    const euler = quaternionToEuler(quaternionFromVectors({ x: 0, y: 0, z: 9.81 }, { x: 0, y: 22, z: -40 }));
+
+    expect(euler.pitch).toBeCloseTo(0);
+    expect(euler.roll).toBeCloseTo(0);
+    expect(Math.abs(headingError(euler.yaw, 0))).toBeLessThan(1e-6);
+  });
+});
@@ -0,0 +1,59 @@
+import { computeSampleStats, createSampleBuffer } from '../sampleBuffer';
+
+const sample = (timestamp, x = 0, y = 0, z = 0) => ({ x, y, z, timestamp });
+
+describe('createSampleBuffer', () => {
+  it('keeps the newest samples in order once full', () => {
+    const buffer = createSampleBuffer(3);
+    [1, 2, 3, 4, 5].forEach((time) => buffer.push(sample(time)));
+
+    expect(buffer.size()).toBe(3);
+    expect(buffer.toArray().map((item) => item.timestamp)).toEqual([3, 4, 5]);
+    expect(buffer.latest().timestamp).toBe(5);
+  });
+
+  it('measures windows back from the newest sample', () => {
+    const buffer = createSampleBuffer();
+    for (let time = 0; time <= 1000; time += 100) {
+      buffer.push(sample(time, time));
+    }
+
+    expect(buffer.getWindow(300).map((item) => item.timestamp)).toEqual([700, 800, 900, 1000]);
+    expect(buffer.getWindow(200, 500).map((item) => item.timestamp)).toEqual([300, 400, 500]);
+  });
+
+  it('resamples onto a uniform grid by linear interpolation', () => {
+    const buffer = createSampleBuffer();
+    buffer.push(sample(0, 0));
+    buffer.push(sample(30, 3));
+    buffer.push(sample(100, 10));
+
+    const resampled = buffer.resample(50);
+
+    expect(resampled.map((item) => item.timestamp)).toEqual([0, 20, 40, 60, 80, 100]);
+    resampled.forEach((item) => expect(item.x).toBeCloseTo(item.timestamp / 10));
+  });
+
+  it('starts over when cleared', () => {
+    const buffer = createSampleBuffer(4);
+    buffer.push(sample(1));
+    buffer.clear();
+
+    expect(buffer.size()).toBe(0);
+    expect(buffer.latest()).toBeNull();
+    expect(buffer.getWindow(1000)).toEqual([]);
+  });
+});
+
+describe('computeSampleStats', () => {
+  it('gives the mean, variance and peak of each axis', () => {
+    const stats = computeSampleStats([sample(0, 1, -4, 0), sample(50, 3, 4, 0)]);
+
+    expect(stats.count).toBe(2);
+    expect(stats.duration).toBe(50);
+    expect(stats.mean.x).toBeCloseTo(2);
+    expect(stats.variance.x).toBeCloseTo(1);
+    expect(stats.peak.y).toBeCloseTo(4);
+    expect(stats.mean.magnitude).toBeCloseTo((Math.sqrt(17) + 5) / 2);
+  });
+});
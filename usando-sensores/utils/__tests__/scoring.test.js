@@ -0,0 +1,85 @@
+import { scoreChallenge, summarizeScores } from '../scoring';
+
+const rotate = { id: 'rotateClockwise', type: 'ROTATE', degrees: 90, timeLimit: 20 };
+const completed = (performance) => ({ completed: true, performance });
+
+describe('scoreChallenge', () => {
+  it('adds completion, precision and speed points', () => {
+    const score = scoreChallenge(rotate, { result: completed(0.8), timeLeft: 10 });
+
+    expect(score).toMatchObject({
+      completion: 50,
+      precision: 40,
+      speed: 15,
+      streakBonus: 0,
+      multiplier: 1,
+      streak: 1,
+      total: 105,
+      timeRatio: 0.5
+    });
+  });
+
+  it('multiplies the points by the streak, up to one and a half times', () => {
+    const third = scoreChallenge(rotate, { result: completed(1), timeLeft: 20, streak: 2 });
+    const tenth = scoreChallenge(rotate, { result: completed(1), timeLeft: 20, streak: 9 });
+
+    expect(third.multiplier).toBeCloseTo(1.2);
+    expect(third.total).toBe(156);
+    expect(third.streakBonus).toBe(156 - 130);
+    expect(tenth.multiplier).toBe(1.5);
+    expect(tenth.total).toBe(195);
+  });
+
+  it('keeps performance and time left within range', () => {
+    const score = scoreChallenge(rotate, { result: completed(1.7), timeLeft: 30 });
+
+    expect(score.precision).toBe(50);
+    expect(score.speed).toBe(30);
+  });
+
+  it('scores nothing for a challenge not completed', () => {
+    const score = scoreChallenge(rotate, { result: { completed: false, performance: 0.9 }, timeLeft: 10, streak: 4 });
+
+    expect(score.total).toBe(0);
+    expect(score.streak).toBe(0);
+    expect(scoreChallenge(rotate).total).toBe(0);
+  });
+
+  it('explains the precision in degrees', () => {
+    const direction = { id: 'faceNorth', type: 'DIRECTION', direction: 0, timeLimit: 10 };
+    const halfAndBack = { ...rotate, id: 'rotateHalfAndBack', degrees: 180, returnToStart: true };
+
+    expect(scoreChallenge(direction, { result: completed(0.9), progress: { difference: 6 } }).details)
+      .toEqual({ headingError: 6 });
+    expect(scoreChallenge(rotate, { result: completed(0.9), progress: { angle: -104, target: 90 } }).details)
+      .toEqual({ overshoot: 14 });
+    expect(scoreChallenge(halfAndBack, { result: completed(0.9), progress: { angle: -8, target: 180 } }).details)
+      .toEqual({ returnError: 8 });
+    expect(scoreChallenge({ type: 'SHAKE', timeLimit: 5 }, { result: completed(1) }).details).toEqual({});
+  });
+});
+
+describe('summarizeScores', () => {
+  it('adds up the parts of the challenges that have them', () => {
+    const history = [
+      // Saved before the breakdown existed
+      { id: 'shake', completed: true, score: 120 },
+      { id: 'rotateClockwise', completed: true, score: 105, scoring: scoreChallenge(rotate, { result: completed(0.8), timeLeft: 10 }) },
+      {
+        id: 'rotateClockwise',
+        completed: true,
+        score: 156,
+        scoring: scoreChallenge(rotate, { result: completed(1), timeLeft: 20, streak: 2 })
+      },
+      { id: 'faceNorth', completed: false, score: 0, scoring: scoreChallenge(rotate) }
+    ];
+
+    expect(summarizeScores(history)).toEqual({ completion: 100, precision: 90, speed: 45, streakBonus: 26 });
+  });
+
+  it('is null when no challenge has a breakdown', () => {
+    expect(summarizeScores([{ id: 'shake', completed: true, score: 120 }])).toBeNull();
+    expect(summarizeScores([])).toBeNull();
+    expect(summarizeScores()).toBeNull();
+  });
+});
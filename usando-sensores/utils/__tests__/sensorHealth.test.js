@@ -0,0 +1,41 @@
+import { HEALTH_STATUS, createStreamHealthMonitor } from '../sensorHealth';
+
+const sample = (timestamp) => ({ x: 0, y: 0, z: 9.81, timestamp });
+
+describe('createStreamHealthMonitor', () => {
+  it('reports a started stream that never delivers as stalled', () => {
+    const monitor = createStreamHealthMonitor({ expectedInterval: 50 });
+    monitor.start(1000);
+
+    expect(monitor.getStats(1500).status).toBe(HEALTH_STATUS.OK);
+
+    const stats = monitor.getStats(2100);
+    expect(stats.status).toBe(HEALTH_STATUS.STALLED);
+    expect(stats.sinceLastSample).toBeNull();
+  });
+
+  it('is not stalled before the stream is started', () => {
+    const monitor = createStreamHealthMonitor({ expectedInterval: 50 });
+
+    expect(monitor.getStats(100000).status).toBe(HEALTH_STATUS.OK);
+  });
+
+  it('measures the stall from the last sample once samples came', () => {
+    const monitor = createStreamHealthMonitor({ expectedInterval: 50 });
+    monitor.start(1000);
+    for (let time = 1000; time <= 3000; time += 50) {
+      monitor.update(sample(time), time);
+    }
+
+    expect(monitor.getStats(3500).status).toBe(HEALTH_STATUS.OK);
+    expect(monitor.getStats(4100).status).toBe(HEALTH_STATUS.STALLED);
+  });
+
+  it('forgets the start time on reset', () => {
+    const monitor = createStreamHealthMonitor({ expectedInterval: 50 });
+    monitor.start(1000);
+    monitor.reset();
+
+    expect(monitor.getStats(5000).status).toBe(HEALTH_STATUS.OK);
+  });
+});
@@ -0,0 +1,115 @@
+import { STANDARD_GRAVITY } from '../sensorFrame';
+import { SENSOR_TRACE_VERSION, createSampleClock, createTraceRecorder, createTraceSource, upgradeSensorTrace } from '../sensorSources';
+
+// Accelerometer and gyroscope samples at uneven times, as a live session delivers them
+const RECORDED = [
+  ['accelerometer', { x: 0.1, y: -0.2, z: 9.81, timestamp: 5000 }],
+  ['gyroscope', { x: 0, y: 0.01, z: 0.5, timestamp: 5004 }],
+  ['accelerometer', { x: 0.3, y: -0.1, z: 9.7, timestamp: 5021 }],
+  ['gyroscope', { x: 0.02, y: 0, z: 0.55, timestamp: 5047 }],
+  ['accelerometer', { x: 0.2, y: 0, z: 9.9, timestamp: 5063 }]
+];
+
+const recordTrace = () => {
+  const recorder = createTraceRecorder(['accelerometer', 'gyroscope']);
+  RECORDED.forEach(([name, sample]) => recorder.add(name, sample));
+  return recorder.getTrace();
+};
+
+// Listen to both sensors of a trace source, collecting [name, sample] in arrival order
+const listenToAll = (source) => {
+  const received = [];
+  ['accelerometer', 'gyroscope'].forEach((name) => {
+    source.addListener(name, (sample) => received.push([name, sample]));
+  });
+  return received;
+};
+
+describe('createSampleClock', () => {
+  it('keeps the spacing of the sample stamps, not of their delivery', () => {
+    const clock = createSampleClock();
+
+    // Samples taken every 20 ms on the device clock, delivered to JS in a batch
+    const first = clock.toWallTime(100.00, 50000);
+    const second = clock.toWallTime(100.02, 50065);
+    const third = clock.toWallTime(100.04, 50066);
+
+    expect(second - first).toBeCloseTo(20);
+    expect(third - second).toBeCloseTo(20);
+  });
+
+  it('follows the least delayed delivery', () => {
+    const clock = createSampleClock();
+
+    clock.toWallTime(100.00, 50040);
+    expect(clock.toWallTime(100.02, 50025)).toBeCloseTo(50025);
+    expect(clock.toWallTime(100.04, 50090)).toBeCloseTo(50045);
+  });
+
+  it('takes the offset afresh when the wall clock jumps ahead', () => {
+    const clock = createSampleClock();
+
+    clock.toWallTime(100.00, 50000);
+    expect(clock.toWallTime(100.02, 60020)).toBeCloseTo(60020);
+  });
+
+  it('uses the arrival time when the sample has no stamp', () => {
+    const clock = createSampleClock();
+
+    expect(clock.toWallTime(undefined, 50000)).toBe(50000);
+    expect(clock.toWallTime(NaN, 50010)).toBe(50010);
+  });
+});
+
+describe('sensor traces', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('replays a recording with the same samples in the same order', () => {
+    const source = createTraceSource(recordTrace());
+    const received = listenToAll(source);
+    source.drain();
+
+    expect(received.map(([name, { x, y, z }]) => [name, { x, y, z }]))
+      .toEqual(RECORDED.map(([name, { x, y, z }]) => [name, { x, y, z }]));
+    expect(source.isFinished()).toBe(true);
+  });
+
+  it('replays a recording with its own timing', () => {
+    jest.useFakeTimers();
+    const source = createTraceSource(recordTrace());
+    const received = listenToAll(source);
+
+    jest.advanceTimersByTime(30);
+    expect(received).toHaveLength(3);
+
+    jest.advanceTimersByTime(100);
+    expect(received).toHaveLength(RECORDED.length);
+
+    const start = received[0][1].timestamp;
+    expect(received.map(([, sample]) => sample.timestamp - start))
+      .toEqual(RECORDED.map(([, sample]) => sample.timestamp - RECORDED[0][1].timestamp));
+  });
+
+  it('brings a version 1 trace, accelerometer in g, to the current version', () => {
+    const upgraded = upgradeSensorTrace({
+      version: 1,
+      recordedAt: '2024-01-01T00:00:00.000Z',
+      duration: 20,
+      sensors: {
+        accelerometer: [[0, 0, 0, 1], [20, 0.5, 0, 1]],
+        gyroscope: [[0, 0.1, 0.2, 0.3]]
+      }
+    });
+
+    expect(upgraded.version).toBe(SENSOR_TRACE_VERSION);
+    expect(upgraded.sensors.accelerometer[0][3]).toBeCloseTo(STANDARD_GRAVITY);
+    expect(upgraded.sensors.accelerometer[1][1]).toBeCloseTo(0.5 * STANDARD_GRAVITY);
+    expect(upgraded.sensors.gyroscope).toEqual([[0, 0.1, 0.2, 0.3]]);
+  });
+
+  it('rejects a trace of an unknown version', () => {
+    expect(() => upgradeSensorTrace({ version: 99, sensors: {} })).toThrow(/version/);
+  });
+});
@@ -0,0 +1,145 @@
+import { createGravitySeparator, getHorizontalAcceleration, getVerticalAcceleration } from '../filters';
+import { createStepDetector } from '../stepDetector';
+import { createTraceRecorder, createTraceSource } from '../sensorSources';
+import { createSyntheticGenerator, jumpMotion, walkingMotion } from '../syntheticMotion';
+
+// Steps counted over `seconds` of a synthetic motion sampled every `interval` ms,
+// through the same gravity split the sensor service does, as the RUN verifier feeds them
+const countSteps = (motion, { seconds = 10, interval = 50, seed = 1 } = {}) => {
+  const generator = createSyntheticGenerator(motion, { seed, startTime: 1000 });
+  const separator = createGravitySeparator();
+  const detector = createStepDetector();
+
+  for (let elapsed = 0; elapsed <= seconds * 1000; elapsed += interval) {
+    const frame = generator.frameAt(elapsed);
+    const { gravity, linearAcceleration } = separator.apply(frame.accelerometer);
+    detector.update(
+      getVerticalAcceleration(linearAcceleration, gravity),
+      frame.timestamp,
+      getHorizontalAcceleration(linearAcceleration, gravity)
+    );
+  }
+  return detector.getStats();
+};
+
+// Times (ms into the trace) of the steps counted while a trace replays, accelerometer only
+const getTraceStepTimes = (trace) => {
+  const source = createTraceSource(trace);
+  const separator = createGravitySeparator();
+  const times = [];
+  let start = null;
+  const detector = createStepDetector({ onStep: (step) => times.push(step.timestamp - start) });
+
+  source.addListener('accelerometer', (sample) => {
+    if (start === null) {
+      start = sample.timestamp;
+    }
+    const { gravity, linearAcceleration } = separator.apply(sample);
+    detector.update(
+      getVerticalAcceleration(linearAcceleration, gravity),
+      sample.timestamp,
+      getHorizontalAcceleration(linearAcceleration, gravity)
+    );
+  });
+  source.drain();
+  return times;
+};
+
+// Trace of a session: walking, three jumps on the spot, walking again
+const recordWalkJumpWalk = ({ seed = 1 } = {}) => {
+  const walk = walkingMotion({ cadence: 120, amplitude: 0.4 });
+  const jumps = jumpMotion({ count: 3, height: 0.15, wait: 0.5 });
+  const motion = (time) => {
+    if (time < 6) return walk(time);
+    if (time < 10) return jumps(time - 6);
+    return walk(time - 10);
+  };
+
+  const generator = createSyntheticGenerator(motion, { seed, startTime: 1000 });
+  const recorder = createTraceRecorder(['accelerometer']);
+  for (let elapsed = 0; elapsed <= 15000; elapsed += 20) {
+    recorder.add('accelerometer', generator.frameAt(elapsed).accelerometer);
+  }
+  return recorder.getTrace();
+};
+
+// Phone shaken in the hand: fast and mostly sideways, held upright, with a
+// little vertical movement from the wrist
+const handheldShakeMotion = ({ rate = 6, amplitude = 1.5 } = {}) => (time) => {
+  const phase = 2 * Math.PI * rate * time;
+  return {
+    heading: 0,
+    pitch: 70 + 5 * Math.sin(phase),
+    roll: 10 * Math.sin(phase),
+    linear: { east: amplitude * Math.sin(phase), north: 0.3 * amplitude * Math.cos(phase), up: 0.15 * amplitude * Math.sin(2 * phase) }
+  };
+};
+
+describe('createStepDetector', () => {
+  it.each([
+    ['slow walk', 90, 0.3],
+    ['walk', 115, 0.4],
+    ['brisk walk', 130, 0.5],
+    ['run', 165, 1.0],
+    ['sprint', 190, 1.4]
+  ])('counts the steps of a %s at %i steps/min', (name, cadence, amplitude) => {
+    const seconds = 10;
+    const expected = (cadence / 60) * seconds;
+
+    [1, 2, 3].forEach((seed) => {
+      const stats = countSteps(walkingMotion({ cadence, amplitude }), { seconds, seed });
+      expect(Math.abs(stats.steps - expected)).toBeLessThanOrEqual(Math.max(2, expected * 0.1));
+    });
+  });
+
+  it('measures the cadence', () => {
+    const stats = countSteps(walkingMotion({ cadence: 120, amplitude: 0.4 }));
+
+    expect(Math.abs(stats.cadence - 120)).toBeLessThanOrEqual(12);
+  });
+
+  it('counts the steps of every sampling rate alike', () => {
+    const expected = 20;
+
+    [20, 50, 100].forEach((interval) => {
+      const stats = countSteps(walkingMotion({ cadence: 120, amplitude: 0.4 }), { interval });
+      expect(Math.abs(stats.steps - expected)).toBeLessThanOrEqual(2);
+    });
+  });
+
+  it('counts no steps while the phone lies still', () => {
+    const stats = countSteps(() => ({ heading: 0, pitch: 0, roll: 0, linear: { east: 0, north: 0, up: 0 } }));
+
+    expect(stats.steps).toBe(0);
+  });
+
+  it.each([
+    ['low', 0.05, 0.6],
+    ['standard', 0.15, 1.2],
+    ['high', 0.3, 1.5]
+  ])('counts no steps for %s jumps on the spot', (name, height, interval) => {
+    [1, 2, 3].forEach((seed) => {
+      const stats = countSteps(jumpMotion({ count: 5, height, interval }), { seconds: 5 * interval + 2, seed });
+      expect(stats.steps).toBe(0);
+    });
+  });
+
+  it('counts the walking but not the jumps of a recorded session', () => {
+    [1, 2, 3].forEach((seed) => {
+      const times = getTraceStepTimes(recordWalkJumpWalk({ seed }));
+      const count = (from, to) => times.filter((time) => time >= from && time < to).length;
+
+      // 6 s and 5 s of walking at 2 steps/s, around the jumps
+      expect(Math.abs(count(0, 6500) - 12)).toBeLessThanOrEqual(1);
+      expect(count(6500, 10000)).toBe(0);
+      expect(Math.abs(count(10000, 15000) - 10)).toBeLessThanOrEqual(1);
+    });
+  });
+
+  it('counts few steps while the phone is shaken in the hand', () => {
+    [1, 2, 3].forEach((seed) => {
+      const stats = countSteps(handheldShakeMotion(), { seed });
+      expect(stats.steps).toBeLessThanOrEqual(2);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  CUSTOM_THRESHOLD_LIMITS,
+  getChallengeCatalog,
+  getChallengeSensorRequirements,
+  runSyntheticChallenge,
+  setSensorSource,
+  startSensorServices,
+  stepCustomThreshold,
+  stopSensorServices
+} from '../utils';
+
+jest.mock('expo-av', () => ({ Audio: { setAudioModeAsync: jest.fn(), Sound: { createAsync: jest.fn() } } }));
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+const SEED = 7;
+
+describe('runSyntheticChallenge', () => {
+  it.each(getChallengeCatalog().map((challenge) => [challenge.id, challenge]))(
+    'completes %s at the standard settings',
+    (id, challenge) => {
+      const result = runSyntheticChallenge(challenge, { seed: SEED });
+
+      expect(result.completed).toBe(true);
+      expect(result.elapsed).toBeLessThanOrEqual(challenge.timeLimit * 1000);
+    }
+  );
+
+  it('gives the same result for the same seed', () => {
+    getChallengeCatalog().forEach((challenge) => {
+      expect(runSyntheticChallenge(challenge, { seed: SEED })).toEqual(runSyntheticChallenge(challenge, { seed: SEED }));
+    });
+  });
+});
+
+describe('getChallengeSensorRequirements', () => {
+  const byId = (id) => getChallengeCatalog().find((challenge) => challenge.id === id);
+
+  it('asks for 50 Hz samples to time jumps', () => {
+    expect(getChallengeSensorRequirements(byId('jumpThree')).interval).toBe(20);
+  });
+
+  it('samples a combo as fast as its fastest stage', () => {
+    expect(getChallengeSensorRequirements(byId('comboJumpBalance')).interval).toBe(20);
+    expect(getChallengeSensorRequirements(byId('balanceStill')).interval).toBe(50);
+  });
+
+  it('has the sensors sampled that fast while the challenge runs, and no longer', async () => {
+    // A source that only records the intervals it is given
+    const setUpdateInterval = jest.fn();
+    await setSensorSource({
+      isAvailableAsync: async () => true,
+      setUpdateInterval,
+      addListener: () => ({ remove: () => {} })
+    });
+    const lastInterval = () => setUpdateInterval.mock.calls.filter(([name]) => name === 'accelerometer').pop()[1];
+
+    const handle = await startSensorServices(() => {}, byId('jumpThree'));
+    expect(lastInterval()).toBe(20);
+
+    stopSensorServices(handle);
+    const other = await startSensorServices(() => {}, byId('balanceStill'));
+    expect(lastInterval()).toBe(50);
+    stopSensorServices(other);
+  });
+});
+
+describe('stepCustomThreshold', () => {
+  // The values the + (or -) button goes through from `value` until it stops changing
+  const pressAll = (name, value, direction) => {
+    const values = [value];
+    let next = stepCustomThreshold(name, value, direction);
+    while (next !== values[values.length - 1]) {
+      values.push(next);
+      next = stepCustomThreshold(name, next, direction);
+    }
+    return values;
+  };
+
+  it.each(Object.entries(CUSTOM_THRESHOLD_LIMITS))('reaches the standard and both ends of %s', (name, { standard, min, max }) => {
+    const up = pressAll(name, min, 1);
+
+    expect(up).toContain(standard);
+    expect(up[up.length - 1]).toBe(max);
+    expect(pressAll(name, standard, 1).pop()).toBe(max);
+    expect(pressAll(name, standard, -1).pop()).toBe(min);
+    expect(pressAll(name, max, -1).pop()).toBe(min);
+  });
+
+  it('counts the steps from the minimum', () => {
+    expect(pressAll('rotationSpeed', 1, 1).slice(0, 4)).toEqual([1, 3, 5, 7]);
+  });
+
+  it('moves a value between steps to the next step that way', () => {
+    expect(stepCustomThreshold('rotationSpeed', 4, 1)).toBe(5);
+    expect(stepCustomThreshold('rotationSpeed', 4, -1)).toBe(3);
+  });
+});
@@ -0,0 +1,145 @@
+// ==================== BIAS CALIBRATION ====================
+// Zero-rate offsets of the gyroscope and the gravity magnitude the
+// accelerometer reads, estimated while the device rests. Corrected readings
+// have the gyroscope offset subtracted and the accelerometer scaled so that
+// gravity reads exactly standard gravity.
+
+import { createSampleBuffer } from './sampleBuffer';
+import { STANDARD_GRAVITY } from './sensorFrame';
+
+// Bias that leaves readings untouched
+export const IDENTITY_BIAS = {
+  gyroscope: { x: 0, y: 0, z: 0 },
+  gravityMagnitude: STANDARD_GRAVITY,
+  timestamp: 0
+};
+
+// How long the device must rest for an estimate (ms)
+const REST_WINDOW_MS = 2000;
+
+// Shorter window used to tell whether the device is still right now (ms)
+const STILL_WINDOW_MS = 500;
+
+// Enough for the rest window at 20 Hz, with room for faster streams
+const REST_BUFFER_CAPACITY = 128;
+
+// Largest standard deviations that still count as resting (rad/s and m/s²)
+const MAX_GYRO_DEVIATION = 0.03;
+const MAX_ACCEL_DEVIATION = 0.3;
+
+// Larger offsets than this are rotation, not bias (rad/s)
+const MAX_GYRO_OFFSET = 0.1;
+
+// Gravity readings outside this range (m/s²) point at a broken sensor, not a scale error
+const MIN_GRAVITY_MAGNITUDE = 0.8 * STANDARD_GRAVITY;
+const MAX_GRAVITY_MAGNITUDE = 1.2 * STANDARD_GRAVITY;
+
+// Fewest samples of each sensor before the device can be called still
+const MIN_STILL_SAMPLES = 5;
+
+const AXES = ['x', 'y', 'z'];
+
+// Remove the zero-rate offset from a gyroscope reading
+export const applyGyroscopeBias = (sample, bias = IDENTITY_BIAS) => ({
+  x: sample.x - bias.gyroscope.x,
+  y: sample.y - bias.gyroscope.y,
+  z: sample.z - bias.gyroscope.z,
+  timestamp: sample.timestamp
+});
+
+// Scale an accelerometer reading so gravity reads standard gravity
+export const applyAccelerometerBias = (sample, bias = IDENTITY_BIAS) => {
+  const scale = STANDARD_GRAVITY / bias.gravityMagnitude;
+
+  return {
+    x: sample.x * scale,
+    y: sample.y * scale,
+    z: sample.z * scale,
+    timestamp: sample.timestamp
+  };
+};
+
+// Whether window stats (from computeSampleStats) describe a device at rest
+export const isAtRest = (gyroscopeStats, accelerometerStats) => {
+  if (gyroscopeStats.count < MIN_STILL_SAMPLES || accelerometerStats.count < MIN_STILL_SAMPLES) {
+    return false;
+  }
+
+  const gyroscopeStill = AXES.every((axis) => (
+    Math.sqrt(gyroscopeStats.variance[axis]) <= MAX_GYRO_DEVIATION &&
+    Math.abs(gyroscopeStats.mean[axis]) <= MAX_GYRO_OFFSET
+  ));
+  const accelerometerStill = Math.sqrt(accelerometerStats.variance.magnitude) <= MAX_ACCEL_DEVIATION;
+
+  return gyroscopeStill && accelerometerStill;
+};
+
+// Bias from the stats of a resting window; null if the device moved or the readings are implausible
+export const estimateBias = (gyroscopeStats, accelerometerStats, timestamp = Date.now()) => {
+  if (!isAtRest(gyroscopeStats, accelerometerStats)) return null;
+
+  const gravityMagnitude = accelerometerStats.mean.magnitude;
+  if (gravityMagnitude < MIN_GRAVITY_MAGNITUDE || gravityMagnitude > MAX_GRAVITY_MAGNITUDE) {
+    return null;
+  }
+
+  return {
+    gyroscope: {
+      x: gyroscopeStats.mean.x,
+      y: gyroscopeStats.mean.y,
+      z: gyroscopeStats.mean.z
+    },
+    gravityMagnitude,
+    timestamp
+  };
+};
+
+// Watches raw gyroscope and accelerometer readings for periods of rest
+export const createRestDetector = ({ windowMs = REST_WINDOW_MS } = {}) => {
+  const buffers = {
+    gyroscope: createSampleBuffer(REST_BUFFER_CAPACITY),
+    accelerometer: createSampleBuffer(REST_BUFFER_CAPACITY)
+  };
+  let restStart = null;
+
+  // Feed a raw reading; returns { atRest, progress (0-1 of the window spent still), bias }
+  // bias is only set once the device has rested for the whole window
+  const update = (name, sample) => {
+    if (!buffers[name]) {
+      throw new Error(`Unknown sensor: ${name}`);
+    }
+
+    buffers[name].push(sample);
+
+    const now = sample.timestamp;
+    const atRest = isAtRest(
+      buffers.gyroscope.getStats(STILL_WINDOW_MS, now),
+      buffers.accelerometer.getStats(STILL_WINDOW_MS, now)
+    );
+
+    if (!atRest) {
+      restStart = null;
+      return { atRest, progress: 0, bias: null };
+    }
+
+    if (restStart === null) {
+      restStart = now;
+    }
+
+    const progress = Math.min(1, (now - restStart) / windowMs);
+    const bias = progress >= 1
+      ? estimateBias(buffers.gyroscope.getStats(windowMs, now), buffers.accelerometer.getStats(windowMs, now))
+      : null;
+
+    return { atRest, progress, bias };
+  };
+
+  return {
+    update,
+    reset: () => {
+      buffers.gyroscope.clear();
+      buffers.accelerometer.clear();
+      restStart = null;
+    }
+  };
+};
@@ -0,0 +1,617 @@
+// ==================== CHALLENGE CATALOG ====================
+// Every challenge the game can pick, as data. An entry is
+//
+//   id              unique name, also used to save results
+//   type            one of CHALLENGE_TYPE_DEFINITIONS (picks the verifier)
+//   params          what the verifier checks, per type (see the schemas below)
+//   timeLimit       seconds the player has
+//   difficulty      one of CHALLENGE_DIFFICULTIES
+//   instructionKey  translation key of the instruction
+//   hintKey         translation key of the hint (optional)
+//   requirements    { streams, minRateHz } when the entry needs other streams
+//                   than its type (optional)
+//
+// A COMBO entry chains other challenges: its `stages` param lists them in order,
+// each { type, params, timeLimit (optional seconds for the stage), instructionKey }.
+// The stages' time limits must fit in the combo's.
+//
+// A new challenge of an existing type only needs an entry here and its
+// translations; validateChallengeEntry rejects anything the verifiers can't use.
+
+// Challenge types
+export const CHALLENGE_TYPES = {
+  RUN: 'RUN',
+  ROTATE: 'ROTATE',
+  TILT: 'TILT',
+  DIRECTION: 'DIRECTION',
+  SHAKE: 'SHAKE',
+  JUMP: 'JUMP',
+  BALANCE: 'BALANCE',
+  SQUAT: 'SQUAT',
+  COMBO: 'COMBO'
+};
+
+// Type of the challenge played when no other type is available
+export const FALLBACK_CHALLENGE_TYPE = CHALLENGE_TYPES.SHAKE;
+
+export const CHALLENGE_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const TILT_DIRECTIONS = ['left', 'right', 'forward', 'backward'];
+const COMPASS_DIRECTIONS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Parameter rules: { check(value), expected (for the error message), required }
+const positiveInteger = { check: (value) => Number.isInteger(value) && value > 0, expected: 'a positive integer' };
+const positiveNumber = { check: isPositiveNumber, expected: 'a positive number' };
+const boolean = { check: (value) => typeof value === 'boolean', expected: 'true or false' };
+const oneOf = (values) => ({
+  check: (value) => values.includes(value),
+  expected: `one of ${values.join(', ')}`
+});
+const listOf = (values) => ({
+  check: (value) => Array.isArray(value) && value.length > 0 && value.every((item) => values.includes(item)),
+  expected: `a non-empty list of ${values.join(', ')}`
+});
+const required = (rule) => ({ ...rule, required: true });
+// Stages are checked one by one in validateChallengeEntry
+const stageList = {
+  check: (value) => Array.isArray(value) && value.length > 1,
+  expected: 'a list of at least two stages'
+};
+
+// Parameters every type takes: keep qualifying for `duration` seconds, with
+// dropouts up to `dropoutTolerance` seconds forgiven (see challengeVerifiers.js)
+const HOLD_PARAMS = { duration: positiveNumber, dropoutTolerance: positiveNumber };
+
+// What each type needs: its parameters, the parameters of which at least one must be
+// given (`anyOf`), and the streams its verifier reads (Hz is the minimum rate)
+// Any stream works in requirements, including the extra sensors (pedometer, barometer, lightSensor, deviceMotion)
+export const CHALLENGE_TYPE_DEFINITIONS = {
+  [CHALLENGE_TYPES.RUN]: {
+    // count: steps to take; duration: seconds to keep stepping
+    params: { count: positiveInteger, intensity: positiveNumber, ...HOLD_PARAMS },
+    anyOf: ['count', 'duration'],
+    requirements: { streams: ['accelerometer', 'gravity', 'linearAcceleration'], minRateHz: 20 }
+  },
+  [CHALLENGE_TYPES.ROTATE]: {
+    // direction: 1 clockwise, -1 counter-clockwise, 0 either way
+    // returnToStart: turn out by `degrees`, then back to where it started
+    // duration: seconds to keep turning
+    params: {
+      degrees: positiveNumber,
+      direction: required(oneOf([1, -1, 0])),
+      returnToStart: boolean,
+      ...HOLD_PARAMS
+    },
+    anyOf: ['degrees', 'duration'],
+    requirements: { streams: ['gyroscope'], minRateHz: 10 }
+  },
+  [CHALLENGE_TYPES.TILT]: {
+    // duration: seconds to hold the last direction
+    params: { directions: required(listOf(TILT_DIRECTIONS)), ...HOLD_PARAMS },
+    requirements: { streams: ['accelerometer'], minRateHz: 10 }
+  },
+  [CHALLENGE_TYPES.DIRECTION]: {
+    // tolerance: degrees either side of the direction; duration: seconds to hold it (the difficulty's hold time when not given)
+    params: { direction: required(oneOf(COMPASS_DIRECTIONS)), tolerance: positiveNumber, ...HOLD_PARAMS },
+    requirements: { streams: ['accelerometer', 'magnetometer', 'gravity', 'heading'], minRateHz: 4 }
+  },
+  [CHALLENGE_TYPES.SHAKE]: {
+    // duration: seconds to keep shaking; intensity: acceleration (g, gravity included) each shake reaches
+    params: { intensity: positiveNumber, ...HOLD_PARAMS, duration: required(positiveNumber) },
+    requirements: { streams: ['accelerometer', 'linearAcceleration'], minRateHz: 20 }
+  },
+  [CHALLENGE_TYPES.JUMP]: {
+    // count: jumps to make; minHeight: centimeters each jump must reach (estimated from the airtime)
+    // Airtime is timed between samples, hence the higher rate
+    params: { count: required(positiveInteger), minHeight: positiveNumber, ...HOLD_PARAMS },
+    requirements: { streams: ['accelerometer'], minRateHz: 50 }
+  },
+  [CHALLENGE_TYPES.BALANCE]: {
+    // duration: seconds to keep the phone still; tolerance: m/s² the acceleration may vary by
+    params: { tolerance: positiveNumber, ...HOLD_PARAMS, duration: required(positiveNumber) },
+    requirements: { streams: ['accelerometer'], minRateHz: 20 }
+  },
+  [CHALLENGE_TYPES.SQUAT]: {
+    // count: squats to make; depth: centimeters the phone must go down and back up
+    params: { count: required(positiveInteger), depth: positiveNumber, ...HOLD_PARAMS },
+    requirements: { streams: ['accelerometer', 'gravity'], minRateHz: 20 }
+  },
+  [CHALLENGE_TYPES.COMBO]: {
+    // stages: the challenges to complete in order; needs what all of them need
+    params: { stages: required(stageList) }
+  }
+};
+
+export const CHALLENGE_CATALOG = [
+  {
+    id: 'runInPlace',
+    type: CHALLENGE_TYPES.RUN,
+    params: { duration: 3, intensity: 1.5 },
+    timeLimit: 10,
+    difficulty: 'medium',
+    instructionKey: 'challenges.runInPlace.instruction',
+    hintKey: 'challenges.runInPlace.hint'
+  },
+  {
+    id: 'stepsForward',
+    type: CHALLENGE_TYPES.RUN,
+    params: { count: 5, intensity: 1.2 },
+    timeLimit: 10,
+    difficulty: 'easy',
+    instructionKey: 'challenges.stepsForward.instruction',
+    hintKey: 'challenges.stepsForward.hint'
+  },
+  {
+    id: 'marchInPlace',
+    type: CHALLENGE_TYPES.RUN,
+    params: { duration: 5, intensity: 1.3 },
+    timeLimit: 10,
+    difficulty: 'medium',
+    instructionKey: 'challenges.marchInPlace.instruction',
+    hintKey: 'challenges.marchInPlace.hint'
+  },
+  {
+    id: 'rotateClockwise',
+    type: CHALLENGE_TYPES.ROTATE,
+    params: { degrees: 360, direction: 1 },
+    timeLimit: 8,
+    difficulty: 'medium',
+    instructionKey: 'challenges.rotateClockwise.instruction',
+    hintKey: 'challenges.rotateClockwise.hint'
+  },
+  {
+    id: 'rotateCounterClockwise',
+    type: CHALLENGE_TYPES.ROTATE,
+    params: { degrees: 360, direction: -1 },
+    timeLimit: 8,
+    difficulty: 'medium',
+    instructionKey: 'challenges.rotateCounterClockwise.instruction',
+    hintKey: 'challenges.rotateCounterClockwise.hint'
+  },
+  {
+    id: 'rotateHalfAndBack',
+    type: CHALLENGE_TYPES.ROTATE,
+    params: { degrees: 180, direction: 0, returnToStart: true },
+    timeLimit: 8,
+    difficulty: 'hard',
+    instructionKey: 'challenges.rotateHalfAndBack.instruction',
+    hintKey: 'challenges.rotateHalfAndBack.hint'
+  },
+  {
+    id: 'spinAround',
+    type: CHALLENGE_TYPES.ROTATE,
+    params: { degrees: 360, direction: 0 },
+    timeLimit: 8,
+    difficulty: 'easy',
+    instructionKey: 'challenges.spinAround.instruction',
+    hintKey: 'challenges.spinAround.hint'
+  },
+  {
+    id: 'tiltLeftRight',
+    type: CHALLENGE_TYPES.TILT,
+    params: { directions: ['left', 'right'] },
+    timeLimit: 6,
+    difficulty: 'easy',
+    instructionKey: 'challenges.tiltLeftRight.instruction',
+    hintKey: 'challenges.tiltLeftRight.hint'
+  },
+  {
+    id: 'tiltForwardBackward',
+    type: CHALLENGE_TYPES.TILT,
+    params: { directions: ['forward', 'backward'] },
+    timeLimit: 6,
+    difficulty: 'easy',
+    instructionKey: 'challenges.tiltForwardBackward.instruction',
+    hintKey: 'challenges.tiltForwardBackward.hint'
+  },
+  {
+    id: 'tiltCircle',
+    type: CHALLENGE_TYPES.TILT,
+    params: { directions: ['left', 'forward', 'right', 'backward'] },
+    timeLimit: 8,
+    difficulty: 'hard',
+    instructionKey: 'challenges.tiltCircle.instruction',
+    hintKey: 'challenges.tiltCircle.hint'
+  },
+  {
+    id: 'holdTiltLeft',
+    type: CHALLENGE_TYPES.TILT,
+    params: { directions: ['left'], duration: 3 },
+    timeLimit: 6,
+    difficulty: 'medium',
+    instructionKey: 'challenges.holdTiltLeft.instruction',
+    hintKey: 'challenges.holdTiltLeft.hint'
+  },
+  {
+    id: 'faceNorth',
+    type: CHALLENGE_TYPES.DIRECTION,
+    params: { direction: 'N', tolerance: 20 },
+    timeLimit: 8,
+    difficulty: 'easy',
+    instructionKey: 'challenges.faceNorth.instruction',
+    hintKey: 'challenges.faceNorth.hint'
+  },
+  {
+    id: 'faceEast',
+    type: CHALLENGE_TYPES.DIRECTION,
+    params: { direction: 'E', tolerance: 20 },
+    timeLimit: 8,
+    difficulty: 'easy',
+    instructionKey: 'challenges.faceEast.instruction',
+    hintKey: 'challenges.faceEast.hint'
+  },
+  {
+    id: 'faceSouth',
+    type: CHALLENGE_TYPES.DIRECTION,
+    params: { direction: 'S', tolerance: 20 },
+    timeLimit: 8,
+    difficulty: 'easy',
+    instructionKey: 'challenges.faceSouth.instruction',
+    hintKey: 'challenges.faceSouth.hint'
+  },
+  {
+    id: 'faceWest',
+    type: CHALLENGE_TYPES.DIRECTION,
+    params: { direction: 'W', tolerance: 20 },
+    timeLimit: 8,
+    difficulty: 'easy',
+    instructionKey: 'challenges.faceWest.instruction',
+    hintKey: 'challenges.faceWest.hint'
+  },
+  {
+    id: 'faceSouthEast',
+    type: CHALLENGE_TYPES.DIRECTION,
+    params: { direction: 'SE', tolerance: 20 },
+    timeLimit: 8,
+    difficulty: 'medium',
+    instructionKey: 'challenges.faceSouthEast.instruction',
+    hintKey: 'challenges.faceSouthEast.hint'
+  },
+  {
+    id: 'shake',
+    type: CHALLENGE_TYPES.SHAKE,
+    params: { duration: 2 },
+    timeLimit: 15,
+    difficulty: 'easy',
+    instructionKey: 'challenges.shake.instruction',
+    hintKey: 'challenges.shake.hint'
+  },
+  {
+    id: 'shakeHard',
+    type: CHALLENGE_TYPES.SHAKE,
+    params: { duration: 5, intensity: 3.0 },
+    timeLimit: 10,
+    difficulty: 'hard',
+    instructionKey: 'challenges.shakeHard.instruction',
+    hintKey: 'challenges.shakeHard.hint'
+  },
+  {
+    id: 'jumpThree',
+    type: CHALLENGE_TYPES.JUMP,
+    params: { count: 3 },
+    timeLimit: 10,
+    difficulty: 'medium',
+    instructionKey: 'challenges.jumpThree.instruction',
+    hintKey: 'challenges.jumpThree.hint'
+  },
+  {
+    id: 'jumpHigh',
+    type: CHALLENGE_TYPES.JUMP,
+    params: { count: 1, minHeight: 15 },
+    timeLimit: 8,
+    difficulty: 'hard',
+    instructionKey: 'challenges.jumpHigh.instruction',
+    hintKey: 'challenges.jumpHigh.hint'
+  },
+  {
+    id: 'balanceStill',
+    type: CHALLENGE_TYPES.BALANCE,
+    params: { duration: 5 },
+    timeLimit: 10,
+    difficulty: 'easy',
+    instructionKey: 'challenges.balanceStill.instruction',
+    hintKey: 'challenges.balanceStill.hint'
+  },
+  {
+    id: 'balanceSteady',
+    type: CHALLENGE_TYPES.BALANCE,
+    params: { duration: 8, tolerance: 0.4 },
+    timeLimit: 12,
+    difficulty: 'hard',
+    instructionKey: 'challenges.balanceSteady.instruction',
+    hintKey: 'challenges.balanceSteady.hint'
+  },
+  {
+    id: 'squatThree',
+    type: CHALLENGE_TYPES.SQUAT,
+    params: { count: 3 },
+    timeLimit: 15,
+    difficulty: 'medium',
+    instructionKey: 'challenges.squatThree.instruction',
+    hintKey: 'challenges.squatThree.hint'
+  },
+  {
+    id: 'squatDeep',
+    type: CHALLENGE_TYPES.SQUAT,
+    params: { count: 5, depth: 35 },
+    timeLimit: 24,
+    difficulty: 'hard',
+    instructionKey: 'challenges.squatDeep.instruction',
+    hintKey: 'challenges.squatDeep.hint'
+  },
+  {
+    id: 'comboEastSpinSteps',
+    type: CHALLENGE_TYPES.COMBO,
+    params: {
+      stages: [
+        {
+          type: CHALLENGE_TYPES.DIRECTION,
+          params: { direction: 'E', tolerance: 20 },
+          timeLimit: 8,
+          instructionKey: 'challenges.faceEast.instruction'
+        },
+        {
+          type: CHALLENGE_TYPES.ROTATE,
+          params: { degrees: 360, direction: 0 },
+          timeLimit: 8,
+          instructionKey: 'challenges.spinAround.instruction'
+        },
+        {
+          type: CHALLENGE_TYPES.RUN,
+          params: { count: 5, intensity: 1.2 },
+          timeLimit: 9,
+          instructionKey: 'challenges.stepsForward.instruction'
+        }
+      ]
+    },
+    timeLimit: 25,
+    difficulty: 'hard',
+    instructionKey: 'challenges.comboEastSpinSteps.instruction',
+    hintKey: 'challenges.comboEastSpinSteps.hint'
+  },
+  {
+    id: 'comboTiltShake',
+    type: CHALLENGE_TYPES.COMBO,
+    params: {
+      stages: [
+        {
+          type: CHALLENGE_TYPES.TILT,
+          params: { directions: ['left', 'right'] },
+          timeLimit: 6,
+          instructionKey: 'challenges.tiltLeftRight.instruction'
+        },
+        {
+          type: CHALLENGE_TYPES.SHAKE,
+          params: { duration: 2 },
+          timeLimit: 6,
+          instructionKey: 'challenges.shake.instruction'
+        }
+      ]
+    },
+    timeLimit: 12,
+    difficulty: 'medium',
+    instructionKey: 'challenges.comboTiltShake.instruction',
+    hintKey: 'challenges.comboTiltShake.hint'
+  },
+  {
+    id: 'comboJumpBalance',
+    type: CHALLENGE_TYPES.COMBO,
+    params: {
+      stages: [
+        {
+          type: CHALLENGE_TYPES.JUMP,
+          params: { count: 3 },
+          timeLimit: 10,
+          instructionKey: 'challenges.jumpThree.instruction'
+        },
+        {
+          type: CHALLENGE_TYPES.BALANCE,
+          params: { duration: 5 },
+          timeLimit: 10,
+          instructionKey: 'challenges.balanceStill.instruction'
+        }
+      ]
+    },
+    timeLimit: 20,
+    difficulty: 'hard',
+    instructionKey: 'challenges.comboJumpBalance.instruction',
+    hintKey: 'challenges.comboJumpBalance.hint'
+  }
+];
+
+// Check the type and params of an entry (or combo stage); fail(problem) throws
+const validateTypeAndParams = (entry, fail) => {
+  const definition = CHALLENGE_TYPE_DEFINITIONS[entry.type];
+  if (!definition) {
+    fail(`unknown type ${entry.type}`);
+  }
+
+  if (!entry.params || typeof entry.params !== 'object' || Array.isArray(entry.params)) {
+    fail('params must be an object');
+  }
+
+  Object.keys(entry.params).forEach((name) => {
+    if (!definition.params[name]) {
+      fail(`unknown parameter ${name} for type ${entry.type}`);
+    }
+  });
+
+  if (definition.anyOf && definition.anyOf.every((name) => entry.params[name] === undefined)) {
+    fail(`needs at least one of the parameters ${definition.anyOf.join(', ')}`);
+  }
+
+  Object.entries(definition.params).forEach(([name, rule]) => {
+    const value = entry.params[name];
+    if (value === undefined) {
+      if (rule.required) fail(`missing parameter ${name}`);
+      return;
+    }
+
+    if (!rule.check(value)) {
+      fail(`parameter ${name} must be ${rule.expected}`);
+    }
+  });
+};
+
+// Check one catalog entry; throws with the first problem found
+// `streams` lists the stream names requirements may use (any name when empty)
+export const validateChallengeEntry = (entry, { streams = [] } = {}) => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('Challenge entry must be an object');
+  }
+
+  if (!isNonEmptyString(entry.id)) {
+    throw new Error('Challenge entry has no id');
+  }
+
+  const fail = (problem) => {
+    throw new Error(`Challenge "${entry.id}": ${problem}`);
+  };
+
+  validateTypeAndParams(entry, fail);
+
+  if (entry.type === CHALLENGE_TYPES.COMBO) {
+    entry.params.stages.forEach((stage, index) => {
+      const failStage = (problem) => fail(`stage ${index + 1}: ${problem}`);
+
+      if (!stage || typeof stage !== 'object' || Array.isArray(stage)) {
+        failStage('must be an object');
+      }
+
+      if (stage.type === CHALLENGE_TYPES.COMBO) {
+        failStage('combos can\'t be nested');
+      }
+
+      validateTypeAndParams(stage, failStage);
+
+      if (stage.timeLimit !== undefined && !isPositiveNumber(stage.timeLimit)) {
+        failStage('timeLimit must be a positive number of seconds');
+      }
+
+      if (!isNonEmptyString(stage.instructionKey)) {
+        failStage('instructionKey must be a translation key');
+      }
+    });
+  }
+
+  if (!isPositiveNumber(entry.timeLimit)) {
+    fail('timeLimit must be a positive number of seconds');
+  }
+
+  // Every stage must be able to use all of its time before the combo's runs out
+  if (entry.type === CHALLENGE_TYPES.COMBO) {
+    const stagesTime = entry.params.stages.reduce((sum, stage) => sum + (stage.timeLimit || 0), 0);
+    if (stagesTime > entry.timeLimit) {
+      fail(`the stages' time limits add up to ${stagesTime} s, more than the timeLimit of ${entry.timeLimit} s`);
+    }
+  }
+
+  if (!CHALLENGE_DIFFICULTIES.includes(entry.difficulty)) {
+    fail(`difficulty must be one of ${CHALLENGE_DIFFICULTIES.join(', ')}`);
+  }
+
+  if (!isNonEmptyString(entry.instructionKey)) {
+    fail('instructionKey must be a translation key');
+  }
+
+  if (entry.hintKey !== undefined && !isNonEmptyString(entry.hintKey)) {
+    fail('hintKey must be a translation key');
+  }
+
+  if (entry.requirements !== undefined) {
+    const { streams: required, minRateHz } = entry.requirements || {};
+
+    if (!Array.isArray(required) || required.length === 0) {
+      fail('requirements.streams must be a non-empty list');
+    }
+
+    const unknown = streams.length > 0 ? required.filter((name) => !streams.includes(name)) : [];
+    if (unknown.length > 0) {
+      fail(`requirements use unknown streams: ${unknown.join(', ')}`);
+    }
+
+    if (!isPositiveNumber(minRateHz)) {
+      fail('requirements.minRateHz must be a positive number');
+    }
+  }
+
+  return true;
+};
+
+// Valid entries of a catalog; malformed ones and repeated ids are logged and left out
+export const loadChallengeCatalog = (entries, options) => {
+  const ids = new Set();
+
+  return entries.filter((entry) => {
+    try {
+      validateChallengeEntry(entry, options);
+      if (ids.has(entry.id)) {
+        throw new Error(`Challenge "${entry.id}": id is already used`);
+      }
+      ids.add(entry.id);
+      return true;
+    } catch (error) {
+      console.error('Rejected challenge entry:', error.message);
+      return false;
+    }
+  });
+};
+
+// Streams and minimum rate (Hz) an entry needs: its own requirements or its type's
+// A combo needs every stream of its stages, at the fastest rate any of them needs
+// Works on catalog entries and on the challenges made from them
+export const getEntryRequirements = (entry) => {
+  if (entry.requirements) return entry.requirements;
+
+  if (entry.type === CHALLENGE_TYPES.COMBO) {
+    const stages = (entry.params || entry).stages.map(getEntryRequirements);
+    return {
+      streams: [...new Set(stages.flatMap((requirements) => requirements.streams))],
+      minRateHz: Math.max(...stages.map((requirements) => requirements.minRateHz))
+    };
+  }
+
+  const definition = CHALLENGE_TYPE_DEFINITIONS[entry.type] || CHALLENGE_TYPE_DEFINITIONS[FALLBACK_CHALLENGE_TYPE];
+  return definition.requirements;
+};
+
+// The challenge object the verifiers and screens use: params flattened next to the entry's fields
+// Combo stages become challenges too, with ids like "comboTiltShake.2"
+// timeMultiplier (the difficulty's) scales the time limits, stages' included
+export const createChallengeFromEntry = (entry, { timeMultiplier = 1 } = {}) => {
+  // Whole seconds, so the countdown and the stage limits stay in step
+  // A shorter limit only cuts the time around the hold (`duration`): the hold itself is the challenge
+  const scaleTime = (seconds, hold = 0) => Math.max(1, Math.round(
+    Math.max(seconds * timeMultiplier, hold + (seconds - hold) * timeMultiplier)
+  ));
+
+  // Rounding each stage on its own could leave them more time than the combo
+  const stagesTime = entry.type === CHALLENGE_TYPES.COMBO
+    ? entry.params.stages.reduce((sum, stage) => (
+      sum + (stage.timeLimit ? scaleTime(stage.timeLimit, stage.params.duration) : 0)
+    ), 0)
+    : 0;
+
+  return {
+    id: entry.id,
+    type: entry.type,
+    ...entry.params,
+    ...(entry.type === CHALLENGE_TYPES.COMBO ? {
+      stages: entry.params.stages.map((stage, index) => ({
+        id: `${entry.id}.${index + 1}`,
+        type: stage.type,
+        ...stage.params,
+        ...(stage.timeLimit ? { timeLimit: scaleTime(stage.timeLimit, stage.params.duration) } : {}),
+        instructionKey: stage.instructionKey
+      }))
+    } : {}),
+    timeLimit: Math.max(scaleTime(entry.timeLimit, entry.params.duration), stagesTime),
+    difficulty: entry.difficulty,
+    instructionKey: entry.instructionKey,
+    hintKey: entry.hintKey,
+    ...(entry.requirements ? { requirements: entry.requirements } : {})
+  };
+};
@@ -0,0 +1,977 @@
+import { getMagnitude } from './sampleBuffer';
+import { getHorizontalAcceleration, getVerticalAcceleration } from './filters';
+import { computeTiltCompensatedHeading, getHeadingDifference } from './heading';
+import { STANDARD_GRAVITY } from './sensorFrame';
+import { createStepDetector } from './stepDetector';
+
+// ==================== CHALLENGE VERIFIERS ====================
+// One verifier per challenge being played. It owns all the tracking state
+// (steps counted, degrees turned, tilts seen, how long a pose was held), so
+// any number of challenges can be verified side by side:
+//
+//   update(frame)  feed one sensor frame; returns { completed, performance },
+//                  with failed: true once the challenge can't be completed any more
+//   getProgress()  where the challenge stands, without feeding anything
+//   reset()        start the challenge over
+//   serialize()    plain snapshot of the progress, to restore later with
+//                  createChallengeVerifier(challenge, { snapshot })
+//
+// Frames are the sensor service's: accelerometer/gyroscope/magnetometer plus,
+// when present, gravity, linearAcceleration and heading.
+//
+// Any challenge can have a `duration` (seconds): it is then done once its goal
+// is met and it has been "qualifying" (stepping, turning, in the pose, facing
+// the direction, shaking, standing still...) for that long. Dropouts up to
+// `dropoutTolerance` seconds pause the clock; longer ones start it over.
+
+// Things a verifier reports while it runs (the app plays a sound for them)
+export const VERIFIER_EVENTS = {
+  STEP: 'step',
+  TILT: 'tilt',
+  DIRECTION_MATCHED: 'directionMatched',
+  JUMP: 'jump',
+  SQUAT: 'squat',
+  STAGE_COMPLETED: 'stageCompleted'
+};
+
+// Threshold values for movement detection
+const THRESHOLDS = {
+  STEP_MIN_PEAK: 0.8, // m/s² of upward linear acceleration (gravity removed)
+  ROTATION_DEADBAND: 0.05, // rad/s below which the phone counts as not turning
+  TILT_ENTER: 25, // degrees of tilt to enter a pose
+  TILT_EXIT: 15, // degrees under which the pose is left
+  DIRECTION_TOLERANCE: 20, // degrees
+  SHAKE_MAGNITUDE: 15, // m/s² of movement beyond gravity
+  JUMP_MIN_HEIGHT: 3, // cm; lower "jumps" are the flight phase of a run
+  BALANCE_TOLERANCE: 0.5, // m/s² of spread in the acceleration that still counts as still
+  SQUAT_DEPTH: 25, // cm
+  HOLD_TIME: 2 // seconds a direction is held when the challenge doesn't say
+};
+
+// What a custom difficulty profile can set, in the units a coach knows: the
+// standard value and the range the settings offer
+// The ranges stop where some catalog challenge could no longer be done in its
+// time limit: the hold time only sets the directions' default hold, and at most
+// takes half of their shortest limit (8 s) so there's time left to turn
+export const CUSTOM_THRESHOLD_LIMITS = {
+  stepMagnitude: { standard: 0.8, min: 0.2, max: 1.5, step: 0.1 }, // m/s², the softest step
+  rotationSpeed: { standard: 3, min: 1, max: 45, step: 2 }, // degrees/s, the slowest turn counted
+  tiltAngle: { standard: 25, min: 10, max: 30, step: 5 }, // degrees to enter a tilt pose
+  directionTolerance: { standard: 20, min: 5, max: 60, step: 5 }, // degrees
+  holdTime: { standard: 2, min: 0.5, max: 4, step: 0.5 } // seconds a direction is held
+};
+
+// Share of a challenge's intensity a step peak must reach
+const INTENSITY_PEAK_RATIO = 0.5;
+
+// Degrees short of the target that still count as there (a hand-made turn stops around it)
+const TURN_TOLERANCE = 10;
+
+// Degrees from the start that count as back, for out-and-return turns
+const RETURN_TOLERANCE = 20;
+
+// Longest gap between gyroscope samples (s) integrated over
+const MAX_ROTATION_GAP = 0.5;
+
+// Tilt poses: not tilted past the exit angle either way
+const NEUTRAL_POSE = 'neutral';
+
+// Low-pass cutoff (Hz) of the gravity estimate used for tilts
+const TILT_CUTOFF_HZ = 2;
+
+// Degrees another pose must lean past the current one to take over
+const TILT_SWITCH_MARGIN = 10;
+
+// Seconds a hold can drop out without starting over, when the challenge doesn't say
+const DEFAULT_DROPOUT_TOLERANCE = 0.5;
+
+// Still stepping when the last step is at most this old (ms)
+const STEP_ACTIVE_GAP = 1000;
+
+// Still turning above this rate (degrees/s)
+const MIN_TURN_RATE = 30;
+
+// Still shaking when the last strong shake is at most this old (ms)
+const SHAKE_ACTIVE_GAP = 300;
+
+// Below this acceleration (m/s², gravity included) the phone is in free fall
+const FREE_FALL_ACCELERATION = 0.3 * STANDARD_GRAVITY;
+
+// Longest free fall (ms) that is a jump; anything longer is the phone being dropped
+const MAX_AIRTIME = 1000;
+
+// Jump height (cm) that scores full performance
+const JUMP_REFERENCE_HEIGHT = 20;
+
+// Still jumping when the last landing is at most this old (ms)
+const JUMP_ACTIVE_GAP = 1500;
+
+// Window (ms) the acceleration spread is measured over, and the samples it needs
+const BALANCE_WINDOW = 500;
+const BALANCE_MIN_SAMPLES = 3;
+
+// Time (ms) spent learning the sensor's offset before following the phone
+const SQUAT_SETTLE_TIME = 1000;
+
+// Time constants (s) of the leaks that keep the integrated squat velocity and
+// displacement from drifting, and of the average that tracks the sensor's offset
+const SQUAT_LEAK = 2;
+const SQUAT_POSITION_LEAK = 6;
+const SQUAT_BIAS_TIME = 4;
+
+// Share of the depth the way down must show (the filters shrink a first, sudden movement)
+const SQUAT_DESCENT_RATIO = 0.7;
+
+// Still squatting when the last squat is at most this old (ms)
+const SQUAT_ACTIVE_GAP = 4000;
+
+// Longest gap between samples (s) integrated over
+const MAX_SAMPLE_GAP = 0.5;
+
+const COMPASS_HEADINGS = { N: 0, NE: 45, E: 90, SE: 135, S: 180, SW: 225, W: 270, NW: 315 };
+
+// Higher sensitivity lowers the movement thresholds and widens the direction tolerance
+const getScaledThresholds = (sensitivityMultiplier) => ({
+  SENSITIVITY: sensitivityMultiplier,
+  CUSTOM: null,
+  STEP_MIN_PEAK: THRESHOLDS.STEP_MIN_PEAK / sensitivityMultiplier,
+  ROTATION_DEADBAND: THRESHOLDS.ROTATION_DEADBAND / sensitivityMultiplier,
+  TILT_ENTER: THRESHOLDS.TILT_ENTER / sensitivityMultiplier,
+  TILT_EXIT: THRESHOLDS.TILT_EXIT / sensitivityMultiplier,
+  DIRECTION_TOLERANCE: THRESHOLDS.DIRECTION_TOLERANCE * sensitivityMultiplier,
+  SHAKE_MAGNITUDE: THRESHOLDS.SHAKE_MAGNITUDE / sensitivityMultiplier,
+  JUMP_MIN_HEIGHT: THRESHOLDS.JUMP_MIN_HEIGHT / sensitivityMultiplier,
+  BALANCE_TOLERANCE: THRESHOLDS.BALANCE_TOLERANCE * sensitivityMultiplier,
+  SQUAT_DEPTH: THRESHOLDS.SQUAT_DEPTH / sensitivityMultiplier,
+  HOLD_TIME: THRESHOLDS.HOLD_TIME
+});
+
+// A custom profile ({ stepMagnitude, rotationSpeed, tiltAngle, directionTolerance,
+// holdTime }, see CUSTOM_THRESHOLD_LIMITS) sets those thresholds itself; values it
+// leaves out or that are out of range get the standard one or the nearest limit
+const getThresholds = (sensitivityMultiplier, custom = null) => {
+  const scaled = getScaledThresholds(sensitivityMultiplier);
+  if (!custom) return scaled;
+
+  const value = (name) => {
+    const { standard, min, max } = CUSTOM_THRESHOLD_LIMITS[name];
+    return Number.isFinite(custom[name]) ? Math.max(min, Math.min(max, custom[name])) : standard;
+  };
+
+  return {
+    ...scaled,
+    STEP_MIN_PEAK: value('stepMagnitude'),
+    ROTATION_DEADBAND: value('rotationSpeed') * (Math.PI / 180),
+    TILT_ENTER: value('tiltAngle'),
+    TILT_EXIT: value('tiltAngle') * (THRESHOLDS.TILT_EXIT / THRESHOLDS.TILT_ENTER),
+    DIRECTION_TOLERANCE: value('directionTolerance'),
+    HOLD_TIME: value('holdTime'),
+    CUSTOM: custom
+  };
+};
+
+// A challenge's own threshold (its tolerance, depth, height...), moved by the
+// difficulty as much as the default one is
+const scaleThreshold = (value, thresholds, name) => (
+  value ? value * (thresholds[name] / THRESHOLDS[name]) : thresholds[name]
+);
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+// Gravity and linear acceleration of a frame
+// Frames that skipped the sensor service only have the raw accelerometer, so
+// gravity is then taken as standard gravity along the measured direction
+export const getAccelerationComponents = (frame) => {
+  if (frame.gravity && frame.linearAcceleration) {
+    return { gravity: frame.gravity, linearAcceleration: frame.linearAcceleration };
+  }
+
+  const { accelerometer } = frame;
+  const scale = STANDARD_GRAVITY / (getMagnitude(accelerometer) || STANDARD_GRAVITY);
+  const gravity = {
+    x: accelerometer.x * scale,
+    y: accelerometer.y * scale,
+    z: accelerometer.z * scale
+  };
+
+  return {
+    gravity,
+    linearAcceleration: {
+      x: accelerometer.x - gravity.x,
+      y: accelerometer.y - gravity.y,
+      z: accelerometer.z - gravity.z
+    }
+  };
+};
+
+// Compass heading of a frame, computed on the spot for frames without one
+const getFrameHeading = (frame) => {
+  if (frame.heading && frame.heading.timestamp) {
+    return frame.heading.heading;
+  }
+
+  const { gravity } = getAccelerationComponents(frame);
+  return computeTiltCompensatedHeading(gravity, frame.magnetometer);
+};
+
+// Time of a sensor frame (recorded and synthetic frames carry their own clock)
+const getFrameTime = (frame) => frame.timestamp || Date.now();
+
+// ==================== PER-TYPE VERIFIERS ====================
+// Each factory gets the challenge, the thresholds and emit(event), and returns
+// { initialState, update(state, frame) -> { state, result, qualifying }, getProgress(state) }
+// and, when it keeps helpers outside the state, restore(state) to rebuild them.
+// Helpers too costly to snapshot on every frame can be left out of the state by
+// update and added by serialize(state) when a snapshot is taken.
+// `result` is about the goal alone (steps, degrees, directions); `qualifying` says
+// whether the frame counts towards a hold. State is a plain object so it can be
+// serialized as it is.
+
+// Running/stepping: count steps with the step detector
+// The detector lives outside the plain state, so restore(state) rebuilds it from its snapshot
+const createRunVerifier = (challenge, thresholds, emit) => {
+  // `intensity` is the acceleration (g, gravity included) the movement has to reach; half of it
+  // counts, moved by the difficulty like the softest step is
+  const minPeak = Math.max(
+    thresholds.STEP_MIN_PEAK,
+    scaleThreshold(((challenge.intensity || 1) - 1) * STANDARD_GRAVITY * INTENSITY_PEAK_RATIO, thresholds, 'STEP_MIN_PEAK')
+  );
+  const createDetector = (snapshot = null) => createStepDetector({
+    minPeak,
+    onStep: () => emit(VERIFIER_EVENTS.STEP),
+    state: snapshot
+  });
+  let detector = createDetector();
+
+  // Without a count only the duration matters
+  const getResult = (steps) => {
+    if (!challenge.count) return { completed: true, performance: 1.0 };
+    return steps >= challenge.count
+      ? { completed: true, performance: Math.min(1.0, steps / challenge.count) }
+      : { completed: false, performance: steps / challenge.count };
+  };
+
+  return {
+    initialState: { steps: 0, detector: null },
+
+    restore: (state) => {
+      detector = createDetector(state.detector);
+    },
+
+    update: (state, frame) => {
+      // Upward acceleration, independent of how the device is held (the sideways part tells shaking apart)
+      const { gravity, linearAcceleration } = getAccelerationComponents(frame);
+      const now = getFrameTime(frame);
+      detector.update(
+        getVerticalAcceleration(linearAcceleration, gravity),
+        now,
+        getHorizontalAcceleration(linearAcceleration, gravity)
+      );
+
+      const steps = detector.getStepCount();
+      const { lastStep } = detector.getStats();
+      return {
+        state: { steps, detector: detector.serialize() },
+        result: getResult(steps),
+        qualifying: !!lastStep && now - lastStep.timestamp <= STEP_ACTIVE_GAP
+      };
+    },
+
+    getProgress: (state) => {
+      const { cadence, meanConfidence, lastStep } = detector.getStats();
+      return {
+        progress: challenge.count ? Math.min(1, state.steps / challenge.count) : 1,
+        steps: state.steps,
+        target: challenge.count,
+        cadence,
+        meanConfidence,
+        lastStepConfidence: lastStep ? lastStep.confidence : null
+      };
+    }
+  };
+};
+
+// Rotation: integrate the turn around the screen's z axis over the sample timestamps
+// The angle is signed, clockwise positive (clockwise is negative gyroscope z). A plain
+// turn is judged on the net angle; with `returnToStart` the phone must turn out by
+// `degrees` (in `direction`, when given) and then come back near where it started.
+const createRotateVerifier = (challenge, thresholds) => {
+  const target = challenge.degrees;
+  const direction = challenge.direction || 0;
+
+  // Turned far enough the way the challenge asks
+  const isOut = (angle) => (direction === 0 ? Math.abs(angle) : angle * direction) >= target - TURN_TOLERANCE;
+
+  const getResult = (state) => {
+    // Without degrees only the duration matters
+    if (!target) return { completed: true, performance: 1.0 };
+
+    if (!challenge.returnToStart) {
+      const turned = direction === 0 ? Math.abs(state.angle) : state.angle * direction;
+      return turned >= target - TURN_TOLERANCE
+        ? { completed: true, performance: Math.min(1.0, target / turned) }
+        : { completed: false, performance: Math.max(0, turned / target) };
+    }
+
+    if (!state.out) {
+      return { completed: false, performance: Math.max(0, Math.abs(state.angle) / target) / 2 };
+    }
+
+    const back = Math.abs(state.angle);
+    return back <= RETURN_TOLERANCE
+      ? { completed: true, performance: 1.0 - back / target }
+      : { completed: false, performance: 0.5 + Math.max(0, 1 - back / Math.abs(state.peak)) / 2 };
+  };
+
+  return {
+    initialState: { angle: 0, peak: 0, out: false, lastRate: null, lastTime: null },
+
+    update: (state, frame) => {
+      const now = getFrameTime(frame);
+      // Clockwise positive, in degrees per second; readings below the noise floor are still
+      const raw = -frame.gyroscope.z;
+      const rate = Math.abs(raw) > thresholds.ROTATION_DEADBAND ? raw * (180 / Math.PI) : 0;
+
+      // Trapezoid over the real time between samples; a gap (dropped frames) isn't bridged
+      const dt = state.lastTime !== null ? (now - state.lastTime) / 1000 : 0;
+      const angle = state.lastRate !== null && dt > 0 && dt <= MAX_ROTATION_GAP
+        ? state.angle + (state.lastRate + rate) / 2 * dt
+        : state.angle;
+      const peak = Math.abs(angle) > Math.abs(state.peak) ? angle : state.peak;
+
+      const next = {
+        angle,
+        peak,
+        out: state.out || isOut(angle),
+        lastRate: rate,
+        lastTime: now
+      };
+      return {
+        state: next,
+        result: getResult(next),
+        qualifying: (direction === 0 ? Math.abs(rate) : rate * direction) >= MIN_TURN_RATE
+      };
+    },
+
+    getProgress: (state) => {
+      const result = getResult(state);
+      return {
+        progress: result.completed ? 1 : Math.min(1, result.performance),
+        angle: state.angle,
+        target,
+        out: state.out
+      };
+    }
+  };
+};
+
+// Tilt: the poses the phone went through, in order
+// Poses come from the angle of gravity (the smoothed accelerometer), not from how
+// fast the phone turns, so holding a pose keeps it. A pose is entered past
+// TILT_ENTER degrees and left under TILT_EXIT; in between nothing changes, and
+// under both the phone is neutral. A hold counts while the sequence is done and
+// the phone is in its last direction.
+const createTiltVerifier = (challenge, thresholds, emit) => {
+  const lastDirection = challenge.directions[challenge.directions.length - 1];
+  const limits = { enter: thresholds.TILT_ENTER, exit: thresholds.TILT_EXIT };
+
+  return {
+    initialState: { gravity: null, pose: NEUTRAL_POSE, tilts: [] },
+
+    update: (state, frame) => {
+      const gravity = smoothGravity(state.gravity, frame.accelerometer, getFrameTime(frame));
+      const angles = getTiltAngles(gravity);
+      const pose = angles ? getNextPose(state.pose, angles, limits) : state.pose;
+
+      // Each time the phone enters a pose (not when it goes back to neutral)
+      let { tilts } = state;
+      if (pose !== state.pose && pose !== NEUTRAL_POSE) {
+        tilts = [...tilts, pose];
+        emit(VERIFIER_EVENTS.TILT);
+      }
+
+      // Check if all directions have been hit in order
+      const done = matchedDirections(challenge, tilts) === challenge.directions.length;
+
+      return {
+        state: { gravity, pose, tilts },
+        result: done
+          ? { completed: true, performance: 1.0 }
+          : { completed: false, performance: matchedDirections(challenge, tilts) / challenge.directions.length },
+        qualifying: done && pose === lastDirection
+      };
+    },
+
+    getProgress: (state) => ({
+      progress: matchedDirections(challenge, state.tilts) / challenge.directions.length,
+      pose: state.pose,
+      angles: state.gravity ? getTiltAngles(state.gravity) : null,
+      tilts: [...state.tilts]
+    })
+  };
+};
+
+// Gravity estimate: the accelerometer through a light low-pass (drops hand shake, follows tilts)
+const smoothGravity = (previous, accelerometer, timestamp) => {
+  if (!accelerometer) return previous;
+  if (!previous) return { x: accelerometer.x, y: accelerometer.y, z: accelerometer.z, timestamp };
+
+  const dt = timestamp > previous.timestamp ? (timestamp - previous.timestamp) / 1000 : 0;
+  const rc = 1 / (2 * Math.PI * TILT_CUTOFF_HZ);
+  const factor = dt / (rc + dt);
+
+  return {
+    x: previous.x + factor * (accelerometer.x - previous.x),
+    y: previous.y + factor * (accelerometer.y - previous.y),
+    z: previous.z + factor * (accelerometer.z - previous.z),
+    timestamp
+  };
+};
+
+// Tilt of a gravity vector in degrees: forward > 0 with the top edge down, right > 0 with the right edge down
+export const getTiltAngles = (gravity) => {
+  const magnitude = getMagnitude(gravity);
+  if (!magnitude) return null;
+
+  const toDegrees = (ratio) => Math.asin(Math.max(-1, Math.min(1, ratio))) * (180 / Math.PI);
+  return { forward: toDegrees(-gravity.y / magnitude), right: toDegrees(-gravity.x / magnitude) };
+};
+
+// How far the phone is tilted towards each pose
+const POSE_ANGLES = {
+  forward: (angles) => angles.forward,
+  backward: (angles) => -angles.forward,
+  right: (angles) => angles.right,
+  left: (angles) => -angles.right
+};
+
+// Pose after `pose` for these angles, with hysteresis
+const getNextPose = (pose, angles, { enter, exit }) => {
+  // The direction the phone leans most towards
+  const [strongest, strongestAngle] = Object.entries(POSE_ANGLES)
+    .map(([name, getAngle]) => [name, getAngle(angles)])
+    .reduce((best, candidate) => (candidate[1] > best[1] ? candidate : best));
+
+  if (pose !== NEUTRAL_POSE) {
+    const angle = POSE_ANGLES[pose](angles);
+    // Stay until under the exit angle, or until another pose clearly takes over
+    const overtaken = strongest !== pose && strongestAngle >= enter && strongestAngle > angle + TILT_SWITCH_MARGIN;
+    if (angle >= exit && !overtaken) return pose;
+  }
+
+  return strongestAngle >= enter ? strongest : NEUTRAL_POSE;
+};
+
+// How many of the challenge's directions the tilts went through, in order
+const matchedDirections = (challenge, tilts) => {
+  let directionIndex = 0;
+
+  for (let i = 0; i < tilts.length && directionIndex < challenge.directions.length; i++) {
+    if (tilts[i] === challenge.directions[directionIndex]) {
+      directionIndex++;
+    }
+  }
+
+  return directionIndex;
+};
+
+// Direction: face a compass direction (held for HOLD_TIME unless the challenge says)
+const createDirectionVerifier = (challenge, thresholds, emit) => {
+  const targetHeading = COMPASS_HEADINGS[challenge.direction] || 0;
+  const tolerance = scaleThreshold(challenge.tolerance, thresholds, 'DIRECTION_TOLERANCE');
+
+  return {
+    defaultDuration: thresholds.HOLD_TIME,
+
+    initialState: { matched: false, difference: null },
+
+    update: (state, frame) => {
+      const heading = getFrameHeading(frame);
+
+      // No usable heading (e.g. device pointing straight up)
+      if (heading === null) {
+        return {
+          state: { matched: false, difference: null },
+          result: { completed: false, performance: 0 },
+          qualifying: false
+        };
+      }
+
+      const diff = Math.abs(getHeadingDifference(heading, targetHeading));
+      const matched = diff <= tolerance;
+
+      // First time matched
+      if (matched && !state.matched) {
+        emit(VERIFIER_EVENTS.DIRECTION_MATCHED);
+      }
+
+      return {
+        state: { matched, difference: diff },
+        result: matched
+          ? { completed: true, performance: 1.0 - (diff / tolerance) }
+          : { completed: false, performance: Math.max(0, 1.0 - (diff / 180)) },
+        qualifying: matched
+      };
+    },
+
+    getProgress: (state) => ({
+      progress: state.difference === null ? 0 : Math.max(0, 1.0 - (state.difference / 180)),
+      difference: state.difference,
+      matched: state.matched
+    })
+  };
+};
+
+// Shaking: samples whose movement beyond gravity passes the threshold
+// `intensity` (g, gravity included) sets the threshold, like for RUN; the shake
+// keeps qualifying while strong samples come at least every SHAKE_ACTIVE_GAP ms.
+// Without a duration (challenges of unknown types) one strong shake is enough.
+const createShakeVerifier = (challenge, thresholds) => {
+  const threshold = challenge.intensity
+    ? (challenge.intensity - 1) * STANDARD_GRAVITY / thresholds.SENSITIVITY
+    : thresholds.SHAKE_MAGNITUDE;
+
+  // Stronger shakes than the threshold score better; twice the threshold is full marks
+  const getPerformance = (state) => (state.shakes > 0 ? Math.min(1.0, state.strengthSum / state.shakes / threshold / 2) : 0);
+
+  return {
+    initialState: { shakes: 0, strengthSum: 0, lastShake: null, magnitude: 0 },
+
+    update: (state, frame) => {
+      const now = getFrameTime(frame);
+      const { linearAcceleration } = getAccelerationComponents(frame);
+      const magnitude = getMagnitude(linearAcceleration);
+      const strong = magnitude > threshold;
+
+      const next = strong
+        ? { shakes: state.shakes + 1, strengthSum: state.strengthSum + magnitude, lastShake: now, magnitude }
+        : { ...state, magnitude };
+      const shaking = next.lastShake !== null && now - next.lastShake <= SHAKE_ACTIVE_GAP;
+
+      return {
+        state: next,
+        result: shaking ? { completed: true, performance: getPerformance(next) } : { completed: false, performance: 0 },
+        qualifying: shaking
+      };
+    },
+
+    getProgress: (state) => ({
+      progress: state.shakes > 0 ? 1 : 0,
+      magnitude: state.magnitude,
+      threshold
+    })
+  };
+};
+
+// Jump: the phone is in free fall (the accelerometer reads almost nothing) while
+// the player is in the air. The airtime t, from take-off to landing, gives the
+// height of the jump: g·t²/8. Jumps lower than `minHeight` cm don't count, and
+// free falls longer than MAX_AIRTIME are the phone being dropped.
+const createJumpVerifier = (challenge, thresholds, emit) => {
+  const minHeight = scaleThreshold(challenge.minHeight, thresholds, 'JUMP_MIN_HEIGHT');
+
+  const getResult = (state) => {
+    if (state.jumps < challenge.count) {
+      return { completed: false, performance: state.jumps / challenge.count };
+    }
+    const meanHeight = state.heightSum / state.jumps;
+    return { completed: true, performance: Math.min(1.0, 0.5 + meanHeight / JUMP_REFERENCE_HEIGHT / 2) };
+  };
+
+  return {
+    initialState: { jumps: 0, heightSum: 0, bestHeight: 0, lastJump: null, takeoff: null },
+
+    update: (state, frame) => {
+      const now = getFrameTime(frame);
+      const inAir = getMagnitude(frame.accelerometer) < FREE_FALL_ACCELERATION;
+      let next = state;
+
+      if (inAir && state.takeoff === null) {
+        next = { ...state, takeoff: now };
+      } else if (!inAir && state.takeoff !== null) {
+        // Landed: airtime in ms, height in cm
+        const airtime = now - state.takeoff;
+        const seconds = airtime / 1000;
+        const height = STANDARD_GRAVITY * seconds * seconds / 8 * 100;
+        next = { ...state, takeoff: null };
+
+        if (airtime <= MAX_AIRTIME && height >= minHeight) {
+          next = {
+            ...next,
+            jumps: state.jumps + 1,
+            heightSum: state.heightSum + height,
+            bestHeight: Math.max(state.bestHeight, height),
+            lastJump: { airtime, height, timestamp: now }
+          };
+          emit(VERIFIER_EVENTS.JUMP);
+        }
+      }
+
+      return {
+        state: next,
+        result: getResult(next),
+        qualifying: next.takeoff !== null || (!!next.lastJump && now - next.lastJump.timestamp <= JUMP_ACTIVE_GAP)
+      };
+    },
+
+    getProgress: (state) => ({
+      progress: Math.min(1, state.jumps / challenge.count),
+      jumps: state.jumps,
+      target: challenge.count,
+      airtime: state.lastJump ? state.lastJump.airtime : null,
+      height: state.lastJump ? state.lastJump.height : null,
+      bestHeight: state.bestHeight
+    })
+  };
+};
+
+// Balance: keep the phone still. Stillness is the spread (standard deviation, m/s²)
+// of the accelerometer over the last BALANCE_WINDOW ms; the phone qualifies while
+// it stays within `tolerance`, and the mean spread while it did scores the hold.
+const createBalanceVerifier = (challenge, thresholds) => {
+  const tolerance = scaleThreshold(challenge.tolerance, thresholds, 'BALANCE_TOLERANCE');
+
+  // No spread is full marks, the tolerance itself half
+  const getPerformance = (state) => (
+    state.steadySamples > 0 ? clamp01(1 - state.spreadSum / state.steadySamples / tolerance / 2) : 0
+  );
+
+  return {
+    initialState: { window: [], spread: null, spreadSum: 0, steadySamples: 0 },
+
+    update: (state, frame) => {
+      const now = getFrameTime(frame);
+      const { x, y, z } = frame.accelerometer;
+      const window = [...state.window.filter((sample) => now - sample.timestamp < BALANCE_WINDOW), { x, y, z, timestamp: now }];
+      const spread = window.length >= BALANCE_MIN_SAMPLES ? getSpread(window) : null;
+      const steady = spread !== null && spread <= tolerance;
+
+      const next = {
+        window,
+        spread,
+        spreadSum: state.spreadSum + (steady ? spread : 0),
+        steadySamples: state.steadySamples + (steady ? 1 : 0)
+      };
+      return {
+        state: next,
+        result: { completed: steady, performance: steady ? getPerformance(next) : 0 },
+        qualifying: steady
+      };
+    },
+
+    getProgress: (state) => ({
+      progress: state.spread !== null && state.spread <= tolerance ? 1 : 0,
+      spread: state.spread,
+      tolerance
+    })
+  };
+};
+
+// Standard deviation of a list of vectors: root of the mean squared distance to their mean
+const getSpread = (samples) => {
+  const count = samples.length;
+  const mean = ['x', 'y', 'z'].map((axis) => samples.reduce((sum, sample) => sum + sample[axis], 0) / count);
+  const variance = samples.reduce((sum, sample) => (
+    sum + (sample.x - mean[0]) ** 2 + (sample.y - mean[1]) ** 2 + (sample.z - mean[2]) ** 2
+  ), 0) / count;
+  return Math.sqrt(variance);
+};
+
+// Squat: follow the phone's height by integrating the vertical acceleration twice
+// The acceleration along gravity, its slow average removed, is integrated into a
+// velocity and a displacement that both leak back to zero (SQUAT_LEAK and
+// SQUAT_POSITION_LEAK), so sensor bias can't make them drift; the first
+// SQUAT_SETTLE_TIME ms only learn that bias. A squat is going down from the top
+// (by SQUAT_DESCENT_RATIO of `depth` cm at least) and back up by `depth`.
+const createSquatVerifier = (challenge, thresholds, emit) => {
+  const depth = scaleThreshold(challenge.depth, thresholds, 'SQUAT_DEPTH') / 100;
+
+  // How deep the squats went on average, against the depth asked
+  const getResult = (state) => {
+    if (state.squats < challenge.count) {
+      return { completed: false, performance: state.squats / challenge.count };
+    }
+    return { completed: true, performance: Math.min(1.0, state.descentSum / state.squats / depth) };
+  };
+
+  return {
+    initialState: {
+      start: null,
+      bias: null,
+      samples: 0,
+      velocity: 0,
+      position: 0,
+      lastTime: null,
+      down: false,
+      top: 0,
+      bottom: 0,
+      squats: 0,
+      descentSum: 0,
+      lastSquat: null
+    },
+
+    update: (state, frame) => {
+      const now = getFrameTime(frame);
+      const { gravity } = getAccelerationComponents(frame);
+      const { accelerometer } = frame;
+      // Upward acceleration: the accelerometer along gravity, less gravity itself
+      const vertical = (accelerometer.x * gravity.x + accelerometer.y * gravity.y + accelerometer.z * gravity.z)
+        / (getMagnitude(gravity) || STANDARD_GRAVITY) - STANDARD_GRAVITY;
+
+      const start = state.start === null ? now : state.start;
+      const dt = state.lastTime !== null ? (now - state.lastTime) / 1000 : 0;
+      const samples = state.samples + 1;
+      let { bias, velocity, position } = state;
+
+      if (now - start < SQUAT_SETTLE_TIME) {
+        // Plain mean of the first samples; nothing moves until the offset is known
+        bias = bias === null ? vertical : bias + (vertical - bias) / samples;
+      } else if (dt > 0 && dt <= MAX_SAMPLE_GAP) {
+        bias += (dt / (SQUAT_BIAS_TIME + dt)) * (vertical - bias);
+        velocity = velocity * Math.exp(-dt / SQUAT_LEAK) + (vertical - bias) * dt;
+        position = position * Math.exp(-dt / SQUAT_POSITION_LEAK) + velocity * dt;
+      }
+
+      let next = { ...state, start, bias, samples, velocity, position, lastTime: now };
+
+      if (!state.down) {
+        const top = Math.max(state.top, position);
+        next = top - position >= depth * SQUAT_DESCENT_RATIO
+          ? { ...next, down: true, top, bottom: position }
+          : { ...next, top };
+      } else {
+        const bottom = Math.min(state.bottom, position);
+        next = { ...next, bottom };
+
+        if (position - bottom >= depth) {
+          next = {
+            ...next,
+            down: false,
+            top: position,
+            squats: state.squats + 1,
+            descentSum: state.descentSum + (state.top - bottom),
+            lastSquat: now
+          };
+          emit(VERIFIER_EVENTS.SQUAT);
+        }
+      }
+
+      return {
+        state: next,
+        result: getResult(next),
+        qualifying: next.lastSquat !== null && now - next.lastSquat <= SQUAT_ACTIVE_GAP
+      };
+    },
+
+    getProgress: (state) => ({
+      progress: Math.min(1, state.squats / challenge.count),
+      squats: state.squats,
+      target: challenge.count,
+      down: state.down
+    })
+  };
+};
+
+// Combo: the stages in order, each with its own verifier
+// Only the current stage gets frames; when it's done the next one starts from
+// scratch. A stage with a timeLimit fails the combo once it has run that long
+// (frames further apart than MAX_SAMPLE_GAP, like a pause, don't count). The
+// performance is the mean of the stages'. The current stage's verifier lives
+// outside the state and goes into `current` only when a snapshot is taken.
+const createComboVerifier = (challenge, thresholds, emit) => {
+  const { stages } = challenge;
+  const createStageVerifier = (index, snapshot = null) => createChallengeVerifier(stages[index], {
+    sensitivityMultiplier: thresholds.SENSITIVITY,
+    customThresholds: thresholds.CUSTOM,
+    onEvent: emit,
+    snapshot
+  });
+  let stageVerifier = createStageVerifier(0);
+
+  // Completed stages count in full, the current one by how far it got
+  const getPerformance = (state, current) => (
+    state.results.reduce((sum, result) => sum + result.performance, 0) + current
+  ) / stages.length;
+
+  return {
+    initialState: { stage: 0, elapsed: 0, lastTime: null, results: [], failed: false, current: null },
+
+    restore: (state) => {
+      stageVerifier = createStageVerifier(Math.min(state.stage, stages.length - 1), state.current);
+    },
+
+    serialize: (state) => ({ ...state, current: stageVerifier.serialize() }),
+
+    update: (state, frame) => {
+      const now = getFrameTime(frame);
+      const dt = state.lastTime !== null ? now - state.lastTime : 0;
+      const elapsed = state.elapsed + (dt <= MAX_SAMPLE_GAP * 1000 ? dt : 0);
+      const stage = stages[state.stage];
+      const stageResult = stageVerifier.update(frame);
+
+      let next = { ...state, elapsed, lastTime: now, current: null };
+
+      if (stageResult.completed) {
+        const results = [...state.results, { completed: true, performance: stageResult.performance, elapsed }];
+        const done = results.length === stages.length;
+        if (!done) {
+          stageVerifier = createStageVerifier(state.stage + 1);
+          emit(VERIFIER_EVENTS.STAGE_COMPLETED);
+        }
+        next = { ...next, stage: state.stage + (done ? 0 : 1), elapsed: 0, results };
+      } else if (stage.timeLimit && elapsed > stage.timeLimit * 1000) {
+        const results = [...state.results, { completed: false, performance: stageResult.performance, elapsed }];
+        next = { ...next, results, failed: true };
+      }
+
+      // A stage just ended (done or failed) is in the results already
+      const current = stageResult.completed || next.failed ? 0 : stageResult.performance;
+      const completed = next.results.length === stages.length && !next.failed;
+      return {
+        state: next,
+        result: {
+          completed,
+          performance: getPerformance(next, current),
+          ...(next.failed ? { failed: true } : {})
+        },
+        qualifying: completed
+      };
+    },
+
+    getProgress: (state) => {
+      const current = stageVerifier.getProgress();
+      const done = state.results.filter((result) => result.completed).length;
+      return {
+        progress: Math.min(1, (done + (state.failed ? 0 : current.progress)) / stages.length),
+        stage: state.stage,
+        stageCount: stages.length,
+        stageElapsed: state.elapsed / 1000,
+        stageTimeLimit: stages[state.stage].timeLimit || null,
+        stageProgress: current,
+        stages: state.results.map((result) => ({ ...result, elapsed: result.elapsed / 1000 })),
+        failed: state.failed
+      };
+    }
+  };
+};
+
+// ==================== HOLDS ====================
+// Qualifying time adds up between samples that both qualify. Not qualifying (or
+// no samples) for up to `tolerance` ms pauses it; any longer starts it over.
+const createHoldState = () => ({ held: 0, lastTime: null, lostSince: null });
+
+const advanceHold = (hold, qualifying, now, tolerance) => {
+  const dt = hold.lastTime === null ? 0 : Math.max(0, now - hold.lastTime);
+
+  if (qualifying) {
+    // A gap in the samples longer than the tolerance is a dropout too
+    if (dt > tolerance) return { held: 0, lastTime: now, lostSince: null };
+    return { held: hold.held + (hold.lostSince === null ? dt : 0), lastTime: now, lostSince: null };
+  }
+
+  const lostSince = hold.lostSince === null ? now : hold.lostSince;
+  return { held: now - lostSince > tolerance ? 0 : hold.held, lastTime: now, lostSince };
+};
+
+// Verifier of each challenge type; unknown types get the shake check
+const VERIFIER_FACTORIES = {
+  RUN: createRunVerifier,
+  ROTATE: createRotateVerifier,
+  TILT: createTiltVerifier,
+  DIRECTION: createDirectionVerifier,
+  SHAKE: createShakeVerifier,
+  JUMP: createJumpVerifier,
+  BALANCE: createBalanceVerifier,
+  SQUAT: createSquatVerifier,
+  COMBO: createComboVerifier
+};
+
+// A verifier for one challenge
+// onEvent(event) is called for the VERIFIER_EVENTS along the way; customThresholds
+// is a custom difficulty profile's (see getThresholds)
+export const createChallengeVerifier = (challenge, {
+  sensitivityMultiplier = 1.0,
+  customThresholds = null,
+  onEvent = () => {},
+  snapshot = null
+} = {}) => {
+  const createTypeVerifier = VERIFIER_FACTORIES[challenge.type] || createShakeVerifier;
+  const thresholds = getThresholds(sensitivityMultiplier, customThresholds);
+  const typeVerifier = createTypeVerifier(challenge, thresholds, onEvent);
+
+  // Seconds the challenge must keep qualifying (0: the goal alone is enough)
+  // A duration the challenge gives is kept as is: it's what its time limit was set for
+  const duration = challenge.duration || typeVerifier.defaultDuration || 0;
+  const tolerance = (challenge.dropoutTolerance || DEFAULT_DROPOUT_TOLERANCE) * 1000;
+
+  let state = typeVerifier.initialState;
+  let hold = createHoldState();
+  let result = { completed: false, performance: 0 };
+
+  if (snapshot) {
+    if (snapshot.type !== challenge.type || snapshot.id !== challenge.id) {
+      throw new Error(`Verifier snapshot is for another challenge: ${snapshot.id}`);
+    }
+    state = snapshot.state;
+    hold = snapshot.hold || createHoldState();
+    result = {
+      completed: snapshot.completed,
+      performance: snapshot.performance,
+      ...(snapshot.failed ? { failed: true } : {})
+    };
+  }
+  if (typeVerifier.restore) typeVerifier.restore(state);
+
+  const getHeldFraction = () => (duration > 0 ? Math.min(1, hold.held / (duration * 1000)) : 1);
+
+  return {
+    challenge,
+
+    // Once completed (or failed), the result stays until reset
+    update: (frame) => {
+      if (!frame || result.completed || result.failed) return result;
+
+      const next = typeVerifier.update(state, frame);
+      state = next.state;
+
+      if (duration > 0) {
+        hold = advanceHold(hold, next.qualifying, getFrameTime(frame), tolerance);
+        const heldFraction = getHeldFraction();
+        result = next.result.completed && heldFraction >= 1
+          ? next.result
+          : { completed: false, performance: Math.min(next.result.performance, heldFraction) };
+      } else {
+        result = next.result;
+      }
+      return result;
+    },
+
+    // { completed, performance, progress (0-1), hold: { held, duration } (s) when timed, ...per type }
+    getProgress: () => {
+      const progress = typeVerifier.getProgress(state);
+      return {
+        ...result,
+        ...progress,
+        progress: result.completed ? 1 : Math.min(progress.progress, getHeldFraction()),
+        ...(duration > 0 ? { hold: { held: hold.held / 1000, duration } } : {})
+      };
+    },
+
+    reset: () => {
+      state = typeVerifier.initialState;
+      hold = createHoldState();
+      result = { completed: false, performance: 0 };
+      if (typeVerifier.restore) typeVerifier.restore(state);
+    },
+
+    serialize: () => ({
+      id: challenge.id,
+      type: challenge.type,
+      completed: result.completed,
+      performance: result.performance,
+      failed: Boolean(result.failed),
+      state: JSON.parse(JSON.stringify(typeVerifier.serialize ? typeVerifier.serialize(state) : state)),
+      hold: { ...hold }
+    })
+  };
+};
@@ -0,0 +1,176 @@
+// ==================== SIGNAL FILTERS ====================
+// Filters work on { x, y, z, timestamp } samples (timestamp in ms) and keep
+// their own state. Every filter has apply(sample) -> sample and reset().
+
+const AXES = ['x', 'y', 'z'];
+
+export const FILTER_TYPES = {
+  LOW_PASS: 'lowPass',
+  HIGH_PASS: 'highPass',
+  MOVING_AVERAGE: 'movingAverage',
+  MEDIAN: 'median'
+};
+
+// Fallback sample spacing when timestamps are missing or repeated
+const DEFAULT_INTERVAL = 50;
+
+// Cutoff used to estimate gravity from the accelerometer
+const GRAVITY_CUTOFF_HZ = 0.3;
+
+const mapAxes = (sample, fn) => ({
+  x: fn(sample.x, 'x'),
+  y: fn(sample.y, 'y'),
+  z: fn(sample.z, 'z'),
+  timestamp: sample.timestamp
+});
+
+// Smoothing factor of a first-order low-pass for a given cutoff and time step
+const getSmoothingFactor = (cutoffHz, intervalMs) => {
+  const rc = 1 / (2 * Math.PI * cutoffHz);
+  const dt = intervalMs / 1000;
+  return dt / (rc + dt);
+};
+
+// First-order low-pass; pass `alpha` for a fixed factor or `cutoffHz` to follow the sample rate
+export const createLowPassFilter = ({ cutoffHz = 1, alpha = null } = {}) => {
+  let state = null;
+
+  const apply = (sample) => {
+    if (!state) {
+      state = { ...sample };
+      return { ...state };
+    }
+
+    const interval = sample.timestamp > state.timestamp ? sample.timestamp - state.timestamp : DEFAULT_INTERVAL;
+    const factor = alpha !== null ? alpha : getSmoothingFactor(cutoffHz, interval);
+
+    state = mapAxes(sample, (value, axis) => state[axis] + factor * (value - state[axis]));
+    return { ...state };
+  };
+
+  return {
+    apply,
+    reset: () => {
+      state = null;
+    }
+  };
+};
+
+// First-order high-pass: the input minus its low-passed part
+export const createHighPassFilter = (options = {}) => {
+  const lowPass = createLowPassFilter(options);
+
+  return {
+    apply: (sample) => {
+      const low = lowPass.apply(sample);
+      return mapAxes(sample, (value, axis) => value - low[axis]);
+    },
+    reset: lowPass.reset
+  };
+};
+
+// Mean of the last `size` samples
+export const createMovingAverageFilter = ({ size = 5 } = {}) => {
+  let window = [];
+
+  return {
+    apply: (sample) => {
+      window.push(sample);
+      if (window.length > size) {
+        window.shift();
+      }
+
+      return mapAxes(sample, (value, axis) => (
+        window.reduce((sum, item) => sum + item[axis], 0) / window.length
+      ));
+    },
+    reset: () => {
+      window = [];
+    }
+  };
+};
+
+// Per-axis median of the last `size` samples (removes isolated spikes)
+export const createMedianFilter = ({ size = 3 } = {}) => {
+  let window = [];
+
+  return {
+    apply: (sample) => {
+      window.push(sample);
+      if (window.length > size) {
+        window.shift();
+      }
+
+      return mapAxes(sample, (value, axis) => {
+        const sorted = window.map((item) => item[axis]).sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+      });
+    },
+    reset: () => {
+      window = [];
+    }
+  };
+};
+
+const FILTER_FACTORIES = {
+  [FILTER_TYPES.LOW_PASS]: createLowPassFilter,
+  [FILTER_TYPES.HIGH_PASS]: createHighPassFilter,
+  [FILTER_TYPES.MOVING_AVERAGE]: createMovingAverageFilter,
+  [FILTER_TYPES.MEDIAN]: createMedianFilter
+};
+
+// Chain of filters from a config such as [{ type: 'median', size: 3 }, { type: 'lowPass', cutoffHz: 5 }]
+export const createFilterPipeline = (stages = []) => {
+  const filters = stages.map(({ type, ...options }) => {
+    const factory = FILTER_FACTORIES[type];
+    if (!factory) {
+      throw new Error(`Unknown filter type: ${type}`);
+    }
+    return factory(options);
+  });
+
+  return {
+    stages: stages.map((stage) => ({ ...stage })),
+    apply: (sample) => filters.reduce((current, filter) => filter.apply(current), sample),
+    reset: () => filters.forEach((filter) => filter.reset())
+  };
+};
+
+// Split accelerometer samples into gravity (low-pass) and linear acceleration (the rest)
+export const createGravitySeparator = ({ cutoffHz = GRAVITY_CUTOFF_HZ } = {}) => {
+  const lowPass = createLowPassFilter({ cutoffHz });
+
+  return {
+    apply: (sample) => {
+      const gravity = lowPass.apply(sample);
+
+      return {
+        gravity,
+        linearAcceleration: mapAxes(sample, (value, axis) => value - gravity[axis])
+      };
+    },
+    reset: lowPass.reset
+  };
+};
+
+// Component of the linear acceleration along gravity (positive = upwards)
+export const getVerticalAcceleration = (linearAcceleration, gravity) => {
+  const norm = Math.sqrt(
+    Math.pow(gravity.x, 2) +
+    Math.pow(gravity.y, 2) +
+    Math.pow(gravity.z, 2)
+  );
+
+  if (norm === 0) return 0;
+
+  return AXES.reduce((sum, axis) => sum + linearAcceleration[axis] * gravity[axis], 0) / norm;
+};
+
+// Size of the linear acceleration across gravity (sideways, forwards and backwards)
+export const getHorizontalAcceleration = (linearAcceleration, gravity) => {
+  const vertical = getVerticalAcceleration(linearAcceleration, gravity);
+  const total = AXES.reduce((sum, axis) => sum + Math.pow(linearAcceleration[axis], 2), 0);
+
+  return Math.sqrt(Math.max(0, total - Math.pow(vertical, 2)));
+};
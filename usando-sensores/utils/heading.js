@@ -0,0 +1,131 @@
+// ==================== COMPASS HEADING ====================
+// Tilt-compensated heading from gravity and the magnetic field.
+//
+// The heading is the direction the device points at, in degrees clockwise
+// from north (0-360). "Pointing" follows how the device is held: the top
+// edge when it lies flat, the back of the device when it is held upright in
+// front of the user, and a blend of both in between.
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// How fast the smoothed heading follows the raw one
+const DEFAULT_CUTOFF_HZ = 1;
+
+// Fallback sample spacing when timestamps are missing or repeated
+const DEFAULT_INTERVAL = 50;
+
+// Device-frame direction the heading refers to (top edge + out of the back)
+const POINTING_VECTOR = { x: 0, y: 1, z: -1 };
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+const cross = (a, b) => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x
+});
+
+const normalize = (v) => {
+  const norm = Math.sqrt(dot(v, v));
+  return norm > 0 ? { x: v.x / norm, y: v.y / norm, z: v.z / norm } : null;
+};
+
+// Wrap any angle into 0-360
+export const normalizeHeading = (heading) => ((heading % 360) + 360) % 360;
+
+// Shortest signed difference from `from` to `to`, in degrees (-180..180)
+export const getHeadingDifference = (from, to) => {
+  const diff = normalizeHeading(to - from);
+  return diff > 180 ? diff - 360 : diff;
+};
+
+// Magnetic heading from gravity (accelerometer at rest) and the field; null if undefined
+export const computeTiltCompensatedHeading = (gravity, magnetometer) => {
+  const up = normalize(gravity);
+  if (!up) return null;
+
+  const east = normalize(cross(magnetometer, up));
+  if (!east) return null;
+
+  const north = cross(up, east);
+  const eastComponent = dot(POINTING_VECTOR, east);
+  const northComponent = dot(POINTING_VECTOR, north);
+
+  // Pointing straight up or down: no horizontal direction
+  if (Math.abs(eastComponent) < 1e-6 && Math.abs(northComponent) < 1e-6) {
+    return null;
+  }
+
+  return normalizeHeading(Math.atan2(eastComponent, northComponent) * RAD_TO_DEG);
+};
+
+// Low-pass a heading on the unit circle, so 359° -> 1° doesn't swing through 180°
+export const createHeadingSmoother = ({ cutoffHz = DEFAULT_CUTOFF_HZ } = {}) => {
+  let state = null;
+
+  const apply = (heading, timestamp) => {
+    const angle = heading / RAD_TO_DEG;
+
+    if (!state) {
+      state = { cos: Math.cos(angle), sin: Math.sin(angle), timestamp };
+    } else {
+      const interval = timestamp > state.timestamp ? timestamp - state.timestamp : DEFAULT_INTERVAL;
+      const rc = 1 / (2 * Math.PI * cutoffHz);
+      const factor = (interval / 1000) / (rc + interval / 1000);
+
+      state = {
+        cos: state.cos + factor * (Math.cos(angle) - state.cos),
+        sin: state.sin + factor * (Math.sin(angle) - state.sin),
+        timestamp
+      };
+    }
+
+    return normalizeHeading(Math.atan2(state.sin, state.cos) * RAD_TO_DEG);
+  };
+
+  return {
+    apply,
+    reset: () => {
+      state = null;
+    }
+  };
+};
+
+// Smoothed heading with optional magnetic declination (degrees, east positive)
+export const createHeadingEstimator = ({ declination = 0, useTrueNorth = false, cutoffHz } = {}) => {
+  const smoother = createHeadingSmoother({ cutoffHz });
+  let settings = { declination, useTrueNorth };
+  let current = null;
+
+  // Returns { heading, magneticHeading, trueHeading, declination, timestamp } or the last value
+  const update = (gravity, magnetometer, timestamp) => {
+    const rawHeading = computeTiltCompensatedHeading(gravity, magnetometer);
+    if (rawHeading === null) return current;
+
+    const magneticHeading = smoother.apply(rawHeading, timestamp);
+    const trueHeading = normalizeHeading(magneticHeading + settings.declination);
+
+    current = {
+      heading: settings.useTrueNorth ? trueHeading : magneticHeading,
+      magneticHeading,
+      trueHeading,
+      declination: settings.declination,
+      timestamp
+    };
+
+    return current;
+  };
+
+  return {
+    update,
+    getHeading: () => current,
+    setDeclination: ({ declination: newDeclination = settings.declination, useTrueNorth: newUseTrueNorth = settings.useTrueNorth }) => {
+      settings = { declination: newDeclination, useTrueNorth: newUseTrueNorth };
+    },
+    getSettings: () => ({ ...settings }),
+    reset: () => {
+      smoother.reset();
+      current = null;
+    }
+  };
+};
@@ -0,0 +1,280 @@
+// ==================== MAGNETOMETER CALIBRATION ====================
+// Hard-iron (offset) and soft-iron (per-axis scale) correction for the
+// magnetometer. Samples collected while the device is waved in a figure-eight
+// lie on an ellipsoid; the fit maps them back onto a sphere whose radius is
+// the local field strength (μT).
+
+// Calibration that leaves readings untouched
+export const IDENTITY_CALIBRATION = {
+  offset: { x: 0, y: 0, z: 0 },
+  scale: { x: 1, y: 1, z: 1 },
+  fieldStrength: null,
+  quality: null,
+  timestamp: 0
+};
+
+// Samples needed before a fit is attempted, and the most kept in memory
+const MIN_CALIBRATION_SAMPLES = 100;
+const MAX_CALIBRATION_SAMPLES = 1500;
+
+// Share of the 26 directions around the device that must be covered
+const MIN_COVERAGE = 0.6;
+
+// Spread of the corrected field strength (relative) that counts as a useless fit
+const MAX_RESIDUAL = 0.15;
+
+// Relative field strength change (and for how long) that means the calibration is off
+const DRIFT_TOLERANCE = 0.25;
+const DRIFT_HOLD_MS = 3000;
+
+// How fast the monitored field strength follows the readings
+const DRIFT_CUTOFF_HZ = 0.5;
+
+// Fallback sample spacing when timestamps are missing or repeated
+const DEFAULT_INTERVAL = 50;
+
+// sin(22.5°): a component above this counts towards that axis' direction
+const DIRECTION_THRESHOLD = 0.38;
+
+const AXES = ['x', 'y', 'z'];
+
+const magnitude = (v) => Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+
+// Solve the linear system a·p = b (Gaussian elimination); null if singular
+const solveLinearSystem = (a, b) => {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) {
+        pivot = row;
+      }
+    }
+
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) {
+        m[row][k] -= factor * m[col][k];
+      }
+    }
+  }
+
+  return m.map((row, i) => row[n] / row[i]);
+};
+
+// Correct a reading: subtract the offset, then scale each axis
+export const applyMagnetometerCalibration = (sample, calibration = IDENTITY_CALIBRATION) => ({
+  x: (sample.x - calibration.offset.x) * calibration.scale.x,
+  y: (sample.y - calibration.offset.y) * calibration.scale.y,
+  z: (sample.z - calibration.offset.z) * calibration.scale.z,
+  timestamp: sample.timestamp
+});
+
+// Share (0-1) of the 26 directions around `center` that the samples point at
+export const getDirectionCoverage = (samples, center = IDENTITY_CALIBRATION.offset) => {
+  const directions = new Set();
+
+  samples.forEach((sample) => {
+    const v = { x: sample.x - center.x, y: sample.y - center.y, z: sample.z - center.z };
+    const norm = magnitude(v);
+    if (norm === 0) return;
+
+    const key = AXES.map((axis) => {
+      const component = v[axis] / norm;
+      return component > DIRECTION_THRESHOLD ? 1 : (component < -DIRECTION_THRESHOLD ? -1 : 0);
+    }).join(',');
+
+    directions.add(key);
+  });
+
+  return directions.size / 26;
+};
+
+// Quality label of a 0-1 calibration score
+export const getCalibrationQualityLevel = (quality) => {
+  if (quality === null || quality === undefined) return 'none';
+  if (quality >= 0.75) return 'good';
+  if (quality >= 0.45) return 'fair';
+  return 'poor';
+};
+
+// Fit offsets and scales to the samples (axis-aligned ellipsoid, least squares)
+// Returns a calibration, or null if the samples don't describe an ellipsoid
+export const fitMagnetometerCalibration = (samples, timestamp = Date.now()) => {
+  if (samples.length < MIN_CALIBRATION_SAMPLES) return null;
+
+  // Center and scale the data so the fit is well conditioned
+  const mean = { x: 0, y: 0, z: 0 };
+  samples.forEach((sample) => AXES.forEach((axis) => {
+    mean[axis] += sample[axis] / samples.length;
+  }));
+
+  const spread = Math.sqrt(samples.reduce((sum, sample) => (
+    sum + AXES.reduce((axisSum, axis) => axisSum + Math.pow(sample[axis] - mean[axis], 2), 0)
+  ), 0) / samples.length);
+  if (spread === 0) return null;
+
+  // Normal equations of A·x² + B·y² + C·z² + D·x + E·y + F·z = 1
+  const normal = Array.from({ length: 6 }, () => new Array(6).fill(0));
+  const rhs = new Array(6).fill(0);
+
+  samples.forEach((sample) => {
+    const x = (sample.x - mean.x) / spread;
+    const y = (sample.y - mean.y) / spread;
+    const z = (sample.z - mean.z) / spread;
+    const row = [x * x, y * y, z * z, x, y, z];
+
+    for (let i = 0; i < 6; i++) {
+      rhs[i] += row[i];
+      for (let j = 0; j < 6; j++) {
+        normal[i][j] += row[i] * row[j];
+      }
+    }
+  });
+
+  const solution = solveLinearSystem(normal, rhs);
+  if (!solution) return null;
+
+  const [a, b, c, d, e, f] = solution;
+  if (a <= 0 || b <= 0 || c <= 0) return null;
+
+  const g = 1 + (d * d) / (4 * a) + (e * e) / (4 * b) + (f * f) / (4 * c);
+  const radii = {
+    x: Math.sqrt(g / a) * spread,
+    y: Math.sqrt(g / b) * spread,
+    z: Math.sqrt(g / c) * spread
+  };
+  const radius = (radii.x + radii.y + radii.z) / 3;
+
+  const offset = {
+    x: mean.x - (d / (2 * a)) * spread,
+    y: mean.y - (e / (2 * b)) * spread,
+    z: mean.z - (f / (2 * c)) * spread
+  };
+  const scale = {
+    x: radius / radii.x,
+    y: radius / radii.y,
+    z: radius / radii.z
+  };
+
+  // How round the corrected samples are, and how much of the sphere they cover
+  const strengths = samples.map((sample) => magnitude(applyMagnetometerCalibration(sample, { offset, scale })));
+  const fieldStrength = strengths.reduce((sum, value) => sum + value, 0) / strengths.length;
+  const residual = Math.sqrt(
+    strengths.reduce((sum, value) => sum + Math.pow(value - fieldStrength, 2), 0) / strengths.length
+  ) / fieldStrength;
+  const coverage = getDirectionCoverage(samples, offset);
+
+  const quality = Math.min(1, coverage / 0.8) * Math.max(0, 1 - residual / MAX_RESIDUAL);
+
+  return {
+    offset,
+    scale,
+    fieldStrength,
+    quality: Math.round(quality * 100) / 100,
+    residual,
+    coverage,
+    sampleCount: samples.length,
+    timestamp
+  };
+};
+
+// Collects raw magnetometer samples for a calibration run
+export const createMagnetometerCalibrator = ({
+  minSamples = MIN_CALIBRATION_SAMPLES,
+  maxSamples = MAX_CALIBRATION_SAMPLES,
+  minCoverage = MIN_COVERAGE
+} = {}) => {
+  let samples = [];
+  let coverage = 0;
+
+  // Progress so far: { samples, coverage (0-1), ready }
+  const getProgress = () => ({
+    samples: samples.length,
+    coverage,
+    ready: samples.length >= minSamples && coverage >= minCoverage
+  });
+
+  return {
+    add: (sample) => {
+      samples.push({ x: sample.x, y: sample.y, z: sample.z });
+      if (samples.length > maxSamples) {
+        samples.shift();
+      }
+
+      // Coverage around the running center is a cheap stand-in until the fit
+      if (samples.length % 10 === 0) {
+        const center = { x: 0, y: 0, z: 0 };
+        samples.forEach((item) => AXES.forEach((axis) => {
+          center[axis] += item[axis] / samples.length;
+        }));
+        coverage = getDirectionCoverage(samples, center);
+      }
+
+      return getProgress();
+    },
+    getProgress,
+    finish: (timestamp = Date.now()) => fitMagnetometerCalibration(samples, timestamp),
+    reset: () => {
+      samples = [];
+      coverage = 0;
+    }
+  };
+};
+
+// Watches the calibrated field strength and flags when it stays off the calibrated one
+// Without a fieldStrength it only tracks the current strength
+export const createFieldDriftMonitor = ({
+  tolerance = DRIFT_TOLERANCE,
+  holdMs = DRIFT_HOLD_MS,
+  cutoffHz = DRIFT_CUTOFF_HZ
+} = {}) => {
+  let strength = null;
+  let lastTimestamp = null;
+  let driftStart = null;
+  let drifting = false;
+
+  const update = (sample, fieldStrength) => {
+    const current = magnitude(sample);
+
+    if (strength === null) {
+      strength = current;
+    } else {
+      const interval = sample.timestamp > lastTimestamp ? sample.timestamp - lastTimestamp : DEFAULT_INTERVAL;
+      const rc = 1 / (2 * Math.PI * cutoffHz);
+      const factor = (interval / 1000) / (rc + interval / 1000);
+      strength += factor * (current - strength);
+    }
+    lastTimestamp = sample.timestamp;
+
+    if (fieldStrength && Math.abs(strength - fieldStrength) / fieldStrength > tolerance) {
+      if (driftStart === null) {
+        driftStart = sample.timestamp;
+      }
+      drifting = sample.timestamp - driftStart >= holdMs;
+    } else {
+      driftStart = null;
+      drifting = false;
+    }
+
+    return drifting;
+  };
+
+  return {
+    update,
+    isDrifting: () => drifting,
+    getStrength: () => strength,
+    reset: () => {
+      strength = null;
+      lastTimestamp = null;
+      driftStart = null;
+      drifting = false;
+    }
+  };
+};
@@ -0,0 +1,226 @@
+// ==================== ORIENTATION ESTIMATION ====================
+// Madgwick AHRS filter fusing accelerometer, gyroscope and (optionally)
+// magnetometer readings into the device attitude.
+//
+// The quaternion rotates device coordinates into the earth frame
+// (x = magnetic north, y = west, z = up). Angles are reported in degrees:
+//   pitch: top edge above the horizon (> 0 = top edge up)
+//   roll:  tilt around the long axis (> 0 = right edge down)
+//   yaw:   heading of the top edge, clockwise from magnetic north (0-360)
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Filter gain: higher trusts the accelerometer/magnetometer more, lower the gyroscope
+const DEFAULT_BETA = 0.1;
+
+// Largest time step integrated at once (s), so a stalled stream doesn't cause a jump
+const MAX_TIME_STEP = 0.2;
+
+const IDENTITY_QUATERNION = { w: 1, x: 0, y: 0, z: 0 };
+
+const normalize3 = (v) => {
+  const norm = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+  return norm > 0 ? { x: v.x / norm, y: v.y / norm, z: v.z / norm } : null;
+};
+
+const normalizeQuaternion = (q) => {
+  const norm = Math.sqrt(q.w * q.w + q.x * q.x + q.y * q.y + q.z * q.z);
+  return norm > 0 ? { w: q.w / norm, x: q.x / norm, y: q.y / norm, z: q.z / norm } : { ...IDENTITY_QUATERNION };
+};
+
+const cross = (a, b) => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x
+});
+
+// Device-to-earth rotation matrix of a quaternion
+export const quaternionToMatrix = ({ w, x, y, z }) => [
+  [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+  [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+  [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+];
+
+// Quaternion of a rotation matrix (Shepperd's method)
+const matrixToQuaternion = (m) => {
+  const trace = m[0][0] + m[1][1] + m[2][2];
+
+  if (trace > 0) {
+    const s = Math.sqrt(trace + 1) * 2;
+    return normalizeQuaternion({ w: s / 4, x: (m[2][1] - m[1][2]) / s, y: (m[0][2] - m[2][0]) / s, z: (m[1][0] - m[0][1]) / s });
+  }
+
+  if (m[0][0] > m[1][1] && m[0][0] > m[2][2]) {
+    const s = Math.sqrt(1 + m[0][0] - m[1][1] - m[2][2]) * 2;
+    return normalizeQuaternion({ w: (m[2][1] - m[1][2]) / s, x: s / 4, y: (m[0][1] + m[1][0]) / s, z: (m[0][2] + m[2][0]) / s });
+  }
+
+  if (m[1][1] > m[2][2]) {
+    const s = Math.sqrt(1 + m[1][1] - m[0][0] - m[2][2]) * 2;
+    return normalizeQuaternion({ w: (m[0][2] - m[2][0]) / s, x: (m[0][1] + m[1][0]) / s, y: s / 4, z: (m[1][2] + m[2][1]) / s });
+  }
+
+  const s = Math.sqrt(1 + m[2][2] - m[0][0] - m[1][1]) * 2;
+  return normalizeQuaternion({ w: (m[1][0] - m[0][1]) / s, x: (m[0][2] + m[2][0]) / s, y: (m[1][2] + m[2][1]) / s, z: s / 4 });
+};
+
+// Attitude straight from gravity (and the magnetic field, when there is one)
+export const quaternionFromVectors = (accelerometer, magnetometer = null) => {
+  const up = normalize3(accelerometer);
+  if (!up) return { ...IDENTITY_QUATERNION };
+
+  // Without a field, use any horizontal direction as "north"
+  const reference = magnetometer && normalize3(cross(magnetometer, up))
+    ? magnetometer
+    : (Math.abs(up.y) < 0.9 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 });
+
+  const east = normalize3(cross(reference, up));
+  const north = cross(up, east);
+  const west = { x: -east.x, y: -east.y, z: -east.z };
+
+  // Rows are the earth axes expressed in device coordinates
+  return matrixToQuaternion([
+    [north.x, north.y, north.z],
+    [west.x, west.y, west.z],
+    [up.x, up.y, up.z]
+  ]);
+};
+
+// Pitch, roll and yaw (degrees) of a quaternion
+export const quaternionToEuler = (q) => {
+  const m = quaternionToMatrix(q);
+  const yaw = Math.atan2(-m[1][1], m[0][1]) * RAD_TO_DEG;
+
+  return {
+    pitch: Math.asin(Math.max(-1, Math.min(1, m[2][1]))) * RAD_TO_DEG,
+    roll: Math.atan2(-m[2][0], m[2][2]) * RAD_TO_DEG,
+    yaw: yaw < 0 ? yaw + 360 : yaw
+  };
+};
+
+// One Madgwick gradient-descent step; returns the corrective quaternion rate
+const getCorrection = (q, a, m) => {
+  const { w: q0, x: q1, y: q2, z: q3 } = q;
+
+  if (!m) {
+    // Gravity only
+    const f1 = 2 * (q1 * q3 - q0 * q2) - a.x;
+    const f2 = 2 * (q0 * q1 + q2 * q3) - a.y;
+    const f3 = 1 - 2 * (q1 * q1 + q2 * q2) - a.z;
+
+    return {
+      w: -2 * q2 * f1 + 2 * q1 * f2,
+      x: 2 * q3 * f1 + 2 * q0 * f2 - 4 * q1 * f3,
+      y: -2 * q0 * f1 + 2 * q3 * f2 - 4 * q2 * f3,
+      z: 2 * q1 * f1 + 2 * q2 * f2
+    };
+  }
+
+  // Reference direction of the earth's field, from the current estimate
+  const h = {
+    x: 2 * (m.x * (0.5 - q2 * q2 - q3 * q3) + m.y * (q1 * q2 - q0 * q3) + m.z * (q1 * q3 + q0 * q2)),
+    y: 2 * (m.x * (q1 * q2 + q0 * q3) + m.y * (0.5 - q1 * q1 - q3 * q3) + m.z * (q2 * q3 - q0 * q1)),
+    z: 2 * (m.x * (q1 * q3 - q0 * q2) + m.y * (q2 * q3 + q0 * q1) + m.z * (0.5 - q1 * q1 - q2 * q2))
+  };
+  const bx = Math.sqrt(h.x * h.x + h.y * h.y);
+  const bz = h.z;
+
+  const f1 = 2 * (q1 * q3 - q0 * q2) - a.x;
+  const f2 = 2 * (q0 * q1 + q2 * q3) - a.y;
+  const f3 = 1 - 2 * (q1 * q1 + q2 * q2) - a.z;
+  const f4 = 2 * bx * (0.5 - q2 * q2 - q3 * q3) + 2 * bz * (q1 * q3 - q0 * q2) - m.x;
+  const f5 = 2 * bx * (q1 * q2 - q0 * q3) + 2 * bz * (q0 * q1 + q2 * q3) - m.y;
+  const f6 = 2 * bx * (q0 * q2 + q1 * q3) + 2 * bz * (0.5 - q1 * q1 - q2 * q2) - m.z;
+
+  return {
+    w: -2 * q2 * f1 + 2 * q1 * f2 - 2 * bz * q2 * f4 + (-2 * bx * q3 + 2 * bz * q1) * f5 + 2 * bx * q2 * f6,
+    x: 2 * q3 * f1 + 2 * q0 * f2 - 4 * q1 * f3 + 2 * bz * q3 * f4 + (2 * bx * q2 + 2 * bz * q0) * f5 + (2 * bx * q3 - 4 * bz * q1) * f6,
+    y: -2 * q0 * f1 + 2 * q3 * f2 - 4 * q2 * f3 + (-4 * bx * q2 - 2 * bz * q0) * f4 + (2 * bx * q1 + 2 * bz * q3) * f5 + (2 * bx * q0 - 4 * bz * q2) * f6,
+    z: 2 * q1 * f1 + 2 * q2 * f2 + (-4 * bx * q3 + 2 * bz * q1) * f4 + (-2 * bx * q0 + 2 * bz * q2) * f5 + 2 * bx * q1 * f6
+  };
+};
+
+// Create an orientation estimator
+export const createOrientationEstimator = ({ beta = DEFAULT_BETA } = {}) => {
+  let quaternion = null;
+  let lastTimestamp = null;
+
+  // Feed one set of readings (accelerometer and magnetometer in any unit, gyroscope in rad/s)
+  const update = ({ accelerometer, gyroscope, magnetometer = null, timestamp }) => {
+    const a = accelerometer ? normalize3(accelerometer) : null;
+    const m = magnetometer ? normalize3(magnetometer) : null;
+
+    // Start from the measured attitude instead of waiting for the filter to converge
+    if (!quaternion) {
+      if (!a) return getOrientation();
+
+      quaternion = quaternionFromVectors(accelerometer, magnetometer);
+      lastTimestamp = timestamp;
+      return getOrientation();
+    }
+
+    const dt = lastTimestamp !== null && timestamp > lastTimestamp
+      ? Math.min((timestamp - lastTimestamp) / 1000, MAX_TIME_STEP)
+      : 0;
+    lastTimestamp = timestamp;
+
+    const g = gyroscope || { x: 0, y: 0, z: 0 };
+    const { w: q0, x: q1, y: q2, z: q3 } = quaternion;
+
+    // Rate of change from the gyroscope
+    let rate = {
+      w: 0.5 * (-q1 * g.x - q2 * g.y - q3 * g.z),
+      x: 0.5 * (q0 * g.x + q2 * g.z - q3 * g.y),
+      y: 0.5 * (q0 * g.y - q1 * g.z + q3 * g.x),
+      z: 0.5 * (q0 * g.z + q1 * g.y - q2 * g.x)
+    };
+
+    // Pull towards what gravity/the field say
+    if (a) {
+      const correction = getCorrection(quaternion, a, m);
+      const norm = Math.sqrt(
+        correction.w * correction.w + correction.x * correction.x +
+        correction.y * correction.y + correction.z * correction.z
+      );
+
+      if (norm > 0) {
+        rate = {
+          w: rate.w - beta * correction.w / norm,
+          x: rate.x - beta * correction.x / norm,
+          y: rate.y - beta * correction.y / norm,
+          z: rate.z - beta * correction.z / norm
+        };
+      }
+    }
+
+    quaternion = normalizeQuaternion({
+      w: q0 + rate.w * dt,
+      x: q1 + rate.x * dt,
+      y: q2 + rate.y * dt,
+      z: q3 + rate.z * dt
+    });
+
+    return getOrientation();
+  };
+
+  // Current estimate: { quaternion, pitch, roll, yaw, timestamp }
+  const getOrientation = () => {
+    const current = quaternion || IDENTITY_QUATERNION;
+
+    return {
+      quaternion: { ...current },
+      ...quaternionToEuler(current),
+      timestamp: lastTimestamp || 0
+    };
+  };
+
+  return {
+    update,
+    getOrientation,
+    isInitialized: () => quaternion !== null,
+    reset: () => {
+      quaternion = null;
+      lastTimestamp = null;
+    }
+  };
+};
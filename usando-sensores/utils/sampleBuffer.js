@@ -0,0 +1,163 @@
+// ==================== SAMPLE BUFFER ====================
+// Fixed-capacity ring buffer of timestamped { x, y, z, timestamp } samples.
+// Windows are measured back from the newest sample, so recorded or synthetic
+// streams with their own clock can be queried the same way as live ones.
+
+const AXES = ['x', 'y', 'z', 'magnitude'];
+
+const DEFAULT_CAPACITY = 256; // ~12 seconds at 20 Hz
+
+// Magnitude of a 3-axis sample
+export const getMagnitude = (sample) => {
+  return Math.sqrt(
+    Math.pow(sample.x, 2) +
+    Math.pow(sample.y, 2) +
+    Math.pow(sample.z, 2)
+  );
+};
+
+// Empty per-axis accumulator
+const createAxisValues = (value = 0) => ({ x: value, y: value, z: value, magnitude: value });
+
+// Mean, variance and peak (largest absolute value) over a list of samples
+export const computeSampleStats = (samples) => {
+  const count = samples.length;
+  const mean = createAxisValues();
+  const variance = createAxisValues();
+  const peak = createAxisValues();
+
+  if (count === 0) {
+    return { count, duration: 0, mean, variance, peak };
+  }
+
+  const values = samples.map((sample) => ({
+    x: sample.x,
+    y: sample.y,
+    z: sample.z,
+    magnitude: getMagnitude(sample)
+  }));
+
+  values.forEach((value) => {
+    AXES.forEach((axis) => {
+      mean[axis] += value[axis] / count;
+      peak[axis] = Math.max(peak[axis], Math.abs(value[axis]));
+    });
+  });
+
+  values.forEach((value) => {
+    AXES.forEach((axis) => {
+      variance[axis] += Math.pow(value[axis] - mean[axis], 2) / count;
+    });
+  });
+
+  return {
+    count,
+    duration: samples[count - 1].timestamp - samples[0].timestamp,
+    mean,
+    variance,
+    peak
+  };
+};
+
+// Create a ring buffer holding at most `capacity` samples
+export const createSampleBuffer = (capacity = DEFAULT_CAPACITY) => {
+  const samples = new Array(capacity);
+  let start = 0;
+  let count = 0;
+
+  // Sample by age order (0 = oldest)
+  const at = (index) => samples[(start + index) % capacity];
+
+  // Add a sample, overwriting the oldest one when full
+  const push = (sample) => {
+    if (count < capacity) {
+      samples[(start + count) % capacity] = sample;
+      count++;
+    } else {
+      samples[start] = sample;
+      start = (start + 1) % capacity;
+    }
+  };
+
+  const clear = () => {
+    samples.fill(undefined);
+    start = 0;
+    count = 0;
+  };
+
+  const latest = () => (count > 0 ? at(count - 1) : null);
+
+  const toArray = () => {
+    const result = [];
+    for (let i = 0; i < count; i++) {
+      result.push(at(i));
+    }
+    return result;
+  };
+
+  // Samples from the last `windowMs` (relative to `now`, default newest sample)
+  const getWindow = (windowMs, now = latest()?.timestamp) => {
+    if (count === 0) return [];
+
+    const from = now - windowMs;
+    const result = [];
+
+    // Walk backwards so short windows on a full buffer stay cheap
+    for (let i = count - 1; i >= 0; i--) {
+      const sample = at(i);
+      if (sample.timestamp < from) break;
+      if (sample.timestamp <= now) {
+        result.push(sample);
+      }
+    }
+
+    return result.reverse();
+  };
+
+  // Mean/variance/peak over the last `windowMs`
+  const getStats = (windowMs, now) => computeSampleStats(getWindow(windowMs, now));
+
+  // Linearly interpolate the last `windowMs` onto a uniform `rateHz` grid
+  const resample = (rateHz, windowMs, now) => {
+    const window = windowMs === undefined ? toArray() : getWindow(windowMs, now);
+    if (window.length < 2 || rateHz <= 0) return window;
+
+    const step = 1000 / rateHz;
+    const first = window[0].timestamp;
+    const last = window[window.length - 1].timestamp;
+    const result = [];
+    let index = 0;
+
+    for (let time = first; time <= last; time += step) {
+      while (index < window.length - 2 && window[index + 1].timestamp < time) {
+        index++;
+      }
+
+      const before = window[index];
+      const after = window[index + 1];
+      const span = after.timestamp - before.timestamp;
+      const ratio = span > 0 ? Math.min(1, Math.max(0, (time - before.timestamp) / span)) : 0;
+
+      result.push({
+        x: before.x + (after.x - before.x) * ratio,
+        y: before.y + (after.y - before.y) * ratio,
+        z: before.z + (after.z - before.z) * ratio,
+        timestamp: time
+      });
+    }
+
+    return result;
+  };
+
+  return {
+    capacity,
+    size: () => count,
+    push,
+    clear,
+    latest,
+    toArray,
+    getWindow,
+    getStats,
+    resample
+  };
+};
@@ -0,0 +1,99 @@
+import { CHALLENGE_TYPES } from './challengeCatalog';
+
+// ==================== SCORING ====================
+// Points for one challenge, and how they were earned:
+//
+//   completion  flat points for getting it done
+//   precision   the verifier's performance (how close to the heading, how little
+//               the turn overshot, how deep the squats...) times PRECISION_POINTS
+//   speed       the share of the time limit still left, times SPEED_POINTS
+//
+// Their sum is multiplied by the streak: each success in a row after the first
+// adds STREAK_STEP, up to MAX_STREAK_MULTIPLIER. Failed and skipped challenges
+// score nothing and end the streak.
+
+const COMPLETION_POINTS = 50;
+const PRECISION_POINTS = 50;
+const SPEED_POINTS = 30;
+
+const STREAK_STEP = 0.1;
+const MAX_STREAK_MULTIPLIER = 1.5;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+// What the precision was measured on, in degrees, for the explanation
+// (other types only have the performance)
+const getPrecisionDetails = (challenge, progress) => {
+  switch (challenge.type) {
+    case CHALLENGE_TYPES.DIRECTION:
+      return Number.isFinite(progress.difference) ? { headingError: progress.difference } : {};
+    case CHALLENGE_TYPES.ROTATE:
+      if (!progress.target || !Number.isFinite(progress.angle)) return {};
+      return challenge.returnToStart
+        ? { returnError: Math.abs(progress.angle) }
+        : { overshoot: Math.max(0, Math.abs(progress.angle) - progress.target) };
+    default:
+      return {};
+  }
+};
+
+const createEmptyScore = () => ({
+  total: 0,
+  completion: 0,
+  precision: 0,
+  speed: 0,
+  streakBonus: 0,
+  multiplier: 1,
+  streak: 0,
+  performance: 0,
+  timeRatio: 0,
+  details: {}
+});
+
+// Score of a finished challenge
+//   result    the verifier's { completed, performance }
+//   progress  the verifier's getProgress(), for the precision details
+//   timeLeft  seconds left on the clock
+//   streak    successes in a row before this one
+// Returns the breakdown: { total, completion, precision, speed, streakBonus,
+// multiplier, streak (including this one), performance, timeRatio, details }
+export const scoreChallenge = (challenge, { result, progress = {}, timeLeft = 0, streak = 0 } = {}) => {
+  if (!result || !result.completed) return createEmptyScore();
+
+  const performance = clamp01(Number.isFinite(result.performance) ? result.performance : 0);
+  const timeRatio = challenge.timeLimit > 0 ? clamp01(timeLeft / challenge.timeLimit) : 0;
+  const nextStreak = streak + 1;
+  const multiplier = Math.min(MAX_STREAK_MULTIPLIER, 1 + STREAK_STEP * (nextStreak - 1));
+
+  const completion = COMPLETION_POINTS;
+  const precision = Math.round(PRECISION_POINTS * performance);
+  const speed = Math.round(SPEED_POINTS * timeRatio);
+  const total = Math.round((completion + precision + speed) * multiplier);
+
+  return {
+    total,
+    completion,
+    precision,
+    speed,
+    streakBonus: total - completion - precision - speed,
+    multiplier,
+    streak: nextStreak,
+    performance,
+    timeRatio,
+    details: getPrecisionDetails(challenge, progress)
+  };
+};
+
+// Points of a session by part: { completion, precision, speed, streakBonus }
+// Challenges saved before the breakdown existed are left out (null if none has one)
+export const summarizeScores = (challenges = []) => {
+  const scored = challenges.filter((challenge) => challenge.scoring);
+  if (scored.length === 0) return null;
+
+  return scored.reduce((sum, { scoring }) => ({
+    completion: sum.completion + scoring.completion,
+    precision: sum.precision + scoring.precision,
+    speed: sum.speed + scoring.speed,
+    streakBonus: sum.streakBonus + scoring.streakBonus
+  }), { completion: 0, precision: 0, speed: 0, streakBonus: 0 });
+};
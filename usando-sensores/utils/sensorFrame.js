@@ -0,0 +1,78 @@
+import { Platform } from 'react-native';
+
+// ==================== SENSOR FRAME ====================
+// Every { x, y, z } reading the app works with is in one frame, whatever the
+// platform or the screen rotation:
+//
+//   axes           x towards the right edge of the screen, y towards its top,
+//                  z out of the screen (right-handed)
+//   accelerometer  specific force in m/s²: a device lying face up reads
+//                  +9.81 on z, and an upward push adds to it
+//   gyroscope      rad/s, counter-clockwise positive around each axis: tilting
+//                  the top edge away is negative x, lowering the right edge is
+//                  positive y, turning clockwise seen from the screen is negative z
+//   magnetometer   μT
+//
+// "Screen" is what the user sees: when the screen rotates to landscape, x
+// still points to the right of the picture, not to the device's side.
+
+// Standard gravity (m/s²)
+export const STANDARD_GRAVITY = 9.80665;
+
+// Screen rotations (degrees), as Android's display rotation: 90 is landscape
+// with the device turned counter-clockwise (its top edge on the left)
+export const SCREEN_ROTATIONS = [0, 90, 180, 270];
+
+// How expo-sensors readings differ from the frame on each platform (scale per sensor)
+// All platforms report the accelerometer in g. Android and the web report the
+// specific force; iOS reports the device's acceleration, the opposite sign.
+const PLATFORM_SCALES = {
+  android: { accelerometer: STANDARD_GRAVITY, gyroscope: 1, magnetometer: 1 },
+  ios: { accelerometer: -STANDARD_GRAVITY, gyroscope: 1, magnetometer: 1 },
+  web: { accelerometer: STANDARD_GRAVITY, gyroscope: 1, magnetometer: 1 }
+};
+
+// Nearest supported rotation for any angle in degrees (e.g. -90 -> 270)
+export const toScreenRotation = (degrees) => ((Math.round(degrees / 90) * 90) % 360 + 360) % 360;
+
+// A vector on the device's natural (portrait) axes, expressed on the screen axes
+export const rotateToScreen = (vector, rotation = 0) => {
+  switch (rotation) {
+    case 90:
+      return { ...vector, x: -vector.y, y: vector.x };
+    case 180:
+      return { ...vector, x: -vector.x, y: -vector.y };
+    case 270:
+      return { ...vector, x: vector.y, y: -vector.x };
+    default:
+      return vector;
+  }
+};
+
+// Converts raw readings of one platform to the frame
+export const createFrameNormalizer = ({ platform = Platform.OS, rotation = 0 } = {}) => {
+  const scales = PLATFORM_SCALES[platform] || PLATFORM_SCALES.android;
+  let screenRotation = toScreenRotation(rotation);
+
+  // Scale a raw { x, y, z } reading into frame units and turn it to the screen
+  const normalize = (name, reading) => {
+    const scale = scales[name] === undefined ? 1 : scales[name];
+
+    return rotateToScreen({
+      ...reading,
+      x: reading.x * scale,
+      y: reading.y * scale,
+      z: reading.z * scale
+    }, screenRotation);
+  };
+
+  return {
+    normalize,
+    // Turn a vector that is already in frame units to the screen
+    rotate: (vector) => (vector ? rotateToScreen(vector, screenRotation) : vector),
+    setScreenRotation: (degrees) => {
+      screenRotation = toScreenRotation(degrees);
+    },
+    getScreenRotation: () => screenRotation
+  };
+};
@@ -0,0 +1,153 @@
+// ==================== SENSOR HEALTH ====================
+// Tracks how well a sensor stream is doing: the rate it actually delivers,
+// timing jitter, dropped frames, invalid (NaN/Infinity) values, readings at
+// the sensor's full-scale limit, and whether it has stopped altogether.
+//
+// Rate, jitter and drops use the sample timestamps; staleness uses the wall
+// clock the samples arrived at, since a stalled stream has no timestamps
+// (before the first sample, the time the stream was started).
+
+export const HEALTH_STATUS = {
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  INVALID: 'invalid',
+  STALLED: 'stalled'
+};
+
+// Samples the rolling statistics are computed over
+const HEALTH_WINDOW = 40;
+
+// Samples needed before the rate is judged
+const MIN_RATE_SAMPLES = 5;
+
+// A gap longer than this many expected intervals counts as dropped frames
+const DROP_FACTOR = 1.8;
+
+// No sample for this many expected intervals (and at least STALE_MIN_MS) means stalled
+const STALE_FACTOR = 10;
+const STALE_MIN_MS = 1000;
+
+// Below this share of the expected rate, or above this share of drops, the stream is degraded
+const MIN_RATE_RATIO = 0.5;
+const MAX_DROP_RATIO = 0.2;
+
+// Share of the full-scale limit that counts as saturated
+const SATURATION_MARGIN = 0.98;
+
+const AXES = ['x', 'y', 'z'];
+
+const isInvalid = (sample) => AXES.some((axis) => !Number.isFinite(sample[axis]));
+
+// Health of one stream; `saturationLimit` is the sensor's full-scale value (same unit as the readings)
+export const createStreamHealthMonitor = ({ expectedInterval = 50, saturationLimit = Infinity } = {}) => {
+  let expected = expectedInterval;
+  let window = [];
+  let lastTimestamp = null;
+  let lastArrival = null;
+  let startedAt = null;
+  let totals = { samples: 0, dropped: 0, invalid: 0, saturated: 0 };
+
+  // Record a sample that arrived at `arrival` (wall clock ms)
+  const update = (sample, arrival = Date.now()) => {
+    const invalid = isInvalid(sample);
+    const saturated = !invalid && AXES.some((axis) => Math.abs(sample[axis]) >= saturationLimit * SATURATION_MARGIN);
+
+    let interval = null;
+    let dropped = 0;
+    if (!invalid && lastTimestamp !== null && sample.timestamp > lastTimestamp) {
+      interval = sample.timestamp - lastTimestamp;
+      if (interval > expected * DROP_FACTOR) {
+        dropped = Math.round(interval / expected) - 1;
+      }
+    }
+
+    if (!invalid) {
+      lastTimestamp = sample.timestamp;
+    }
+    lastArrival = arrival;
+
+    window.push({ interval, dropped, invalid, saturated });
+    if (window.length > HEALTH_WINDOW) {
+      window.shift();
+    }
+
+    totals = {
+      samples: totals.samples + 1,
+      dropped: totals.dropped + dropped,
+      invalid: totals.invalid + (invalid ? 1 : 0),
+      saturated: totals.saturated + (saturated ? 1 : 0)
+    };
+  };
+
+  // Rolling statistics and overall status at `now` (wall clock ms)
+  const getStats = (now = Date.now()) => {
+    const intervals = window.map((entry) => entry.interval).filter((interval) => interval !== null);
+    const meanInterval = intervals.length > 0
+      ? intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length
+      : null;
+    const jitter = meanInterval !== null
+      ? Math.sqrt(intervals.reduce((sum, interval) => sum + Math.pow(interval - meanInterval, 2), 0) / intervals.length)
+      : 0;
+
+    const recentDropped = window.reduce((sum, entry) => sum + entry.dropped, 0);
+    const recentInvalid = window.filter((entry) => entry.invalid).length;
+    const recentSaturated = window.filter((entry) => entry.saturated).length;
+
+    const rate = meanInterval ? 1000 / meanInterval : 0;
+    const expectedRate = 1000 / expected;
+    const sinceLastSample = lastArrival !== null ? now - lastArrival : null;
+    // A started stream that never delivered stalls as well, counted from its start
+    const silentFor = sinceLastSample !== null ? sinceLastSample : (startedAt !== null ? now - startedAt : null);
+    const stale = silentFor !== null && silentFor > Math.max(STALE_MIN_MS, expected * STALE_FACTOR);
+
+    let status = HEALTH_STATUS.OK;
+    if (stale) {
+      status = HEALTH_STATUS.STALLED;
+    } else if (recentInvalid > 0 && recentInvalid === window.length) {
+      status = HEALTH_STATUS.INVALID;
+    } else if (
+      recentInvalid > 0 ||
+      recentSaturated > 0 ||
+      (intervals.length >= MIN_RATE_SAMPLES && rate < expectedRate * MIN_RATE_RATIO) ||
+      recentDropped > (window.length + recentDropped) * MAX_DROP_RATIO
+    ) {
+      status = HEALTH_STATUS.DEGRADED;
+    }
+
+    return {
+      status,
+      rate,
+      expectedRate,
+      jitter,
+      stale,
+      sinceLastSample,
+      recent: {
+        samples: window.length,
+        dropped: recentDropped,
+        invalid: recentInvalid,
+        saturated: recentSaturated
+      },
+      totals: { ...totals }
+    };
+  };
+
+  return {
+    update,
+    getStats,
+    // The stream was started at `now` (wall clock ms); from then on no samples means stalled
+    start: (now = Date.now()) => {
+      startedAt = now;
+    },
+    isValid: (sample) => !isInvalid(sample),
+    setExpectedInterval: (interval) => {
+      expected = interval;
+    },
+    reset: () => {
+      window = [];
+      lastTimestamp = null;
+      lastArrival = null;
+      startedAt = null;
+      totals = { samples: 0, dropped: 0, invalid: 0, saturated: 0 };
+    }
+  };
+};
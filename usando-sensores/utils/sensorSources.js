@@ -0,0 +1,498 @@
+import {
+  Accelerometer,
+  Barometer,
+  DeviceMotion,
+  Gyroscope,
+  LightSensor,
+  Magnetometer,
+  Pedometer
+} from 'expo-sensors';
+
+import { STANDARD_GRAVITY, createFrameNormalizer, toScreenRotation } from './sensorFrame';
+
+// ==================== SENSOR SOURCES ====================
+// A sensor source is what the sensor service reads from. Every source has
+// the same shape, so live hardware, a recorded trace or a synthetic
+// generator can be swapped in without the consumers noticing:
+//
+//   isAvailableAsync(name)       -> Promise<boolean>
+//   setUpdateInterval(name, ms)
+//   addListener(name, callback)  -> { remove }
+//
+// Callbacks receive { x, y, z, timestamp } in the app's sensor frame (see
+// sensorFrame.js) with the timestamp in ms. The extra sensors (pedometer,
+// barometer, light sensor, device motion) report their own shapes instead,
+// normalized by normalizeSensorReading.
+//
+// Sources that read the device may also need the user's permission:
+//
+//   getPermissionsAsync(name)     -> Promise<{ status, canAskAgain }>
+//   requestPermissionsAsync(name) -> Promise<{ status, canAskAgain }>
+//
+// A source without these needs no permission. Sources whose axes follow the
+// screen also take setScreenRotation(degrees).
+
+// Hardware modules behind each sensor stream
+const SENSOR_MODULES = {
+  accelerometer: Accelerometer,
+  gyroscope: Gyroscope,
+  magnetometer: Magnetometer
+};
+
+export const SENSOR_NAMES = Object.keys(SENSOR_MODULES);
+
+// Hardware modules of the sensors that don't report { x, y, z }
+const EXTRA_SENSOR_MODULES = {
+  pedometer: Pedometer,
+  barometer: Barometer,
+  lightSensor: LightSensor,
+  deviceMotion: DeviceMotion
+};
+
+export const EXTRA_SENSOR_NAMES = Object.keys(EXTRA_SENSOR_MODULES);
+
+const getSensorModule = (name) => {
+  const module = SENSOR_MODULES[name] || EXTRA_SENSOR_MODULES[name];
+  if (!module) {
+    throw new Error(`Unknown sensor: ${name}`);
+  }
+  return module;
+};
+
+// Standard atmosphere at sea level (hPa)
+const SEA_LEVEL_PRESSURE = 1013.25;
+
+// Average walking stride used to estimate distance from steps (m)
+const STRIDE_LENGTH = 0.75;
+
+// Permission status of a sensor, as the sensor service reports it
+export const PERMISSION_STATUS = {
+  GRANTED: 'granted',
+  DENIED: 'denied',
+  UNDETERMINED: 'undetermined'
+};
+
+// Sensors without a permission API (Android, most native builds) need no permission
+const GRANTED_PERMISSION = { status: PERMISSION_STATUS.GRANTED, canAskAgain: true };
+
+const normalizePermission = (response) => ({
+  status: response.granted
+    ? PERMISSION_STATUS.GRANTED
+    : (response.status === PERMISSION_STATUS.DENIED ? PERMISSION_STATUS.DENIED : PERMISSION_STATUS.UNDETERMINED),
+  canAskAgain: response.canAskAgain !== false
+});
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Current trace format version
+// Version 1 traces hold the accelerometer in g; version 2 uses the sensor frame throughout
+export const SENSOR_TRACE_VERSION = 2;
+
+// Digits kept per axis value in a trace
+const TRACE_PRECISION = 4;
+
+// Altitude (m) of a pressure (hPa), international barometric formula
+export const pressureToAltitude = (pressure, seaLevelPressure = SEA_LEVEL_PRESSURE) => {
+  return 44330 * (1 - Math.pow(pressure / seaLevelPressure, 1 / 5.255));
+};
+
+// Readings of the extra sensors in the units the app uses
+const READING_NORMALIZERS = {
+  // Steps since the stream started, and the distance they cover (m)
+  pedometer: (data, timestamp) => ({
+    steps: data.steps,
+    distance: data.steps * STRIDE_LENGTH,
+    timestamp
+  }),
+
+  // Pressure (hPa) and the altitude it corresponds to (m above sea level)
+  barometer: (data, timestamp) => ({
+    pressure: data.pressure,
+    altitude: pressureToAltitude(data.pressure),
+    timestamp
+  }),
+
+  // Ambient light (lux)
+  lightSensor: (data, timestamp) => ({
+    illuminance: data.illuminance,
+    timestamp
+  }),
+
+  // Accelerations in m/s² and rotation rate in rad/s on the device axes (like
+  // the accelerometer and gyroscope), attitude angles in degrees, and the
+  // screen rotation the platform reports
+  deviceMotion: (data, timestamp) => ({
+    acceleration: data.acceleration ? { ...data.acceleration } : null,
+    accelerationIncludingGravity: data.accelerationIncludingGravity ? { ...data.accelerationIncludingGravity } : null,
+    rotationRate: data.rotationRate ? {
+      x: data.rotationRate.beta * DEG_TO_RAD,
+      y: data.rotationRate.gamma * DEG_TO_RAD,
+      z: data.rotationRate.alpha * DEG_TO_RAD
+    } : null,
+    rotation: data.rotation ? {
+      alpha: data.rotation.alpha * RAD_TO_DEG,
+      beta: data.rotation.beta * RAD_TO_DEG,
+      gamma: data.rotation.gamma * RAD_TO_DEG
+    } : null,
+    screenRotation: typeof data.orientation === 'number' ? toScreenRotation(data.orientation) : null,
+    timestamp
+  })
+};
+
+// Turn a hardware reading into the shape the service works with
+export const normalizeSensorReading = (name, data, timestamp) => {
+  const normalize = READING_NORMALIZERS[name];
+  if (normalize) {
+    return normalize(data, timestamp);
+  }
+
+  return {
+    x: data.x,
+    y: data.y,
+    z: data.z,
+    timestamp
+  };
+};
+
+// Put a normalized reading on the screen axes of the frame
+const toSensorFrame = (normalizer, name, reading) => {
+  if (SENSOR_MODULES[name]) {
+    return normalizer.normalize(name, reading);
+  }
+
+  if (name === 'deviceMotion') {
+    return {
+      ...reading,
+      acceleration: normalizer.rotate(reading.acceleration),
+      accelerationIncludingGravity: normalizer.rotate(reading.accelerationIncludingGravity),
+      rotationRate: normalizer.rotate(reading.rotationRate)
+    };
+  }
+
+  return reading;
+};
+
+// A wall clock change bigger than this (ms) moves the sample clock's offset up
+const CLOCK_RESYNC_MS = 1000;
+
+// Puts the hardware's sample times on the Date.now() clock
+// expo-sensors stamp each sample with when it was taken, in seconds on the device's
+// own clock (time since boot). The offset to the wall clock is the smallest seen so
+// far, since the delay before JS gets a sample only ever adds to it.
+export const createSampleClock = () => {
+  let offset = null;
+
+  return {
+    // Time (ms) of a sample stamped `seconds`; `now` when it has no usable stamp
+    toWallTime: (seconds, now = Date.now()) => {
+      if (typeof seconds !== 'number' || !Number.isFinite(seconds)) return now;
+
+      const sampleOffset = now - seconds * 1000;
+      if (offset === null || sampleOffset < offset || sampleOffset - offset > CLOCK_RESYNC_MS) {
+        offset = sampleOffset;
+      }
+      return seconds * 1000 + offset;
+    }
+  };
+};
+
+// Source backed by the device sensors (expo-sensors)
+// Readings are converted from the platform's conventions to the sensor frame, and
+// stamped with the time the sensor took them (see createSampleClock)
+export const createLiveSensorSource = ({ platform } = {}) => {
+  const normalizer = createFrameNormalizer({ platform });
+  const sampleClock = createSampleClock();
+
+  return {
+    kind: 'live',
+
+    isAvailableAsync: (name) => getSensorModule(name).isAvailableAsync(),
+
+    // Motion sensors need the user's permission on iOS and the web
+    getPermissionsAsync: async (name) => {
+      const module = getSensorModule(name);
+      return module.getPermissionsAsync ? normalizePermission(await module.getPermissionsAsync()) : GRANTED_PERMISSION;
+    },
+
+    requestPermissionsAsync: async (name) => {
+      const module = getSensorModule(name);
+      return module.requestPermissionsAsync ? normalizePermission(await module.requestPermissionsAsync()) : GRANTED_PERMISSION;
+    },
+
+    setUpdateInterval: (name, interval) => {
+      // The pedometer reports on every step
+      const module = getSensorModule(name);
+      if (module.setUpdateInterval) {
+        module.setUpdateInterval(interval);
+      }
+    },
+
+    addListener: (name, callback) => {
+      if (name === 'pedometer') {
+        return Pedometer.watchStepCount(result => {
+          callback(normalizeSensorReading(name, result, Date.now()));
+        });
+      }
+
+      return getSensorModule(name).addListener(data => {
+        const timestamp = sampleClock.toWallTime(data.timestamp);
+        callback(toSensorFrame(normalizer, name, normalizeSensorReading(name, data, timestamp)));
+      });
+    },
+
+    setScreenRotation: normalizer.setScreenRotation
+  };
+};
+
+// ==================== TRACE RECORDING ====================
+// Traces are compact JSON:
+// { version, recordedAt, duration, sensors: { accelerometer: [[t, x, y, z], ...] } }
+// where t is the time in ms since the recording started.
+
+const roundValue = (value) => Number(value.toFixed(TRACE_PRECISION));
+
+// Collect samples from one or more sensors into a trace
+export const createTraceRecorder = (sensors = SENSOR_NAMES) => {
+  const rows = {};
+  sensors.forEach((name) => {
+    rows[name] = [];
+  });
+
+  let startTime = null;
+  let lastTime = 0;
+
+  const add = (name, sample) => {
+    if (!rows[name]) return;
+
+    if (startTime === null) {
+      startTime = sample.timestamp;
+    }
+
+    const time = Math.max(0, Math.round(sample.timestamp - startTime));
+    lastTime = Math.max(lastTime, time);
+    rows[name].push([time, roundValue(sample.x), roundValue(sample.y), roundValue(sample.z)]);
+  };
+
+  const getTrace = () => ({
+    version: SENSOR_TRACE_VERSION,
+    recordedAt: new Date(startTime === null ? Date.now() : startTime).toISOString(),
+    duration: lastTime,
+    sensors: Object.fromEntries(
+      Object.entries(rows).map(([name, sensorRows]) => [name, sensorRows.slice()])
+    )
+  });
+
+  return { add, getTrace };
+};
+
+// Trace versions that can still be replayed
+const SUPPORTED_TRACE_VERSIONS = [1, SENSOR_TRACE_VERSION];
+
+// Check that a parsed trace can be replayed; throws with the first problem found
+export const validateSensorTrace = (trace) => {
+  if (!trace || typeof trace !== 'object') {
+    throw new Error('Sensor trace must be an object');
+  }
+
+  if (!SUPPORTED_TRACE_VERSIONS.includes(trace.version)) {
+    throw new Error(`Unsupported sensor trace version: ${trace.version}`);
+  }
+
+  if (!trace.sensors || typeof trace.sensors !== 'object') {
+    throw new Error('Sensor trace has no sensors');
+  }
+
+  Object.entries(trace.sensors).forEach(([name, rows]) => {
+    if (!SENSOR_NAMES.includes(name)) {
+      throw new Error(`Sensor trace has unknown sensor: ${name}`);
+    }
+
+    if (!Array.isArray(rows)) {
+      throw new Error(`Sensor trace rows for ${name} must be an array`);
+    }
+
+    rows.forEach((row, index) => {
+      if (!Array.isArray(row) || row.length !== 4 || row.some((value) => typeof value !== 'number')) {
+        throw new Error(`Sensor trace row ${index} for ${name} must be [t, x, y, z]`);
+      }
+    });
+  });
+
+  return true;
+};
+
+// Bring an older trace to the current version (version 1 accelerometer rows are in g)
+export const upgradeSensorTrace = (trace) => {
+  validateSensorTrace(trace);
+  if (trace.version === SENSOR_TRACE_VERSION) return trace;
+
+  const sensors = { ...trace.sensors };
+  if (sensors.accelerometer) {
+    sensors.accelerometer = sensors.accelerometer.map(([time, x, y, z]) => [
+      time,
+      roundValue(x * STANDARD_GRAVITY),
+      roundValue(y * STANDARD_GRAVITY),
+      roundValue(z * STANDARD_GRAVITY)
+    ]);
+  }
+
+  return { ...trace, version: SENSOR_TRACE_VERSION, sensors };
+};
+
+// ==================== TRACE REPLAY ====================
+// Replays a trace as a sensor source. Playback starts with the first
+// listener and pauses when the last one leaves. `speed` scales playback
+// (2 = twice real time); emitted timestamps follow the trace's own clock,
+// so windowed queries see the recorded timing at any speed.
+export const createTraceSource = (storedTrace, { speed = 1, loop = false, onEnd } = {}) => {
+  const trace = upgradeSensorTrace(storedTrace);
+
+  // Merge all sensors into a single timeline
+  const timeline = [];
+  Object.entries(trace.sensors).forEach(([name, rows]) => {
+    rows.forEach(([time, x, y, z]) => {
+      timeline.push({ name, time, x, y, z });
+    });
+  });
+  timeline.sort((a, b) => a.time - b.time);
+
+  const duration = timeline.length > 0 ? timeline[timeline.length - 1].time : 0;
+  const listeners = {};
+  SENSOR_NAMES.forEach((name) => {
+    listeners[name] = new Set();
+  });
+
+  let cursor = 0;
+  let loopOffset = 0;
+  let timer = null;
+  let timestampBase = null;
+  let virtualTime = 0; // Trace time reached so far (ms)
+  let resumedAt = 0; // Wall clock time playback was last (re)started
+  let resumedVirtualTime = 0;
+  let finished = timeline.length === 0;
+
+  const hasListeners = () => SENSOR_NAMES.some((name) => listeners[name].size > 0);
+
+  const emit = (entry) => {
+    const sample = {
+      x: entry.x,
+      y: entry.y,
+      z: entry.z,
+      timestamp: timestampBase + loopOffset + entry.time
+    };
+
+    listeners[entry.name].forEach((callback) => callback(sample));
+  };
+
+  const finish = () => {
+    finished = true;
+    clearTimeout(timer);
+    timer = null;
+
+    if (typeof onEnd === 'function') {
+      onEnd();
+    }
+  };
+
+  // Emit everything due up to `until` (trace time), wrapping when looping
+  const emitUntil = (until) => {
+    while (!finished) {
+      if (cursor >= timeline.length) {
+        if (!loop) {
+          finish();
+          return;
+        }
+
+        cursor = 0;
+        loopOffset += duration + 1;
+      }
+
+      const entry = timeline[cursor];
+      if (entry.time + loopOffset > until) return;
+
+      cursor++;
+      emit(entry);
+    }
+  };
+
+  const tick = () => {
+    virtualTime = resumedVirtualTime + (Date.now() - resumedAt) * speed;
+    emitUntil(virtualTime);
+
+    if (finished || !hasListeners()) {
+      timer = null;
+      return;
+    }
+
+    // emitUntil leaves the cursor on the next pending entry
+    const next = timeline[cursor].time + loopOffset;
+    timer = setTimeout(tick, Math.max(0, (next - virtualTime) / speed));
+  };
+
+  const play = () => {
+    if (timer || finished) return;
+
+    if (timestampBase === null) {
+      timestampBase = Date.now();
+    }
+
+    resumedAt = Date.now();
+    resumedVirtualTime = virtualTime;
+
+    // Defer the first tick so listeners added in the same pass see t = 0
+    timer = setTimeout(tick, 0);
+  };
+
+  const pause = () => {
+    if (!timer) return;
+
+    clearTimeout(timer);
+    timer = null;
+    virtualTime = resumedVirtualTime + (Date.now() - resumedAt) * speed;
+  };
+
+  return {
+    kind: 'trace',
+    duration,
+
+    isAvailableAsync: async (name) => (trace.sensors[name] || []).length > 0,
+
+    // Trace timing is fixed by the recording
+    setUpdateInterval: () => {},
+
+    addListener: (name, callback) => {
+      listeners[name].add(callback);
+      play();
+
+      return {
+        remove: () => {
+          listeners[name].delete(callback);
+          if (!hasListeners()) {
+            pause();
+          }
+        }
+      };
+    },
+
+    // Emit the rest of the trace right away (ignores looping), for headless runs
+    drain: () => {
+      if (timestampBase === null) {
+        timestampBase = Date.now();
+      }
+
+      clearTimeout(timer);
+      timer = null;
+
+      const shouldLoop = loop;
+      loop = false;
+      emitUntil(Infinity);
+      loop = shouldLoop;
+    },
+
+    isFinished: () => finished,
+
+    // Trace time reached so far, in ms
+    getPosition: () => virtualTime
+  };
+};
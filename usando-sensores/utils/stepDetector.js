@@ -0,0 +1,279 @@
+// ==================== STEP DETECTOR ====================
+// Counts steps in the vertical acceleration: the linear acceleration along
+// gravity, in m/s², as getVerticalAcceleration gives it.
+//
+// The signal is low-passed, then every peak is a step when
+//   - it rises above the threshold, and by as much above the lowest point
+//     since the previous step (jitter around the threshold is one step)
+//   - at least `minInterval` ms passed since the previous step
+// The threshold follows the walker: a share of the recent peak heights,
+// never below `minPeak`, so soft and hard steps are both counted.
+// When the horizontal acceleration is given too, peaks are ignored while the
+// movement is mostly sideways (the phone shaken in the hand, not a step).
+// Jumps aren't steps: a peak only counts once STEP_CONFIRM_TIME passed without
+// the phone going into a free fall longer than a running stride (the push-off
+// of a jump), and the landing that follows is ignored too.
+
+import { STANDARD_GRAVITY } from './sensorFrame';
+
+// Low-pass cutoff (Hz): keeps cadences up to ~240 steps/min
+const DEFAULT_CUTOFF_HZ = 4;
+
+// Fastest step rate accepted (ms between steps)
+const DEFAULT_MIN_INTERVAL = 250;
+
+// Steps further apart than this (ms) don't count for the cadence
+const MAX_STEP_INTERVAL = 2000;
+
+// Lowest threshold (m/s²), and the share of the recent peak height it follows
+const DEFAULT_MIN_PEAK = 0.8;
+const THRESHOLD_RATIO = 0.5;
+
+// Peaks (ms) that make up the "recent" amplitude
+const AMPLITUDE_WINDOW = 3000;
+
+// Step intervals averaged for the cadence
+const CADENCE_STEPS = 4;
+
+// Fallback sample spacing when timestamps are missing or repeated
+const DEFAULT_INTERVAL = 50;
+
+// Time constant (ms) of the vertical and horizontal energies, and how many times
+// stronger (RMS) the horizontal movement may be before peaks stop counting
+const ENERGY_TIME = 1000;
+const MAX_HORIZONTAL_RATIO = 2;
+
+// How long (ms) a peak waits for a jump before it counts as a step
+const STEP_CONFIRM_TIME = 350;
+
+// Vertical acceleration (share of g, downwards) of a phone in free fall, and the
+// airtime (ms) from which the fall is a jump rather than a running stride
+const FREE_FALL_RATIO = 0.7;
+const MIN_JUMP_AIRTIME = 200;
+
+// Peaks ignored after landing from a jump (ms)
+const LANDING_TIME = 400;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const createInitialState = () => ({
+  filtered: null,
+  previous: null, // { value, timestamp } of the last filtered sample
+  rising: false,
+  trough: null, // lowest filtered value since the last step
+  lastStepTime: null,
+  peaks: [], // recent accepted peaks: { value, timestamp }
+  intervals: [], // ms between the last steps
+  count: 0,
+  confidenceSum: 0,
+  lastStep: null,
+  verticalEnergy: 0, // mean square (m²/s⁴) of the recent vertical acceleration
+  horizontalEnergy: null, // same for the horizontal one, null when it isn't given
+  pending: null, // peak waiting for STEP_CONFIRM_TIME: { step, undo } (undo: what it changed)
+  fallStart: null, // when the current free fall began
+  jumping: false,
+  landedAt: null // when the last jump ended
+});
+
+// onStep(step) is called for every step; `state` restores a serialize() snapshot
+export const createStepDetector = ({
+  cutoffHz = DEFAULT_CUTOFF_HZ,
+  minInterval = DEFAULT_MIN_INTERVAL,
+  minPeak = DEFAULT_MIN_PEAK,
+  onStep = () => {},
+  state: snapshot = null
+} = {}) => {
+  let state = snapshot ? JSON.parse(JSON.stringify(snapshot)) : createInitialState();
+
+  // Threshold at `timestamp`, from the peaks still in the window
+  const getThreshold = (timestamp) => {
+    const recent = state.peaks.filter((peak) => timestamp - peak.timestamp <= AMPLITUDE_WINDOW);
+    return recent.length > 0
+      ? Math.max(minPeak, THRESHOLD_RATIO * mean(recent.map((peak) => peak.value)))
+      : minPeak;
+  };
+
+  const getCadence = (timestamp) => {
+    if (state.intervals.length === 0 || timestamp - state.lastStepTime > MAX_STEP_INTERVAL) return 0;
+    return 60000 / mean(state.intervals);
+  };
+
+  // How sure we are it's a step: the peak's margin over the threshold and how well it keeps the rhythm
+  const getConfidence = (peak, threshold, interval) => {
+    const strength = clamp01((peak - threshold) / threshold);
+    if (interval === null || state.intervals.length === 0) return strength;
+
+    const expected = mean(state.intervals);
+    const rhythm = clamp01(1 - Math.abs(interval - expected) / expected);
+    return (strength + rhythm) / 2;
+  };
+
+  // Shaken rather than stepping: far more movement across gravity than along it
+  const isSideways = () => (
+    state.horizontalEnergy !== null &&
+    state.horizontalEnergy > Math.pow(MAX_HORIZONTAL_RATIO, 2) * state.verticalEnergy
+  );
+
+  // A peak of the filtered signal at `timestamp`; returns it if it can be a step, or null
+  const checkPeak = (value, timestamp) => {
+    const threshold = getThreshold(timestamp);
+    const sinceLastStep = state.lastStepTime === null ? null : timestamp - state.lastStepTime;
+
+    if (
+      isSideways() ||
+      value < threshold ||
+      state.trough === null ||
+      value - state.trough < threshold ||
+      (sinceLastStep !== null && sinceLastStep < minInterval)
+    ) {
+      return null;
+    }
+
+    const interval = sinceLastStep !== null && sinceLastStep <= MAX_STEP_INTERVAL ? sinceLastStep : null;
+    return { timestamp, magnitude: value, threshold, interval, confidence: getConfidence(value, threshold, interval) };
+  };
+
+  // Make a peak the pending step; its rhythm and height count right away
+  const setPending = (peak) => {
+    const { timestamp, magnitude: value, interval } = peak;
+    const undo = { lastStepTime: state.lastStepTime, peaks: state.peaks, intervals: state.intervals };
+
+    state.lastStepTime = timestamp;
+    state.trough = value;
+    state.peaks = [...state.peaks.filter((recent) => timestamp - recent.timestamp <= AMPLITUDE_WINDOW), { value, timestamp }];
+    if (interval !== null) {
+      state.intervals = [...state.intervals, interval].slice(-CADENCE_STEPS);
+    }
+
+    state.pending = { step: { ...peak, cadence: getCadence(timestamp) }, undo };
+  };
+
+  // Count the pending peak as a step
+  const confirmPending = () => {
+    state.count += 1;
+    state.confidenceSum += state.pending.step.confidence;
+    state.lastStep = { count: state.count, ...state.pending.step };
+    state.pending = null;
+
+    onStep(state.lastStep);
+    return state.lastStep;
+  };
+
+  // The pending peak was a jump's push-off: forget it
+  const dropPending = () => {
+    Object.assign(state, state.pending.undo);
+    state.pending = null;
+  };
+
+  // Follow free falls; a long enough one is a jump
+  // A jump lasts until the landing pushes upwards: the gravity estimate fades
+  // during long airtimes, so the free fall itself seems to weaken
+  const trackFreeFall = (verticalAcceleration, timestamp) => {
+    if (state.jumping) {
+      if (verticalAcceleration >= 0) {
+        state.jumping = false;
+        state.fallStart = null;
+        state.landedAt = timestamp;
+      }
+      return;
+    }
+
+    if (verticalAcceleration >= -FREE_FALL_RATIO * STANDARD_GRAVITY) {
+      state.fallStart = null;
+      return;
+    }
+
+    if (state.fallStart === null) {
+      state.fallStart = timestamp;
+    }
+    if (timestamp - state.fallStart >= MIN_JUMP_AIRTIME) {
+      state.jumping = true;
+      if (state.pending && state.fallStart - state.pending.step.timestamp <= STEP_CONFIRM_TIME) {
+        dropPending();
+      }
+    }
+  };
+
+  // Whether the pending peak waited long enough, and no fall that could still be a jump began meanwhile
+  const canConfirm = (timestamp) => (
+    timestamp - state.pending.step.timestamp >= STEP_CONFIRM_TIME &&
+    (state.fallStart === null || state.fallStart - state.pending.step.timestamp > STEP_CONFIRM_TIME)
+  );
+
+  // In the air, or just landed
+  const isJumping = (timestamp) => (
+    state.jumping || (state.landedAt !== null && timestamp - state.landedAt < LANDING_TIME)
+  );
+
+  // Feed one vertical acceleration sample (m/s²), and optionally the horizontal one
+  // (see getHorizontalAcceleration); returns the step it confirmed, or null
+  const update = (verticalAcceleration, timestamp = Date.now(), horizontalAcceleration = null) => {
+    if (!Number.isFinite(verticalAcceleration)) return null;
+
+    const { previous } = state;
+    const interval = previous && timestamp > previous.timestamp ? timestamp - previous.timestamp : DEFAULT_INTERVAL;
+    if (state.filtered === null) {
+      state.filtered = verticalAcceleration;
+    } else {
+      const dt = interval / 1000;
+      const rc = 1 / (2 * Math.PI * cutoffHz);
+      state.filtered += (dt / (rc + dt)) * (verticalAcceleration - state.filtered);
+    }
+
+    const energyWeight = interval / (ENERGY_TIME + interval);
+    state.verticalEnergy += energyWeight * (Math.pow(verticalAcceleration, 2) - state.verticalEnergy);
+    if (Number.isFinite(horizontalAcceleration)) {
+      const horizontalEnergy = state.horizontalEnergy === null ? 0 : state.horizontalEnergy;
+      state.horizontalEnergy = horizontalEnergy + energyWeight * (Math.pow(horizontalAcceleration, 2) - horizontalEnergy);
+    }
+
+    trackFreeFall(verticalAcceleration, timestamp);
+
+    const value = state.filtered;
+    let step = state.pending && canConfirm(timestamp) ? confirmPending() : null;
+
+    // The previous sample was a peak if the signal rose to it and falls now
+    if (previous) {
+      const peak = value < previous.value && state.rising && !isJumping(previous.timestamp)
+        ? checkPeak(previous.value, previous.timestamp)
+        : null;
+
+      if (peak) {
+        // A step after the pending one: no jump came in between
+        if (state.pending) {
+          step = confirmPending();
+        }
+        setPending(peak);
+      }
+      state.rising = value > previous.value || (value === previous.value && state.rising);
+    }
+
+    // The fall and the landing don't make the next peak look taller
+    state.trough = state.trough === null || isJumping(timestamp) ? value : Math.min(state.trough, value);
+    state.previous = { value, timestamp };
+
+    return step;
+  };
+
+  return {
+    update,
+    getStepCount: () => state.count,
+    getCadence: (timestamp = state.previous ? state.previous.timestamp : Date.now()) => getCadence(timestamp),
+    // Counts and rhythm so far: { steps, cadence (steps/min), threshold, meanConfidence, lastStep }
+    getStats: () => {
+      const timestamp = state.previous ? state.previous.timestamp : Date.now();
+      return {
+        steps: state.count,
+        cadence: getCadence(timestamp),
+        threshold: getThreshold(timestamp),
+        meanConfidence: state.count > 0 ? state.confidenceSum / state.count : 0,
+        lastStep: state.lastStep
+      };
+    },
+    reset: () => {
+      state = createInitialState();
+    },
+    serialize: () => JSON.parse(JSON.stringify(state))
+  };
+};
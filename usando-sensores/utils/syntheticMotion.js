@@ -0,0 +1,411 @@
+import { STANDARD_GRAVITY } from './sensorFrame';
+import { SENSOR_TRACE_VERSION, createTraceSource } from './sensorSources';
+
+// ==================== SYNTHETIC MOTION ====================
+// Parametric motions that produce sensor frames shaped like getSensorData(),
+// for driving the verifiers without a phone.
+//
+// A motion is a function of time (seconds) returning the device pose:
+//   { heading, pitch, roll, linear }
+// heading: degrees clockwise from north the top edge points to
+// pitch:   degrees of rotation around the device x axis (top edge up > 0)
+// roll:    degrees of rotation around the device y axis (right edge down > 0)
+// linear:  extra acceleration in g, world frame { east, north, up }
+//
+// Frames are in the sensor frame (see sensorFrame.js): the accelerometer
+// reads +9.81 m/s² on z lying flat, the gyroscope is right-handed in rad/s
+// and the magnetometer is in μT.
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Earth field used for the magnetometer (μT, mid-latitude)
+const EARTH_FIELD = { north: 22, down: 40 };
+
+// Defaults for frame generation
+const DEFAULT_RATE_HZ = 20;
+const DEFAULT_NOISE = { accelerometer: 0.2, gyroscope: 0.01, magnetometer: 0.4 };
+
+const ZERO_LINEAR = { east: 0, north: 0, up: 0 };
+
+// Headings of the compass directions used by DIRECTION challenges
+const COMPASS_HEADINGS = { N: 0, NE: 45, E: 90, SE: 135, S: 180, SW: 225, W: 270, NW: 315 };
+
+// Poses for each tilt direction (forward lowers the top edge)
+const TILT_POSES = {
+  forward: { pitch: -1, roll: 0 },
+  backward: { pitch: 1, roll: 0 },
+  right: { pitch: 0, roll: 1 },
+  left: { pitch: 0, roll: -1 }
+};
+
+// ==================== RANDOM ====================
+// Seeded PRNG (mulberry32), uniform in [0, 1)
+export const createRandom = (seed = 1) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample (Box-Muller) from a uniform generator
+const gaussian = (random) => {
+  const u = Math.max(random(), Number.EPSILON);
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// ==================== POSE MATH ====================
+// Device-to-world rotation (world = east, north, up) as a 3x3 matrix
+const poseToMatrix = ({ heading = 0, pitch = 0, roll = 0 }) => {
+  const yaw = -heading * DEG_TO_RAD;
+  const p = pitch * DEG_TO_RAD;
+  const r = roll * DEG_TO_RAD;
+
+  const rz = [[Math.cos(yaw), -Math.sin(yaw), 0], [Math.sin(yaw), Math.cos(yaw), 0], [0, 0, 1]];
+  const rx = [[1, 0, 0], [0, Math.cos(p), -Math.sin(p)], [0, Math.sin(p), Math.cos(p)]];
+  const ry = [[Math.cos(r), 0, Math.sin(r)], [0, 1, 0], [-Math.sin(r), 0, Math.cos(r)]];
+
+  return multiply(multiply(rz, rx), ry);
+};
+
+const multiply = (a, b) => a.map((row) => [0, 1, 2].map((col) => (
+  row[0] * b[0][col] + row[1] * b[1][col] + row[2] * b[2][col]
+)));
+
+const transpose = (m) => [0, 1, 2].map((row) => [m[0][row], m[1][row], m[2][row]]);
+
+// World vector expressed in the device frame
+const toDevice = (matrix, [east, north, up]) => ({
+  x: matrix[0][0] * east + matrix[1][0] * north + matrix[2][0] * up,
+  y: matrix[0][1] * east + matrix[1][1] * north + matrix[2][1] * up,
+  z: matrix[0][2] * east + matrix[1][2] * north + matrix[2][2] * up
+});
+
+// Body angular velocity (rad/s) from the pose just before and after t
+const angularVelocity = (motion, time) => {
+  const step = 0.005;
+  const before = poseToMatrix(motion(Math.max(0, time - step)));
+  const after = poseToMatrix(motion(time + step));
+  const span = time - step < 0 ? time + step : 2 * step;
+  const delta = multiply(transpose(before), after);
+
+  return {
+    x: (delta[2][1] - delta[1][2]) / (2 * span),
+    y: (delta[0][2] - delta[2][0]) / (2 * span),
+    z: (delta[1][0] - delta[0][1]) / (2 * span)
+  };
+};
+
+// Shortest signed difference between two headings, in degrees
+const headingDelta = (from, to) => ((to - from + 540) % 360) - 180;
+
+// Ease in/out between two values over [0, 1]
+const ease = (from, to, progress) => {
+  const clamped = Math.min(1, Math.max(0, progress));
+  return from + (to - from) * (0.5 - Math.cos(clamped * Math.PI) / 2);
+};
+
+// ==================== MOTIONS ====================
+// Device lying still
+export const stillMotion = ({ heading = 0, pitch = 0, roll = 0 } = {}) => () => ({
+  heading, pitch, roll, linear: ZERO_LINEAR
+});
+
+// Walking/running in place: one vertical bounce per step
+export const walkingMotion = ({ cadence = 120, amplitude = 0.4, heading = 0 } = {}) => (time) => {
+  const phase = 2 * Math.PI * (cadence / 60) * time;
+
+  return {
+    heading,
+    pitch: 3 * Math.sin(phase),
+    roll: 2 * Math.sin(phase / 2),
+    linear: {
+      east: 0.05 * amplitude * Math.sin(phase / 2),
+      north: 0.1 * amplitude * Math.cos(phase),
+      up: amplitude * Math.sin(phase)
+    }
+  };
+};
+
+// Constant-rate spin around the vertical axis (direction 1 = clockwise seen from above)
+export const spinMotion = ({ rate = 90, direction = 1, heading = 0, degrees = Infinity } = {}) => (time) => ({
+  heading: heading + direction * Math.min(rate * time, degrees),
+  pitch: 0,
+  roll: 0,
+  linear: ZERO_LINEAR
+});
+
+// Spin out by `degrees` and come back the same way
+export const spinAndReturnMotion = ({ rate = 90, degrees = 180, direction = 1, heading = 0, pause = 0.5 } = {}) => (time) => {
+  const outTime = degrees / rate;
+  let angle;
+
+  if (time < outTime) {
+    angle = rate * time;
+  } else if (time < outTime + pause) {
+    angle = degrees;
+  } else {
+    angle = Math.max(0, degrees - rate * (time - outTime - pause));
+  }
+
+  return { heading: heading + direction * angle, pitch: 0, roll: 0, linear: ZERO_LINEAR };
+};
+
+// Tilt through a list of directions, holding each pose for `hold` seconds
+export const tiltMotion = ({ directions = ['left', 'right'], angle = 35, transition = 0.4, hold = 0.6, heading = 0 } = {}) => {
+  const segment = 2 * transition + hold;
+
+  return (time) => {
+    const index = Math.floor(time / segment);
+    if (index >= directions.length) {
+      return { heading, pitch: 0, roll: 0, linear: ZERO_LINEAR };
+    }
+
+    const pose = TILT_POSES[directions[index]] || TILT_POSES.left;
+    const local = time - index * segment;
+    let amount;
+
+    if (local < transition) {
+      amount = ease(0, 1, local / transition);
+    } else if (local < transition + hold) {
+      amount = 1;
+    } else {
+      amount = ease(1, 0, (local - transition - hold) / transition);
+    }
+
+    return {
+      heading,
+      pitch: pose.pitch * angle * amount,
+      roll: pose.roll * angle * amount,
+      linear: ZERO_LINEAR
+    };
+  };
+};
+
+// Turn from `from` to `heading` and hold it, with a small wobble
+export const holdHeadingMotion = ({ heading = 0, from = heading, turnRate = 60, wobble = 3 } = {}) => {
+  const delta = headingDelta(from, heading);
+  const turnTime = Math.abs(delta) / turnRate;
+
+  return (time) => {
+    const turned = turnTime > 0 ? ease(0, delta, time / turnTime) : delta;
+
+    return {
+      heading: from + turned + wobble * Math.sin(2 * Math.PI * 0.5 * time),
+      pitch: 0,
+      roll: 0,
+      linear: ZERO_LINEAR
+    };
+  };
+};
+
+// Shaking side to side `rate` times a second, up to `amplitude` g
+export const shakeMotion = ({ rate = 5, amplitude = 2, heading = 0 } = {}) => (time) => ({
+  heading,
+  pitch: 0,
+  roll: 0,
+  linear: { east: amplitude * Math.sin(2 * Math.PI * rate * time), north: 0, up: 0 }
+});
+
+// Jumps `height` meters high, one every `interval` seconds after a short wait:
+// a push off, free fall (-1 g) for the airtime, then the landing
+export const jumpMotion = ({ count = 3, height = 0.15, interval = 1.2, wait = 0.5, heading = 0 } = {}) => {
+  const push = 0.25;
+  const landing = 0.15;
+  const airtime = 2 * Math.sqrt(2 * height / STANDARD_GRAVITY);
+
+  return (time) => {
+    const index = Math.floor((time - wait) / interval);
+    const local = time - wait - index * interval;
+    let up = 0;
+
+    if (time >= wait && index < count) {
+      if (local < push) {
+        up = Math.sin(Math.PI * local / push);
+      } else if (local < push + airtime) {
+        up = -1;
+      } else if (local < push + airtime + landing) {
+        up = 1.5 * Math.sin(Math.PI * (local - push - airtime) / landing);
+      }
+    }
+
+    return { heading, pitch: 0, roll: 0, linear: { east: 0, north: 0, up } };
+  };
+};
+
+// Squats `depth` meters deep after a short wait, each taking `period` seconds,
+// with a pause after each one
+export const squatMotion = ({ count = 3, depth = 0.4, period = 2.5, pause = 0.5, wait = 1.5, heading = 0 } = {}) => {
+  const omega = 2 * Math.PI / period;
+
+  return (time) => {
+    const index = Math.floor((time - wait) / (period + pause));
+    const local = time - wait - index * (period + pause);
+    // Height -depth·(1 - cos ωt)/2, so the acceleration is its second derivative
+    const up = time >= wait && index < count && local < period
+      ? -depth / 2 * omega * omega * Math.cos(omega * local) / STANDARD_GRAVITY
+      : 0;
+
+    return { heading, pitch: 0, roll: 0, linear: { east: 0, north: 0, up } };
+  };
+};
+
+// Play motions one after the other: [{ motion, duration (s) }, ...]
+export const sequenceMotion = (steps) => (time) => {
+  let start = 0;
+
+  for (let i = 0; i < steps.length; i++) {
+    const { motion, duration } = steps[i];
+    if (time < start + duration || i === steps.length - 1) {
+      return motion(time - start);
+    }
+    start += duration;
+  }
+
+  return stillMotion()(time);
+};
+
+// Motions played one after the other, each from the moment advance(time) is called
+// (e.g. when a combo stage is done, whenever that happens)
+export const createStagedMotion = (motions) => {
+  let index = 0;
+  let start = 0;
+
+  return {
+    motion: (time) => motions[index](time - start),
+    advance: (time) => {
+      index = Math.min(index + 1, motions.length - 1);
+      start = time;
+    }
+  };
+};
+
+// Motion that should complete a challenge from the catalog
+// Movements are sized for the thresholds a sensitivityMultiplier gives (bigger for a lower one)
+export const motionForChallenge = (challenge, { sensitivityMultiplier = 1 } = {}) => {
+  const size = 1 / sensitivityMultiplier;
+
+  switch (challenge.type) {
+    case 'RUN':
+      return walkingMotion({ cadence: 140, amplitude: Math.max(0.4, (challenge.intensity || 1.2) - 0.8) * size });
+    case 'ROTATE':
+      return challenge.returnToStart
+        ? spinAndReturnMotion({ degrees: challenge.degrees, direction: challenge.direction === -1 ? -1 : 1 })
+        : spinMotion({ rate: 120, direction: challenge.direction === -1 ? -1 : 1, degrees: challenge.degrees });
+    case 'TILT':
+      return tiltMotion({
+        directions: challenge.directions,
+        angle: 35 * size,
+        hold: challenge.duration ? challenge.duration + 1 : 0.6
+      });
+    case 'DIRECTION':
+      return holdHeadingMotion({
+        heading: COMPASS_HEADINGS[challenge.direction] || 0,
+        from: (COMPASS_HEADINGS[challenge.direction] || 0) + 90
+      });
+    case 'JUMP':
+      return jumpMotion({ count: challenge.count, height: Math.max(0.15, (challenge.minHeight || 0) / 100 + 0.05) * size });
+    case 'BALANCE':
+      return stillMotion();
+    case 'SQUAT':
+      return squatMotion({ count: challenge.count, depth: Math.max(0.4, (challenge.depth || 0) / 100 + 0.15) * size });
+    default:
+      return shakeMotion({ amplitude: Math.max(2, (challenge.intensity || 1) + 0.5) * size });
+  }
+};
+
+// ==================== FRAME GENERATION ====================
+// Turns a motion into sensor frames. Noise (standard deviation per sensor)
+// and bias ({ x, y, z } per sensor) are added on top; everything random
+// comes from `seed`, so the same options always give the same frames.
+export const createSyntheticGenerator = (motion, {
+  seed = 1,
+  noise = DEFAULT_NOISE,
+  bias = {},
+  startTime = 0
+} = {}) => {
+  let random = createRandom(seed);
+
+  const addError = (name, reading) => {
+    const sensorNoise = noise?.[name] || 0;
+    const sensorBias = bias?.[name] || { x: 0, y: 0, z: 0 };
+
+    return {
+      x: reading.x + (sensorBias.x || 0) + sensorNoise * gaussian(random),
+      y: reading.y + (sensorBias.y || 0) + sensorNoise * gaussian(random),
+      z: reading.z + (sensorBias.z || 0) + sensorNoise * gaussian(random)
+    };
+  };
+
+  // Frame at `elapsed` ms after the start
+  const frameAt = (elapsed) => {
+    const time = elapsed / 1000;
+    const pose = motion(time);
+    const matrix = poseToMatrix(pose);
+    const linear = pose.linear || ZERO_LINEAR;
+    const timestamp = startTime + elapsed;
+
+    const force = [linear.east, linear.north, 1 + linear.up].map((value) => value * STANDARD_GRAVITY);
+    const accelerometer = addError('accelerometer', toDevice(matrix, force));
+    const gyroscope = addError('gyroscope', angularVelocity(motion, time));
+    const magnetometer = addError('magnetometer', toDevice(matrix, [0, EARTH_FIELD.north, -EARTH_FIELD.down]));
+
+    return {
+      accelerometer: { ...accelerometer, timestamp },
+      gyroscope: { ...gyroscope, timestamp },
+      magnetometer: { ...magnetometer, timestamp },
+      timestamp
+    };
+  };
+
+  // Frames every 1000 / rateHz ms for `duration` ms
+  const getFrames = (duration, rateHz = DEFAULT_RATE_HZ) => {
+    const frames = [];
+    const step = 1000 / rateHz;
+
+    for (let elapsed = 0; elapsed <= duration; elapsed += step) {
+      frames.push(frameAt(elapsed));
+    }
+
+    return frames;
+  };
+
+  return {
+    frameAt,
+    getFrames,
+    reset: () => {
+      random = createRandom(seed);
+    }
+  };
+};
+
+// Synthetic motion as a replayable trace
+export const createSyntheticTrace = (motion, { duration = 10000, rateHz = DEFAULT_RATE_HZ, ...options } = {}) => {
+  const frames = createSyntheticGenerator(motion, options).getFrames(duration, rateHz);
+  const rows = (name) => frames.map((frame) => {
+    const reading = frame[name];
+    return [Math.round(frame.timestamp - (options.startTime || 0)), reading.x, reading.y, reading.z];
+  });
+
+  return {
+    version: SENSOR_TRACE_VERSION,
+    recordedAt: new Date(0).toISOString(),
+    duration,
+    sensors: {
+      accelerometer: rows('accelerometer'),
+      gyroscope: rows('gyroscope'),
+      magnetometer: rows('magnetometer')
+    }
+  };
+};
+
+// Synthetic motion as a sensor source (see setSensorSource)
+export const createSyntheticSource = (motion, { speed = 1, loop = false, onEnd, ...options } = {}) => {
+  const source = createTraceSource(createSyntheticTrace(motion, options), { speed, loop, onEnd });
+  return { ...source, kind: 'synthetic' };
+};
@@ -1,136 +1,1067 @@
-import { Accelerometer, Gyroscope, Magnetometer } from 'expo-sensors';
 import { Audio } from 'expo-av';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
+import { createSampleBuffer } from './sampleBuffer';
+import {
+  FILTER_TYPES,
+  createFilterPipeline,
+  createGravitySeparator
+} from './filters';
+import { createOrientationEstimator } from './orientation';
+import { createHeadingEstimator } from './heading';
+import {
+  IDENTITY_BIAS,
+  applyAccelerometerBias,
+  applyGyroscopeBias,
+  createRestDetector
+} from './biasCalibration';
+import { HEALTH_STATUS, createStreamHealthMonitor } from './sensorHealth';
+import { SCREEN_ROTATIONS, STANDARD_GRAVITY } from './sensorFrame';
+import { CUSTOM_THRESHOLD_LIMITS, VERIFIER_EVENTS, createChallengeVerifier as createVerifier } from './challengeVerifiers';
+import { createStepDetector } from './stepDetector';
+import { scoreChallenge, summarizeScores } from './scoring';
+import {
+  CHALLENGE_CATALOG,
+  CHALLENGE_DIFFICULTIES,
+  CHALLENGE_TYPES,
+  FALLBACK_CHALLENGE_TYPE,
+  createChallengeFromEntry,
+  getEntryRequirements,
+  loadChallengeCatalog,
+  validateChallengeEntry
+} from './challengeCatalog';
+import {
+  IDENTITY_CALIBRATION,
+  applyMagnetometerCalibration,
+  createFieldDriftMonitor,
+  createMagnetometerCalibrator,
+  getCalibrationQualityLevel
+} from './magCalibration';
+import {
+  createSyntheticGenerator,
+  createSyntheticSource,
+  createStagedMotion,
+  motionForChallenge
+} from './syntheticMotion';
+import {
+  EXTRA_SENSOR_NAMES,
+  PERMISSION_STATUS,
+  SENSOR_NAMES,
+  createLiveSensorSource,
+  createTraceRecorder,
+  createTraceSource,
+  validateSensorTrace
+} from './sensorSources';
+
 // ==================== SENSOR SERVICE ====================
-let accelerometerSubscription = null;
-let gyroscopeSubscription = null;
-let magnetometerSubscription = null;
+export { SENSOR_NAMES, EXTRA_SENSOR_NAMES, HEALTH_STATUS, PERMISSION_STATUS, SCREEN_ROTATIONS, STANDARD_GRAVITY, FILTER_TYPES, createTraceSource, validateSensorTrace, createSyntheticSource };
+export { CHALLENGE_TYPES, CHALLENGE_DIFFICULTIES, CUSTOM_THRESHOLD_LIMITS, validateChallengeEntry, createStepDetector, scoreChallenge, summarizeScores };
+
+// Every hardware sensor: the { x, y, z } motion sensors and the extra ones
+const HARDWARE_SENSOR_NAMES = [...SENSOR_NAMES, ...EXTRA_SENSOR_NAMES];
+
+// Streams computed from the hardware sensors, with the sensors they need
+const DERIVED_STREAMS = {
+  gravity: ['accelerometer'],
+  linearAcceleration: ['accelerometer'],
+  orientation: ['accelerometer', 'gyroscope', 'magnetometer'],
+  heading: ['accelerometer', 'magnetometer']
+};
+
+// Motion streams (what startSensorServices turns on by default)
+const MOTION_STREAM_NAMES = [...SENSOR_NAMES, ...Object.keys(DERIVED_STREAMS)];
+
+// Every stream a consumer can subscribe to
+export const STREAM_NAMES = [...MOTION_STREAM_NAMES, ...EXTRA_SENSOR_NAMES];
+
+// Hardware sensors behind a stream
+const getStreamSensors = (stream) => DERIVED_STREAMS[stream] || [stream];
+
+// Build { stream: value } for every stream
+const createStreamMap = (names, createValue) => {
+  return Object.fromEntries(names.map((name) => [name, createValue(name)]));
+};
+
+// Where sensor readings come from (live hardware unless swapped out)
+// Every source delivers readings in the sensor frame (see sensorFrame.js)
+let sensorSource = createLiveSensorSource();
+
+// Current screen rotation (degrees), handed to sources whose axes follow the screen
+let screenRotation = 0;
+
+// Fastest and slowest update intervals the service uses (ms)
+const MIN_SENSOR_UPDATE_INTERVAL = 50; // 20 fps
+const MAX_SENSOR_UPDATE_INTERVAL = 1000;
+
+// Fastest interval a consumer can ask for (ms), e.g. a challenge declaring a
+// higher minRateHz, like JUMP timing the airtime between samples
+const MIN_REQUESTED_UPDATE_INTERVAL = 20; // 50 fps
+
+// Sampling profiles: the update interval used when no consumer needs a faster one
+export const SAMPLING_PROFILES = {
+  PERFORMANCE: 'performance',
+  BALANCED: 'balanced',
+  BATTERY_SAVER: 'batterySaver'
+};
+
+const SAMPLING_PROFILE_INTERVALS = {
+  [SAMPLING_PROFILES.PERFORMANCE]: 50,
+  [SAMPLING_PROFILES.BALANCED]: 100,
+  [SAMPLING_PROFILES.BATTERY_SAVER]: 250
+};
+
+let samplingProfile = SAMPLING_PROFILES.BALANCED;
+
+// Rates (Hz) the UI can redraw live sensor readouts at; frames in between are coalesced
+export const DISPLAY_RATES = [5, 10, 20];
+
+let displayRate = 10;
+
+// Update intervals consumers asked for: { sensors, interval }
+const intervalRequests = new Set();
+
+// Interval last handed to the source for each sensor
+const appliedIntervals = createStreamMap(HARDWARE_SENSOR_NAMES, () => null);
+
+// Hardware subscription for each sensor (null while the stream is stopped)
+const sensorSubscriptions = createStreamMap(HARDWARE_SENSOR_NAMES, () => null);
+
+// Consumers of a single stream (filtered sensor or derived)
+const sensorListeners = createStreamMap(STREAM_NAMES, () => new Set());
 
-const MAX_SENSOR_UPDATE_INTERVAL = 50; // Update interval in ms (50ms = 20 fps)
+// Consumers of the unfiltered hardware readings
+const rawSensorListeners = createStreamMap(HARDWARE_SENSOR_NAMES, () => new Set());
+
+// Consumers of the combined frame ({ listener, sensors })
+const frameSubscriptions = new Set();
+
+// Streams made of { x, y, z } vectors (orientation and heading are angles)
+const VECTOR_STREAMS = [...SENSOR_NAMES, 'gravity', 'linearAcceleration'];
+
+// Readings of the extra sensors before their first sample
+const EMPTY_EXTRA_READINGS = {
+  pedometer: { steps: 0, distance: 0, timestamp: 0 },
+  barometer: { pressure: 0, altitude: 0, relativeAltitude: 0, timestamp: 0 },
+  lightSensor: { illuminance: 0, timestamp: 0 },
+  deviceMotion: { acceleration: null, accelerationIncludingGravity: null, rotationRate: null, rotation: null, screenRotation: null, timestamp: 0 }
+};
 
 // Store current sensor values
-let currentAccelerometer = { x: 0, y: 0, z: 0 };
-let currentGyroscope = { x: 0, y: 0, z: 0 };
-let currentMagnetometer = { x: 0, y: 0, z: 0 };
+const currentReadings = {
+  ...createStreamMap(VECTOR_STREAMS, () => ({ x: 0, y: 0, z: 0, timestamp: 0 })),
+  ...createStreamMap(EXTRA_SENSOR_NAMES, (name) => ({ ...EMPTY_EXTRA_READINGS[name] })),
+  orientation: createOrientationEstimator().getOrientation(),
+  heading: { heading: 0, magneticHeading: 0, trueHeading: 0, declination: 0, timestamp: 0 }
+};
+
+// Altitude at the start of the barometer stream, for the relative altitude
+let barometerBaseline = null;
+
+// Recent timestamped samples for each vector stream
+const SENSOR_HISTORY_CAPACITY = 256; // ~12 seconds at 20 Hz
+
+const sensorHistory = createStreamMap(VECTOR_STREAMS, () => createSampleBuffer(SENSOR_HISTORY_CAPACITY));
+
+// Filter stages applied to each sensor before it reaches consumers (none by default)
+const sensorFilters = createStreamMap(SENSOR_NAMES, () => createFilterPipeline([]));
+
+// Splits the filtered accelerometer into gravity and linear acceleration
+let gravitySeparator = createGravitySeparator();
+
+// Fuses accelerometer, gyroscope and magnetometer into the device attitude
+const orientationEstimator = createOrientationEstimator();
+
+// Tilt-compensated, smoothed compass heading
+const headingEstimator = createHeadingEstimator();
+
+// Hard/soft-iron correction applied to the magnetometer before anything else sees it
+let magnetometerCalibration = IDENTITY_CALIBRATION;
+
+// Flags when the calibrated field strength no longer matches the calibration
+const fieldDriftMonitor = createFieldDriftMonitor();
+
+// Gyroscope zero-rate offset and accelerometer gravity magnitude, subtracted/divided out
+let sensorBias = IDENTITY_BIAS;
+
+// Re-estimates the bias whenever the device rests, at most this often (ms of sensor time)
+const BIAS_REFRESH_INTERVAL = 60000;
+const restDetector = createRestDetector();
+let lastBiasRefresh = null;
+let biasAutoRefresh = true;
+
+// A bias older than this should be measured again before a session (ms)
+const BIAS_MAX_AGE = 12 * 60 * 60 * 1000;
+
+// Typical full-scale ranges of phone sensors (m/s², rad/s, μT), used to spot saturation
+const SENSOR_SATURATION_LIMITS = {
+  accelerometer: 8 * STANDARD_GRAVITY,
+  gyroscope: 34.9, // 2000°/s
+  magnetometer: 4900
+};
+
+// Stream health of the motion sensors (the extra sensors report on change, not at a rate)
+const sensorHealth = createStreamMap(SENSOR_NAMES, (name) => createStreamHealthMonitor({
+  expectedInterval: SAMPLING_PROFILE_INTERVALS[samplingProfile],
+  saturationLimit: SENSOR_SATURATION_LIMITS[name]
+}));
+
+// Last health status reported per sensor, consumers of health events, and the stall check timer
+const sensorHealthStatus = createStreamMap(SENSOR_NAMES, () => HEALTH_STATUS.OK);
+const healthListeners = new Set();
+let healthCheckTimer = null;
+
+// How often running streams are checked for stalls (ms)
+const HEALTH_CHECK_INTERVAL = 500;
 
 // Sensor availability status
-let availableSensors = {
-  accelerometer: false,
-  gyroscope: false,
-  magnetometer: false
+let availableSensors = createStreamMap(HARDWARE_SENSOR_NAMES, () => false);
+
+// Permission of each sensor as the source reports it: { status, canAskAgain }
+let sensorPermissions = createStreamMap(HARDWARE_SENSOR_NAMES, () => ({
+  status: PERMISSION_STATUS.UNDETERMINED,
+  canAskAgain: true
+}));
+
+// Sensors the user refused; they count as denied and aren't asked for again unless forced
+let deniedSensorPermissions = new Set();
+
+// Pending/finished availability check, shared by every subscriber
+let sensorInitPromise = null;
+
+// Permission the source reports for a sensor, without asking the user
+const readSensorPermission = async (name) => {
+  if (!sensorSource.getPermissionsAsync) {
+    return { status: PERMISSION_STATUS.GRANTED, canAskAgain: true };
+  }
+  
+  try {
+    return await sensorSource.getPermissionsAsync(name);
+  } catch (error) {
+    console.error(`Failed to read ${name} permission:`, error);
+    return { status: PERMISSION_STATUS.UNDETERMINED, canAskAgain: true };
+  }
+};
+
+// Keep the remembered denials in step with a permission the source reported
+const recordSensorPermission = (name, permission) => {
+  sensorPermissions[name] = permission;
+  
+  if (permission.status === PERMISSION_STATUS.GRANTED) {
+    deniedSensorPermissions.delete(name);
+  } else if (permission.status === PERMISSION_STATUS.DENIED) {
+    deniedSensorPermissions.add(name);
+  }
+};
+
+// Permission status as the rest of the app sees it (remembered denials count as denied)
+const getPermissionStatus = (name) => {
+  const { status } = sensorPermissions[name];
+  return status !== PERMISSION_STATUS.GRANTED && deniedSensorPermissions.has(name)
+    ? PERMISSION_STATUS.DENIED
+    : status;
 };
 
-// Initialize sensors and check availability
+// A sensor can be streamed when the device has it and the user didn't refuse it
+const canUseSensor = (name) => availableSensors[name] && getPermissionStatus(name) !== PERMISSION_STATUS.DENIED;
+
+// Initialize sensors and check availability and permissions
 const initSensors = async () => {
   try {
-    availableSensors.accelerometer = await Accelerometer.isAvailableAsync();
-    availableSensors.gyroscope = await Gyroscope.isAvailableAsync();
-    availableSensors.magnetometer = await Magnetometer.isAvailableAsync();
-    
-    // Set update intervals
-    if (availableSensors.accelerometer) {
-      Accelerometer.setUpdateInterval(MAX_SENSOR_UPDATE_INTERVAL);
-    }
+    deniedSensorPermissions = new Set(await getSensorPermissionDenials());
     
-    if (availableSensors.gyroscope) {
-      Gyroscope.setUpdateInterval(MAX_SENSOR_UPDATE_INTERVAL);
-    }
-    
-    if (availableSensors.magnetometer) {
-      Magnetometer.setUpdateInterval(MAX_SENSOR_UPDATE_INTERVAL);
+    for (const name of HARDWARE_SENSOR_NAMES) {
+      availableSensors[name] = await sensorSource.isAvailableAsync(name);
+      if (availableSensors[name]) {
+        recordSensorPermission(name, await readSensorPermission(name));
+      }
+      
+      // The interval is set when the stream starts
+      appliedIntervals[name] = null;
     }
   } catch (error) {
     console.error('Failed to initialize sensors:', error);
+    sensorInitPromise = null;
     return false;
   }
   
   return true;
 };
 
-// Start sensor services
-export const startSensorServices = async (callback, sensitivityMultiplier = 1.0) => {
-  await initSensors();
-  
-  // Subscribe to accelerometer
-  if (availableSensors.accelerometer) {
-    accelerometerSubscription = Accelerometer.addListener(data => {
-      currentAccelerometer = data;
-      
-      if (typeof callback === 'function') {
-        callback(getSensorData());
-      }
+// Run the availability check once and start any streams that were waiting on it
+const ensureSensorsInitialized = () => {
+  if (!sensorInitPromise) {
+    sensorInitPromise = initSensors().then((initialized) => {
+      HARDWARE_SENSOR_NAMES.forEach(updateSensorStream);
+      return initialized;
     });
-  } else {
-    console.warn('Accelerometer is not available on this device');
   }
   
-  // Subscribe to gyroscope
-  if (availableSensors.gyroscope) {
-    gyroscopeSubscription = Gyroscope.addListener(data => {
-      currentGyroscope = data;
+  return sensorInitPromise;
+};
+
+// Number of consumers currently needing a sensor
+const getSensorDemand = (name) => {
+  let demand = rawSensorListeners[name].size;
+  
+  STREAM_NAMES.forEach((stream) => {
+    if (getStreamSensors(stream).includes(name)) {
+      demand += sensorListeners[stream].size;
+    }
+  });
+  
+  frameSubscriptions.forEach((subscription) => {
+    if (subscription.sensors.includes(name)) {
+      demand++;
+    }
+  });
+  
+  return demand;
+};
+
+// Number of consumers of a derived stream (directly or through a frame)
+const getStreamDemand = (stream) => {
+  let demand = sensorListeners[stream].size;
+  
+  frameSubscriptions.forEach((subscription) => {
+    if (subscription.streams.includes(stream)) {
+      demand++;
+    }
+  });
+  
+  return demand;
+};
+
+// Update interval of a sensor: the sampling profile's, or faster if a consumer needs it
+// Only a consumer's request goes below MIN_SENSOR_UPDATE_INTERVAL
+const getSensorInterval = (name) => {
+  const profileInterval = Math.max(
+    MIN_SENSOR_UPDATE_INTERVAL,
+    Math.min(MAX_SENSOR_UPDATE_INTERVAL, SAMPLING_PROFILE_INTERVALS[samplingProfile])
+  );
+  let interval = profileInterval;
+  
+  intervalRequests.forEach((request) => {
+    if (request.sensors.includes(name)) {
+      interval = Math.min(interval, Math.max(MIN_REQUESTED_UPDATE_INTERVAL, request.interval));
+    }
+  });
+  
+  return interval;
+};
+
+// Hand the current interval to the source if it changed
+const applySensorInterval = (name) => {
+  const interval = getSensorInterval(name);
+  if (appliedIntervals[name] === interval) return;
+  
+  try {
+    sensorSource.setUpdateInterval(name, interval);
+    appliedIntervals[name] = interval;
+    if (sensorHealth[name]) {
+      sensorHealth[name].setExpectedInterval(interval);
+    }
+  } catch (error) {
+    console.error(`Failed to set ${name} update interval:`, error);
+  }
+};
+
+// Remember the interval a consumer needs; returns a function that forgets it
+const addIntervalRequest = (sensors, interval) => {
+  if (!interval) return () => {};
+  
+  const request = { sensors, interval };
+  intervalRequests.add(request);
+  return () => intervalRequests.delete(request);
+};
+
+// Call a consumer without letting it break the other consumers
+const notifyListener = (listener, payload) => {
+  try {
+    listener(payload);
+  } catch (error) {
+    console.error('Sensor listener failed:', error);
+  }
+};
+
+// Store a processed sample and hand it to the stream's consumers
+const publishStreamSample = (stream, sample) => {
+  currentReadings[stream] = sample;
+  if (sensorHistory[stream]) {
+    sensorHistory[stream].push(sample);
+  }
+  
+  sensorListeners[stream].forEach((listener) => notifyListener(listener, sample));
+};
+
+// Remove the known errors of a reading: gyroscope/accelerometer bias, magnetometer hard/soft iron
+const correctSample = (name, sample) => {
+  switch (name) {
+    case 'gyroscope':
+      return applyGyroscopeBias(sample, sensorBias);
+    case 'accelerometer':
+      return applyAccelerometerBias(sample, sensorBias);
+    case 'magnetometer':
+      return applyMagnetometerCalibration(sample, magnetometerCalibration);
+    default:
+      return sample;
+  }
+};
+
+// Report a sensor's health to the health consumers when its status changed
+const evaluateSensorHealth = (name, now = Date.now()) => {
+  const stats = sensorHealth[name].getStats(now);
+  const previousStatus = sensorHealthStatus[name];
+  if (stats.status === previousStatus) return;
+  
+  sensorHealthStatus[name] = stats.status;
+  const event = { sensor: name, status: stats.status, previousStatus, stats, timestamp: now };
+  healthListeners.forEach((listener) => notifyListener(listener, event));
+};
+
+// Check running streams for stalls while any is running (no samples means no other trigger)
+const updateHealthCheckTimer = () => {
+  const running = SENSOR_NAMES.some((name) => sensorSubscriptions[name]);
+  
+  if (running && !healthCheckTimer) {
+    healthCheckTimer = setInterval(() => {
+      SENSOR_NAMES.forEach((name) => {
+        if (sensorSubscriptions[name]) {
+          evaluateSensorHealth(name);
+        }
+      });
+    }, HEALTH_CHECK_INTERVAL);
+  } else if (!running && healthCheckTimer) {
+    clearInterval(healthCheckTimer);
+    healthCheckTimer = null;
+  }
+};
+
+// Deliver only the latest frame, at most once every `throttle` ms
+// Frames that arrive in between replace the pending one instead of queueing
+const createFrameThrottle = (listener, throttle) => {
+  let pending = null;
+  let timer = null;
+  let lastDelivery = 0;
+  
+  const deliver = () => {
+    const frame = pending;
+    timer = null;
+    pending = null;
+    lastDelivery = Date.now();
+    notifyListener(listener, frame);
+  };
+  
+  return {
+    push: (frame) => {
+      pending = frame;
+      if (timer) return;
       
-      if (typeof callback === 'function') {
-        callback(getSensorData());
+      const wait = throttle - (Date.now() - lastDelivery);
+      if (wait <= 0) {
+        deliver();
+      } else {
+        timer = setTimeout(deliver, wait);
       }
-    });
-  } else {
-    console.warn('Gyroscope is not available on this device');
+    },
+    cancel: () => {
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+    }
+  };
+};
+
+// Send the combined frame to the frame consumers of a sensor
+const notifyFrameSubscriptions = (name) => {
+  if (frameSubscriptions.size === 0) return;
+  
+  const frame = getSensorData();
+  frameSubscriptions.forEach((subscription) => {
+    if (subscription.sensors.includes(name)) {
+      notifyListener(subscription.listener, frame);
+    }
+  });
+};
+
+// Extra sensors arrive normalized by the source and skip calibration and filters
+const handleExtraReading = (name, data) => {
+  let sample = data;
+  
+  if (name === 'barometer') {
+    if (barometerBaseline === null) {
+      barometerBaseline = data.altitude;
+    }
+    sample = { ...data, relativeAltitude: data.altitude - barometerBaseline };
   }
   
-  // Subscribe to magnetometer
-  if (availableSensors.magnetometer) {
-    magnetometerSubscription = Magnetometer.addListener(data => {
-      currentMagnetometer = data;
-      
-      if (typeof callback === 'function') {
-        callback(getSensorData());
+  // Device motion knows which way the screen is turned
+  if (name === 'deviceMotion' && data.screenRotation !== null && data.screenRotation !== screenRotation) {
+    setScreenRotation(data.screenRotation);
+  }
+  
+  rawSensorListeners[name].forEach((listener) => notifyListener(listener, sample));
+  publishStreamSample(name, sample);
+  notifyFrameSubscriptions(name);
+};
+
+// Fan a new reading out to everyone listening to this sensor
+const handleSensorReading = (name, data) => {
+  if (EXTRA_SENSOR_NAMES.includes(name)) {
+    handleExtraReading(name, data);
+    return;
+  }
+  
+  const rawSample = {
+    x: data.x,
+    y: data.y,
+    z: data.z,
+    timestamp: data.timestamp
+  };
+  
+  // Invalid readings are counted, then dropped so they can't poison filters and estimators
+  sensorHealth[name].update(rawSample);
+  evaluateSensorHealth(name);
+  if (!sensorHealth[name].isValid(rawSample)) return;
+  
+  rawSensorListeners[name].forEach((listener) => notifyListener(listener, rawSample));
+  
+  // A resting device tells us the current gyroscope offset and gravity magnitude
+  if (name !== 'magnetometer' && biasAutoRefresh && sensorSubscriptions.gyroscope && sensorSubscriptions.accelerometer) {
+    const rest = restDetector.update(name, rawSample);
+    if (rest.bias && (lastBiasRefresh === null || rawSample.timestamp - lastBiasRefresh >= BIAS_REFRESH_INTERVAL)) {
+      lastBiasRefresh = rawSample.timestamp;
+      saveSensorBias(rest.bias).catch(() => {});
+    }
+  }
+  
+  // Correct the readings before they reach the filters, orientation and heading
+  const calibratedSample = correctSample(name, rawSample);
+  if (name === 'magnetometer') {
+    fieldDriftMonitor.update(calibratedSample, magnetometerCalibration.fieldStrength);
+  }
+  
+  const sample = sensorFilters[name].apply(calibratedSample);
+  publishStreamSample(name, sample);
+  
+  if (name === 'accelerometer') {
+    const { gravity, linearAcceleration } = gravitySeparator.apply(sample);
+    publishStreamSample('gravity', gravity);
+    publishStreamSample('linearAcceleration', linearAcceleration);
+  }
+  
+  // The gyroscope drives the orientation; without one, the accelerometer does
+  // Wait for gravity (and the field, if it's streaming) so the first estimate is right
+  const drivesOrientation = name === 'gyroscope' || (name === 'accelerometer' && !sensorSubscriptions.gyroscope);
+  const hasReading = (sensor) => !!sensorSubscriptions[sensor] && currentReadings[sensor].timestamp > 0;
+  const orientationReady = hasReading('accelerometer') && (!sensorSubscriptions.magnetometer || hasReading('magnetometer'));
+  if (drivesOrientation && orientationReady && getStreamDemand('orientation') > 0) {
+    publishStreamSample('orientation', orientationEstimator.update({
+      accelerometer: currentReadings.accelerometer,
+      gyroscope: sensorSubscriptions.gyroscope ? currentReadings.gyroscope : null,
+      magnetometer: sensorSubscriptions.magnetometer ? currentReadings.magnetometer : null,
+      timestamp: sample.timestamp
+    }));
+  }
+  
+  // Heading follows the field, compensated with the current gravity estimate
+  if (name === 'magnetometer' && hasReading('accelerometer') && getStreamDemand('heading') > 0) {
+    const heading = headingEstimator.update(currentReadings.gravity, sample, sample.timestamp);
+    if (heading) {
+      publishStreamSample('heading', heading);
+    }
+  }
+  
+  notifyFrameSubscriptions(name);
+};
+
+// Start the hardware stream on the first consumer, stop it after the last one leaves
+const updateSensorStream = (name) => {
+  const demand = getSensorDemand(name);
+  
+  if (demand > 0 && canUseSensor(name) && !sensorSubscriptions[name]) {
+    // Don't let samples or filter state from a previous run leak into this one
+    if (EXTRA_SENSOR_NAMES.includes(name)) {
+      currentReadings[name] = { ...EMPTY_EXTRA_READINGS[name] };
+      if (name === 'barometer') {
+        barometerBaseline = null;
+      }
+    } else {
+      VECTOR_STREAMS.forEach((stream) => {
+        if (getStreamSensors(stream).includes(name)) {
+          currentReadings[stream] = { x: 0, y: 0, z: 0, timestamp: 0 };
+          sensorHistory[stream].clear();
+        }
+      });
+      sensorFilters[name].reset();
+      if (name === 'accelerometer') {
+        gravitySeparator.reset();
+      }
+      if (name === 'magnetometer') {
+        fieldDriftMonitor.reset();
+      } else {
+        restDetector.reset();
       }
+      orientationEstimator.reset();
+      headingEstimator.reset();
+      sensorHealth[name].reset();
+      sensorHealth[name].start();
+      sensorHealthStatus[name] = HEALTH_STATUS.OK;
+    }
+    
+    applySensorInterval(name);
+    sensorSubscriptions[name] = sensorSource.addListener(name, data => {
+      handleSensorReading(name, data);
     });
-  } else {
-    console.warn('Magnetometer is not available on this device');
+    updateHealthCheckTimer();
+  } else if ((demand === 0 || !canUseSensor(name)) && sensorSubscriptions[name]) {
+    sensorSubscriptions[name].remove();
+    sensorSubscriptions[name] = null;
+    updateHealthCheckTimer();
+  } else if (sensorSubscriptions[name]) {
+    // A consumer came or went; it may have needed another rate
+    applySensorInterval(name);
   }
-  
-  return true;
 };
 
-// Stop sensor services
-export const stopSensorServices = () => {
-  if (accelerometerSubscription) {
-    accelerometerSubscription.remove();
-    accelerometerSubscription = null;
+// Subscribe to a single stream; returns the unsubscribe handle
+// Streams: any sensor (filtered), 'gravity', 'linearAcceleration', 'orientation' or 'heading'
+// Pass { raw: true } to get a sensor's readings before calibration and filtering
+// Pass { interval } (ms) when readings must come at least that often
+export const subscribeToSensor = (name, listener, { raw = false, interval = null } = {}) => {
+  const listeners = raw ? rawSensorListeners[name] : sensorListeners[name];
+  if (!listeners) {
+    throw new Error(`Unknown sensor: ${name}`);
   }
   
-  if (gyroscopeSubscription) {
-    gyroscopeSubscription.remove();
-    gyroscopeSubscription = null;
+  const sensors = getStreamSensors(name);
+  const removeIntervalRequest = addIntervalRequest(sensors, interval);
+  listeners.add(listener);
+  ensureSensorsInitialized().then(() => sensors.forEach(updateSensorStream));
+  
+  let subscribed = true;
+  return () => {
+    if (!subscribed) return;
+    subscribed = false;
+    listeners.delete(listener);
+    removeIntervalRequest();
+    sensors.forEach(updateSensorStream);
+  };
+};
+
+// Subscribe to the combined frame of several streams; returns the unsubscribe handle
+// Pass { interval } (ms) when frames must come at least that often
+// Pass { throttle } (ms) to get at most one frame per period, e.g. for drawing
+export const subscribeToSensorFrame = (listener, streams = SENSOR_NAMES, { interval = null, throttle = null } = {}) => {
+  const unknown = streams.filter((name) => !sensorListeners[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown sensor: ${unknown.join(', ')}`);
   }
   
-  if (magnetometerSubscription) {
-    magnetometerSubscription.remove();
-    magnetometerSubscription = null;
+  // The frame is sent whenever one of the sensors behind these streams reports
+  const sensors = [...new Set(streams.flatMap(getStreamSensors))];
+  const throttled = throttle ? createFrameThrottle(listener, throttle) : null;
+  const subscription = { listener: throttled ? throttled.push : listener, streams: [...streams], sensors };
+  const removeIntervalRequest = addIntervalRequest(sensors, interval);
+  frameSubscriptions.add(subscription);
+  ensureSensorsInitialized().then(() => subscription.sensors.forEach(updateSensorStream));
+  
+  let subscribed = true;
+  return () => {
+    if (!subscribed) return;
+    subscribed = false;
+    frameSubscriptions.delete(subscription);
+    if (throttled) {
+      throttled.cancel();
+    }
+    removeIntervalRequest();
+    subscription.sensors.forEach(updateSensorStream);
+  };
+};
+
+// Start sensor services
+// With a challenge, only the streams it declares are turned on, at the rate it needs
+// Pass { throttle } (ms) to coalesce frames for display (see subscribeToSensorFrame)
+// Returns an unsubscribe handle for this caller; other consumers are unaffected
+export const startSensorServices = async (callback, challenge = null, { throttle = null } = {}) => {
+  await ensureSensorsInitialized();
+  
+  const { streams, sensors, interval } = challenge
+    ? getChallengeSensorRequirements(challenge)
+    : { streams: MOTION_STREAM_NAMES, sensors: SENSOR_NAMES, interval: null };
+  
+  sensors.forEach((name) => {
+    if (!availableSensors[name]) {
+      console.warn(`${name} is not available on this device`);
+    }
+  });
+  
+  const unsubscribe = subscribeToSensorFrame((data) => {
+    if (typeof callback === 'function') {
+      callback(data);
+    }
+  }, streams, { interval, throttle });
+  
+  return unsubscribe;
+};
+
+// Stop sensor services
+// Only releases the subscription the handle came with; without a handle nothing happens
+export const stopSensorServices = (handle) => {
+  if (typeof handle === 'function') {
+    handle();
   }
 };
 
-// Get current sensor status
+// Get current sensor status: availability, <name>Active and subscriber counts per sensor
 export const getSensorStatus = () => {
-  return {
+  const status = {
     ...availableSensors,
-    accelerometerActive: !!accelerometerSubscription,
-    gyroscopeActive: !!gyroscopeSubscription,
-    magnetometerActive: !!magnetometerSubscription
+    subscribers: {}
   };
+  
+  HARDWARE_SENSOR_NAMES.forEach((name) => {
+    status[`${name}Active`] = !!sensorSubscriptions[name];
+    status.subscribers[name] = getSensorDemand(name);
+  });
+  
+  return status;
 };
 
 // Get current sensor data
 export const getSensorData = () => {
   return {
-    accelerometer: currentAccelerometer,
-    gyroscope: currentGyroscope,
-    magnetometer: currentMagnetometer
+    accelerometer: currentReadings.accelerometer,
+    gyroscope: currentReadings.gyroscope,
+    magnetometer: currentReadings.magnetometer,
+    gravity: currentReadings.gravity,
+    linearAcceleration: currentReadings.linearAcceleration,
+    orientation: currentReadings.orientation,
+    heading: currentReadings.heading,
+    pedometer: currentReadings.pedometer,
+    barometer: currentReadings.barometer,
+    lightSensor: currentReadings.lightSensor,
+    deviceMotion: currentReadings.deviceMotion,
+    timestamp: Math.max(...HARDWARE_SENSOR_NAMES.map((name) => currentReadings[name].timestamp))
+  };
+};
+
+// Get the stream health of a motion sensor, or of all of them when no name is given
+// { status, rate, expectedRate, jitter, stale, sinceLastSample, recent, totals, active }
+export const getSensorHealth = (name) => {
+  if (name === undefined) {
+    return Object.fromEntries(SENSOR_NAMES.map((sensor) => [sensor, getSensorHealth(sensor)]));
+  }
+  
+  if (!sensorHealth[name]) {
+    throw new Error(`Unknown sensor: ${name}`);
+  }
+  
+  return {
+    ...sensorHealth[name].getStats(),
+    active: !!sensorSubscriptions[name]
+  };
+};
+
+// Listen for health changes: { sensor, status, previousStatus, stats, timestamp }
+// Returns the unsubscribe handle
+export const subscribeToSensorHealth = (listener) => {
+  healthListeners.add(listener);
+  return () => {
+    healthListeners.delete(listener);
   };
 };
 
+// Set the filter stages of a sensor, e.g. [{ type: FILTER_TYPES.MEDIAN, size: 3 }]
+export const setSensorFilters = (name, stages = []) => {
+  if (!sensorFilters[name]) {
+    throw new Error(`Unknown sensor: ${name}`);
+  }
+  
+  sensorFilters[name] = createFilterPipeline(stages);
+};
+
+// Get the filter stages currently applied to a sensor
+export const getSensorFilters = (name) => {
+  if (!sensorFilters[name]) {
+    throw new Error(`Unknown sensor: ${name}`);
+  }
+  
+  return sensorFilters[name].stages;
+};
+
+// Set how slowly the gravity estimate follows the accelerometer
+export const setGravityFilter = ({ cutoffHz } = {}) => {
+  gravitySeparator = createGravitySeparator({ cutoffHz });
+};
+
+// Set the magnetic declination (degrees, east positive) and whether headings use true north
+export const setHeadingDeclination = ({ declination = 0, useTrueNorth = false } = {}) => {
+  headingEstimator.setDeclination({ declination, useTrueNorth });
+};
+
+// Set the magnetometer calibration (from fitMagnetometerCalibration); null removes it
+export const setMagnetometerCalibration = (calibration) => {
+  magnetometerCalibration = calibration ? { ...IDENTITY_CALIBRATION, ...calibration } : IDENTITY_CALIBRATION;
+  fieldDriftMonitor.reset();
+  headingEstimator.reset();
+  orientationEstimator.reset();
+};
+
+export const getMagnetometerCalibration = () => magnetometerCalibration;
+
+// Calibration state for the UI: quality, expected vs. current field strength, drift
+export const getMagnetometerCalibrationStatus = () => {
+  return {
+    calibrated: magnetometerCalibration.fieldStrength !== null,
+    quality: magnetometerCalibration.quality,
+    qualityLevel: getCalibrationQualityLevel(magnetometerCalibration.quality),
+    fieldStrength: magnetometerCalibration.fieldStrength,
+    currentStrength: fieldDriftMonitor.getStrength(),
+    drifting: fieldDriftMonitor.isDrifting(),
+    timestamp: magnetometerCalibration.timestamp
+  };
+};
+
+// Collect raw magnetometer samples for a calibration (the user waves the device in a figure-eight)
+// onProgress gets { samples, coverage, ready }; finish() returns the fitted calibration or null
+// The result is not applied: pass it to saveMagnetometerCalibration to keep it
+export const startMagnetometerCalibration = (onProgress) => {
+  const calibrator = createMagnetometerCalibrator();
+  let unsubscribe = subscribeToSensor('magnetometer', (sample) => {
+    const progress = calibrator.add(sample);
+    if (onProgress) {
+      onProgress(progress);
+    }
+  }, { raw: true, interval: MIN_SENSOR_UPDATE_INTERVAL });
+  
+  const stop = () => {
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  };
+  
+  return {
+    getProgress: calibrator.getProgress,
+    finish: () => {
+      stop();
+      return calibrator.finish();
+    },
+    cancel: stop
+  };
+};
+
+// Set the gyroscope/accelerometer bias (from estimateBias); null removes it
+export const setSensorBias = (bias) => {
+  sensorBias = bias ? { ...IDENTITY_BIAS, ...bias } : IDENTITY_BIAS;
+};
+
+export const getSensorBias = () => sensorBias;
+
+// Whether the bias was never measured or is too old to trust
+export const isSensorBiasStale = (maxAge = BIAS_MAX_AGE) => {
+  return !sensorBias.timestamp || Date.now() - sensorBias.timestamp > maxAge;
+};
+
+// Turn the automatic re-estimation at rest on or off
+export const setBiasAutoRefresh = (enabled) => {
+  biasAutoRefresh = enabled;
+  restDetector.reset();
+};
+
+// "Hold still" calibration: measure the bias as soon as the device rests for a moment
+// onProgress gets { atRest, progress (0-1), bias }; bias is set (and saved) once done
+// Returns a handle with cancel()
+export const startBiasCalibration = (onProgress) => {
+  const detector = createRestDetector();
+  let unsubscribes = [];
+  
+  const stop = () => {
+    unsubscribes.forEach((unsubscribe) => unsubscribe());
+    unsubscribes = [];
+  };
+  
+  const handleReading = (name) => (sample) => {
+    if (unsubscribes.length === 0) return;
+    
+    const result = detector.update(name, sample);
+    if (result.bias) {
+      stop();
+      lastBiasRefresh = sample.timestamp;
+      saveSensorBias(result.bias).catch(() => {});
+    }
+    
+    if (onProgress) {
+      onProgress(result);
+    }
+  };
+  
+  unsubscribes = [
+    subscribeToSensor('gyroscope', handleReading('gyroscope'), { raw: true, interval: MIN_SENSOR_UPDATE_INTERVAL }),
+    subscribeToSensor('accelerometer', handleReading('accelerometer'), { raw: true, interval: MIN_SENSOR_UPDATE_INTERVAL })
+  ];
+  
+  return { cancel: stop };
+};
+
+// Choose how often sensors report when nobody needs them faster
+export const setSensorSamplingProfile = (profile) => {
+  if (!SAMPLING_PROFILE_INTERVALS[profile]) {
+    throw new Error(`Unknown sampling profile: ${profile}`);
+  }
+  
+  samplingProfile = profile;
+  HARDWARE_SENSOR_NAMES.forEach((name) => {
+    if (sensorSubscriptions[name]) {
+      applySensorInterval(name);
+    }
+  });
+};
+
+export const getSensorSamplingProfile = () => samplingProfile;
+
+// Choose how often (Hz) live readouts are redrawn
+export const setSensorDisplayRate = (rate) => {
+  if (!DISPLAY_RATES.includes(rate)) {
+    throw new Error(`Unknown display rate: ${rate}`);
+  }
+  
+  displayRate = rate;
+};
+
+export const getSensorDisplayRate = () => displayRate;
+
+// Swap where readings come from (live hardware, a recorded trace, a generator)
+// Running streams are moved over to the new source
+export const setSensorSource = async (source) => {
+  HARDWARE_SENSOR_NAMES.forEach((name) => {
+    if (sensorSubscriptions[name]) {
+      sensorSubscriptions[name].remove();
+      sensorSubscriptions[name] = null;
+    }
+  });
+  updateHealthCheckTimer();
+  
+  sensorSource = source || createLiveSensorSource();
+  if (sensorSource.setScreenRotation) {
+    sensorSource.setScreenRotation(screenRotation);
+  }
+  sensorInitPromise = null;
+  
+  // The new source has its own clock
+  lastBiasRefresh = null;
+  
+  return ensureSensorsInitialized();
+};
+
+// Permission of every hardware sensor: { [name]: { status, canAskAgain, remembered } }
+// remembered: the user refused it before, so it won't be asked for on its own
+export const getSensorPermissions = () => Object.fromEntries(HARDWARE_SENSOR_NAMES.map((name) => [name, {
+  status: getPermissionStatus(name),
+  canAskAgain: sensorPermissions[name].canAskAgain,
+  remembered: deniedSensorPermissions.has(name)
+}]));
+
+// Ask for the permission of some sensors; returns getSensorPermissions()
+// Sensors the user refused before are skipped unless { force: true }
+export const requestSensorPermissions = async (names = SENSOR_NAMES, { force = false } = {}) => {
+  const unknown = names.filter((name) => !sensorPermissions[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown sensor: ${unknown.join(', ')}`);
+  }
+  
+  await ensureSensorsInitialized();
+  
+  if (sensorSource.requestPermissionsAsync) {
+    for (const name of names) {
+      if (!availableSensors[name] || sensorPermissions[name].status === PERMISSION_STATUS.GRANTED) continue;
+      if (deniedSensorPermissions.has(name) && !force) continue;
+      
+      try {
+        recordSensorPermission(name, await sensorSource.requestPermissionsAsync(name));
+      } catch (error) {
+        console.error(`Failed to request ${name} permission:`, error);
+      }
+    }
+    
+    await saveSensorPermissionDenials([...deniedSensorPermissions]).catch(() => {});
+  }
+  
+  HARDWARE_SENSOR_NAMES.forEach(updateSensorStream);
+  return getSensorPermissions();
+};
+
+// Read the permissions again, e.g. after the user changed them in the system settings
+export const refreshSensorPermissions = async () => {
+  await ensureSensorsInitialized();
+  
+  for (const name of HARDWARE_SENSOR_NAMES) {
+    if (availableSensors[name]) {
+      recordSensorPermission(name, await readSensorPermission(name));
+    }
+  }
+  await saveSensorPermissionDenials([...deniedSensorPermissions]).catch(() => {});
+  
+  HARDWARE_SENSOR_NAMES.forEach(updateSensorStream);
+  return getSensorPermissions();
+};
+
+// Tell the sensor service how the screen is rotated, so x and y keep following the screen
+export const setScreenRotation = (rotation) => {
+  if (!SCREEN_ROTATIONS.includes(rotation)) {
+    throw new Error(`Unknown screen rotation: ${rotation}`);
+  }
+  
+  screenRotation = rotation;
+  if (sensorSource.setScreenRotation) {
+    sensorSource.setScreenRotation(rotation);
+  }
+};
+
+export const getScreenRotation = () => screenRotation;
+
+// Go back to the device sensors
+export const resetSensorSource = () => setSensorSource(createLiveSensorSource());
+
+export const getSensorSource = () => sensorSource;
+
+// Record the readings of some sensors until the returned stop() is called
+// stop() returns the trace, ready for JSON.stringify and createTraceSource
+// Traces hold the { x, y, z } sensors only; extra sensors are skipped
+export const startSensorRecording = (sensors = SENSOR_NAMES) => {
+  const recordedSensors = sensors.filter((name) => SENSOR_NAMES.includes(name));
+  const recorder = createTraceRecorder(recordedSensors);
+  const unsubscribes = recordedSensors.map((name) => {
+    return subscribeToSensor(name, (sample) => recorder.add(name, sample));
+  });
+  
+  let recording = true;
+  return {
+    stop: () => {
+      if (recording) {
+        recording = false;
+        unsubscribes.forEach((unsubscribe) => unsubscribe());
+      }
+      
+      return recorder.getTrace();
+    }
+  };
+};
+
+// Get the timestamped history buffer of a sensor (vector streams only)
+export const getSensorHistory = (name) => {
+  if (!sensorHistory[name]) {
+    throw new Error(`Unknown sensor: ${name}`);
+  }
+  
+  return sensorHistory[name];
+};
+
+// Get mean/variance/peak of a sensor over the last `windowMs`
+export const getSensorWindowStats = (name, windowMs) => {
+  return getSensorHistory(name).getStats(windowMs);
+};
+
 // ==================== SOUND SERVICE ====================
 // Sound configuration
 export const SOUND_TYPES = {
@@ -238,383 +1169,274 @@ export const unloadSounds = async () => {
 };
 
 // ==================== CHALLENGE LOGIC ====================
-// Challenge types
-export const CHALLENGE_TYPES = {
-  RUN: 'RUN',
-  ROTATE: 'ROTATE',
-  TILT: 'TILT',
-  DIRECTION: 'DIRECTION'
-};
-
-// Potential challenges to generate based on challenge type
-const CHALLENGES = {
-  [CHALLENGE_TYPES.RUN]: [
-    { instruction: 'Run in place for 3 seconds', count: 3, intensity: 1.5, hint: 'Move up and down quickly' },
-    { instruction: 'Take 5 steps forward', count: 5, intensity: 1.2, hint: 'Step forward with your device' },
-    { instruction: 'Jump 3 times', count: 3, intensity: 2.0, hint: 'Quick vertical movements' },
-    { instruction: 'March in place for 5 seconds', count: 5, intensity: 1.3, hint: 'Raise knees high' },
-  ],
-  [CHALLENGE_TYPES.ROTATE]: [
-    { instruction: 'Rotate device 360° clockwise', degrees: 360, direction: 1, hint: 'Turn your device in a full circle' },
-    { instruction: 'Rotate device 360° counter-clockwise', degrees: 360, direction: -1, hint: 'Turn your device in a full circle in the opposite direction' },
-    { instruction: 'Rotate device 180° and back', degrees: 180, direction: 0, hint: 'Turn halfway around and return' },
-    { instruction: 'Spin around with your device', degrees: 360, direction: 0, hint: 'Turn your whole body' },
-  ],
-  [CHALLENGE_TYPES.TILT]: [
-    { instruction: 'Tilt device left then right', directions: ['left', 'right'], hint: 'Tilt from side to side' },
-    { instruction: 'Tilt device forward then backward', directions: ['forward', 'backward'], hint: 'Tilt forward and backward' },
-    { instruction: 'Tilt device in a circle', directions: ['left', 'forward', 'right', 'backward'], hint: 'Move in a circular pattern' },
-    { instruction: 'Hold device tilted left for 3 seconds', directions: ['left'], duration: 3, hint: 'Keep it steady' },
-  ],
-  [CHALLENGE_TYPES.DIRECTION]: [
-    { instruction: 'Face North', direction: 'N', tolerance: 20, hint: 'Use the compass to find North' },
-    { instruction: 'Face East', direction: 'E', tolerance: 20, hint: 'Use the compass to find East' },
-    { instruction: 'Face South', direction: 'S', tolerance: 20, hint: 'Use the compass to find South' },
-    { instruction: 'Face West', direction: 'W', tolerance: 20, hint: 'Use the compass to find West' },
-    { instruction: 'Rotate slowly to face South-East', direction: 'SE', tolerance: 20, hint: 'Between South and East' },
-  ],
-};
-
-// Threshold values for movement detection
-const THRESHOLDS = {
-  STEP_MAGNITUDE: 1.2,
-  ROTATION_SPEED: 0.5,
-  TILT_ANGLE: 0.5,
-  DIRECTION_TOLERANCE: 20, // degrees
-};
-
-// Variables to track state between checks
-let lastAccelMagnitude = 0;
-let stepCount = 0;
-let rotationProgress = 0;
-let tiltStates = [];
-let directionMatched = false;
-let lastDirectionMatchTime = 0;
-let directionMatchDuration = 0;
+// Challenges the game can pick; entries that don't pass the schema are left out
+const challengeCatalog = loadChallengeCatalog(CHALLENGE_CATALOG, { streams: STREAM_NAMES });
 
-// Generate a random challenge based on available sensors
-export const generateChallenge = () => {
-  // Get available sensors
-  const sensors = getSensorStatus();
-  
-  // Build list of available challenge types based on sensors
-  const availableChallengeTypes = [];
-  
-  if (sensors.accelerometer) {
-    availableChallengeTypes.push(CHALLENGE_TYPES.RUN);
-  }
-  
-  if (sensors.gyroscope) {
-    availableChallengeTypes.push(CHALLENGE_TYPES.ROTATE);
-    availableChallengeTypes.push(CHALLENGE_TYPES.TILT);
-  }
-  
-  if (sensors.magnetometer) {
-    availableChallengeTypes.push(CHALLENGE_TYPES.DIRECTION);
-  }
-  
-  // If no sensors available, default to a simple challenge
-  if (availableChallengeTypes.length === 0) {
-    return {
-      type: 'BASIC',
-      instruction: 'Shake your device',
-      hint: 'No advanced sensors detected, just shake the device',
-    };
-  }
-  
-  // Randomly select a challenge type
-  const randomTypeIndex = Math.floor(Math.random() * availableChallengeTypes.length);
-  const selectedType = availableChallengeTypes[randomTypeIndex];
-  
-  // Get challenges for this type
-  const challengesForType = CHALLENGES[selectedType];
+// Streams, hardware sensors and update interval (ms) a challenge needs
+export const getChallengeSensorRequirements = (challenge) => {
+  const requirements = getEntryRequirements(challenge);
   
-  // Randomly select a specific challenge
-  const randomChallengeIndex = Math.floor(Math.random() * challengesForType.length);
-  const selectedChallenge = challengesForType[randomChallengeIndex];
-  
-  // Return challenge with type and all properties
   return {
-    type: selectedType,
-    ...selectedChallenge
+    streams: [...requirements.streams],
+    sensors: [...new Set(requirements.streams.flatMap(getStreamSensors))],
+    minRateHz: requirements.minRateHz,
+    interval: Math.round(1000 / requirements.minRateHz)
   };
 };
 
-// Reset tracking variables when a new challenge starts
-export const resetChallengeTracking = () => {
-  lastAccelMagnitude = 0;
-  stepCount = 0;
-  rotationProgress = 0;
-  tiltStates = [];
-  directionMatched = false;
-  lastDirectionMatchTime = 0;
-  directionMatchDuration = 0;
+// Sound played for what the verifiers report
+const VERIFIER_SOUNDS = {
+  [VERIFIER_EVENTS.STEP]: SOUND_TYPES.STEP_DETECTED,
+  [VERIFIER_EVENTS.TILT]: SOUND_TYPES.TILT_DETECTED,
+  [VERIFIER_EVENTS.DIRECTION_MATCHED]: SOUND_TYPES.DIRECTION_MATCHED,
+  [VERIFIER_EVENTS.JUMP]: SOUND_TYPES.STEP_DETECTED,
+  [VERIFIER_EVENTS.SQUAT]: SOUND_TYPES.STEP_DETECTED,
+  [VERIFIER_EVENTS.STAGE_COMPLETED]: SOUND_TYPES.CHALLENGE_COMPLETE
 };
 
-// Verify if the challenge has been completed
-export const verifyChallengeCompletion = (challenge, sensorData, sensitivityMultiplier = 1.0) => {
-  if (!challenge || !sensorData) {
-    return { completed: false, performance: 0 };
+// A verifier for one challenge that plays the app's sounds (see utils/challengeVerifiers.js)
+export const createChallengeVerifier = (challenge, options = {}) => createVerifier(challenge, {
+  onEvent: (event) => playSound(VERIFIER_SOUNDS[event]),
+  ...options
+});
+
+// Verifiers behind verifyChallengeCompletion, one per challenge object
+let adapterVerifiers = new WeakMap();
+
+// Difficulty profiles: sensitivity above 1 makes movements easier to detect (see the
+// verifiers' thresholds), timeMultiplier scales the time limits (not the holds in
+// them). The custom profile plays at standard sensitivity and time, with the
+// thresholds a coach set
+export const DIFFICULTY_PROFILES = {
+  easy: { sensitivity: 1.3, timeMultiplier: 1.3 },
+  medium: { sensitivity: 1.0, timeMultiplier: 1.0 },
+  hard: { sensitivity: 0.7, timeMultiplier: 0.7 },
+  custom: { sensitivity: 1.0, timeMultiplier: 1.0 }
+};
+
+// How often an entry is picked, by how many levels it is from the profile's
+// (custom profiles pick every entry alike)
+const DIFFICULTY_WEIGHTS = [4, 1, 0];
+
+// The custom thresholds at their standard values
+export const getStandardCustomThresholds = () => Object.fromEntries(
+  Object.entries(CUSTOM_THRESHOLD_LIMITS).map(([name, limits]) => [name, limits.standard])
+);
+
+// Saved custom thresholds, moved into the current ranges (they may predate them) and standard where missing
+export const getCustomThresholds = (saved) => Object.fromEntries(
+  Object.entries(CUSTOM_THRESHOLD_LIMITS).map(([name, { standard, min, max }]) => [
+    name,
+    Number.isFinite(saved?.[name]) ? Math.max(min, Math.min(max, saved[name])) : standard
+  ])
+);
+
+// A custom threshold one step up (direction 1) or down (-1), within its range
+// Steps count from the minimum; a value between steps (saved with older ranges)
+// goes to the next one that way
+export const stepCustomThreshold = (name, value, direction) => {
+  const { min, max, step } = CUSTOM_THRESHOLD_LIMITS[name];
+  // Rounded so float error doesn't put a value between steps
+  const steps = Number(((value - min) / step).toFixed(6));
+  const next = direction > 0 ? Math.floor(steps) + 1 : Math.ceil(steps) - 1;
+  
+  return Math.max(min, Math.min(max, Number((min + next * step).toFixed(6))));
+};
+
+// The profile the saved settings ask for: { difficulty, sensitivity, timeMultiplier, customThresholds }
+// Settings saved before profiles had a name are matched on their sensitivity, which
+// the settings screen used to read the other way round (0.7 was easy)
+export const getDifficultyProfile = (settings = DEFAULT_SETTINGS) => {
+  let { difficulty } = settings;
+  if (!DIFFICULTY_PROFILES[difficulty]) {
+    if (settings.sensitivity <= 0.7) {
+      difficulty = 'easy';
+    } else if (settings.sensitivity >= 1.3) {
+      difficulty = 'hard';
+    } else {
+      difficulty = 'medium';
+    }
   }
   
-  // Apply sensitivity multiplier to thresholds
-  const adjustedThresholds = {
-    STEP_MAGNITUDE: THRESHOLDS.STEP_MAGNITUDE / sensitivityMultiplier,
-    ROTATION_SPEED: THRESHOLDS.ROTATION_SPEED / sensitivityMultiplier,
-    TILT_ANGLE: THRESHOLDS.TILT_ANGLE / sensitivityMultiplier,
-    DIRECTION_TOLERANCE: THRESHOLDS.DIRECTION_TOLERANCE * sensitivityMultiplier,
+  return {
+    difficulty,
+    ...DIFFICULTY_PROFILES[difficulty],
+    customThresholds: difficulty === 'custom'
+      ? getCustomThresholds(settings.customThresholds)
+      : null
   };
+};
+
+// Options for createChallengeVerifier that play a challenge at the profile's difficulty
+export const getVerifierOptions = (profile) => ({
+  sensitivityMultiplier: profile.sensitivity,
+  customThresholds: profile.customThresholds
+});
+
+// Pick an entry, favoring those of the profile's difficulty
+const pickEntry = (entries, difficulty) => {
+  const level = CHALLENGE_DIFFICULTIES.indexOf(difficulty);
+  const weights = entries.map((entry) => (
+    level === -1 ? 1 : DIFFICULTY_WEIGHTS[Math.abs(CHALLENGE_DIFFICULTIES.indexOf(entry.difficulty) - level)]
+  ));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
   
-  switch (challenge.type) {
-    case CHALLENGE_TYPES.RUN:
-      return verifyRunChallenge(challenge, sensorData.accelerometer, adjustedThresholds);
-    case CHALLENGE_TYPES.ROTATE:
-      return verifyRotateChallenge(challenge, sensorData.gyroscope, adjustedThresholds);
-    case CHALLENGE_TYPES.TILT:
-      return verifyTiltChallenge(challenge, sensorData.gyroscope, adjustedThresholds);
-    case CHALLENGE_TYPES.DIRECTION:
-      return verifyDirectionChallenge(challenge, sensorData.magnetometer, adjustedThresholds);
-    default:
-      // For unknown challenge types, fallback to a simple check
-      const magnitude = Math.sqrt(
-        Math.pow(sensorData.accelerometer.x, 2) + 
-        Math.pow(sensorData.accelerometer.y, 2) + 
-        Math.pow(sensorData.accelerometer.z, 2)
-      );
-      
-      // Simple shake detection
-      if (magnitude > 2.5) {
-        return { completed: true, performance: 0.7 };
-      }
-      
-      return { completed: false, performance: 0 };
+  // None close enough to the level: any of them will do
+  if (total === 0) {
+    return entries[Math.floor(Math.random() * entries.length)];
   }
+  
+  let pick = Math.random() * total;
+  const index = weights.findIndex((weight) => {
+    pick -= weight;
+    return pick < 0;
+  });
+  return entries[index === -1 ? entries.length - 1 : index];
 };
 
-// Verify running/stepping challenges
-const verifyRunChallenge = (challenge, accelerometer, thresholds) => {
-  // Calculate the magnitude of acceleration
-  const magnitude = Math.sqrt(
-    Math.pow(accelerometer.x, 2) + 
-    Math.pow(accelerometer.y, 2) + 
-    Math.pow(accelerometer.z, 2)
-  );
+// Generate a random challenge based on available sensors
+// Entries near the profile's difficulty are favored and its time multiplier sets the time limits
+export const generateChallenge = (profile = getDifficultyProfile()) => {
+  // Locked types (a sensor permission is missing) and types the device can't play are left out
+  const availableChallengeTypes = getChallengeTypeStatus()
+    .filter((status) => status.available)
+    .map((status) => status.type);
   
-  // Detect steps based on acceleration peaks
-  const isStep = (
-    magnitude > thresholds.STEP_MAGNITUDE && 
-    lastAccelMagnitude <= thresholds.STEP_MAGNITUDE
-  );
+  // If no sensors available, default to a simple challenge
+  const selectedType = availableChallengeTypes.length > 0
+    ? availableChallengeTypes[Math.floor(Math.random() * availableChallengeTypes.length)]
+    : FALLBACK_CHALLENGE_TYPE;
   
-  // Track for next iteration
-  lastAccelMagnitude = magnitude;
+  // Randomly select a specific challenge of that type
+  const entriesForType = challengeCatalog.filter((entry) => entry.type === selectedType);
+  const selectedEntry = pickEntry(entriesForType, profile.difficulty);
   
-  if (isStep) {
-    stepCount++;
-    playSound(SOUND_TYPES.STEP_DETECTED);
-  }
+  return createChallengeFromEntry(selectedEntry, { timeMultiplier: profile.timeMultiplier });
+};
+
+// Verify a challenge against every frame of the streams it needs, outside any UI state
+// (only the display is throttled; the verifier sees each sample of each stream)
+// onComplete(result) is called once, when the challenge is done (or has failed, with
+// result.failed, like a combo stage running out of time); returns the stop handle
+// Pass the challenge's `verifier` to keep its progress across stops (e.g. while paused)
+export const startChallengeVerification = (challenge, onComplete, {
+  sensitivityMultiplier = 1.0,
+  verifier = createChallengeVerifier(challenge, { sensitivityMultiplier })
+} = {}) => {
+  const { streams, interval } = getChallengeSensorRequirements(challenge);
+  let done = false;
   
-  // Check if we've reached the required count
-  if (challenge.count && stepCount >= challenge.count) {
-    // Calculate performance based on consistency
-    const performance = Math.min(1.0, stepCount / challenge.count);
-    
-    // Reset for next challenge
-    stepCount = 0;
+  const unsubscribe = subscribeToSensorFrame((frame) => {
+    if (done) return;
     
-    return { 
-      completed: true, 
-      performance: performance
-    };
-  }
+    const result = verifier.update(frame);
+    if (result.completed || result.failed) {
+      done = true;
+      unsubscribe();
+      onComplete(result);
+    }
+  }, streams, { interval });
   
-  // Not completed yet
-  return { 
-    completed: false, 
-    performance: challenge.count ? stepCount / challenge.count : 0
+  return () => {
+    done = true;
+    unsubscribe();
   };
 };
 
-// Verify rotation challenges
-const verifyRotateChallenge = (challenge, gyroscope, thresholds) => {
-  // For rotation, primarily use the z-axis of the gyroscope
-  const rotationAxis = challenge.direction === 1 ? gyroscope.z : challenge.direction === -1 ? -gyroscope.z : Math.abs(gyroscope.z);
+// Whether each challenge type can be played: { type, available, locked, missingSensors, lockedSensors }
+// A locked type has its sensors but waits on a permission; missing sensors can't be fixed
+export const getChallengeTypeStatus = () => {
+  const catalogTypes = new Set(challengeCatalog.map((entry) => entry.type));
   
-  // Accumulate rotation (converted to degrees)
-  if (Math.abs(rotationAxis) > thresholds.ROTATION_SPEED) {
-    rotationProgress += Math.abs(rotationAxis) * (180 / Math.PI) / 10; // Divide by 10 to scale appropriately
-  }
-  
-  // Check if we've reached the required rotation
-  if (challenge.degrees && rotationProgress >= challenge.degrees) {
-    // Calculate performance
-    const performance = Math.min(1.0, challenge.degrees / rotationProgress);
-    
-    // Reset for next challenge
-    rotationProgress = 0;
+  return Object.values(CHALLENGE_TYPES).filter((type) => catalogTypes.has(type)).map((type) => {
+    // Every sensor any challenge of the type needs
+    const sensors = [...new Set(challengeCatalog
+      .filter((entry) => entry.type === type)
+      .flatMap((entry) => getChallengeSensorRequirements(entry).sensors))];
+    const missingSensors = sensors.filter((name) => !availableSensors[name]);
+    const lockedSensors = sensors.filter((name) => (
+      availableSensors[name] && getPermissionStatus(name) === PERMISSION_STATUS.DENIED
+    ));
     
-    return { 
-      completed: true, 
-      performance: performance 
+    return {
+      type,
+      available: missingSensors.length === 0 && lockedSensors.length === 0,
+      locked: missingSensors.length === 0 && lockedSensors.length > 0,
+      missingSensors,
+      lockedSensors
     };
-  }
-  
-  // Not completed yet
-  return { 
-    completed: false, 
-    performance: challenge.degrees ? rotationProgress / challenge.degrees : 0
-  };
+  });
 };
 
-// Verify tilt challenges
-const verifyTiltChallenge = (challenge, gyroscope, thresholds) => {
-  let tiltDetected = '';
-  
-  // Detect which direction the device is tilting
-  if (gyroscope.x > thresholds.TILT_ANGLE) {
-    tiltDetected = 'forward';
-  } else if (gyroscope.x < -thresholds.TILT_ANGLE) {
-    tiltDetected = 'backward';
-  } else if (gyroscope.y > thresholds.TILT_ANGLE) {
-    tiltDetected = 'right';
-  } else if (gyroscope.y < -thresholds.TILT_ANGLE) {
-    tiltDetected = 'left';
-  }
-  
-  // If we detected a tilt and it's new
-  if (tiltDetected && (tiltStates.length === 0 || tiltStates[tiltStates.length - 1] !== tiltDetected)) {
-    tiltStates.push(tiltDetected);
-    playSound(SOUND_TYPES.TILT_DETECTED);
-  }
+// Forget the progress verifyChallengeCompletion kept (verifiers made with createChallengeVerifier have their own reset)
+export const resetChallengeTracking = () => {
+  adapterVerifiers = new WeakMap();
+};
+
+// Every challenge that generateChallenge can pick (the fallback included)
+export const getChallengeCatalog = () => challengeCatalog.map((entry) => createChallengeFromEntry(entry));
+
+// Drive the verifier with synthetic motion (no phone needed)
+// Frames come at the rate the challenge's streams run at, and each one is checked, like startChallengeVerification does
+// Without a `motion`, combos play each stage's motion as soon as the previous stage is done,
+// and motions are sized for the sensitivity
+export const runSyntheticChallenge = (challenge, {
+  motion = null,
+  seed = 1,
+  timeLimit = challenge.timeLimit || 15,
+  checkInterval = getChallengeSensorRequirements(challenge).interval,
+  sensitivityMultiplier = 1.0,
+  customThresholds = null,
+  ...generatorOptions
+} = {}) => {
+  const getMotion = (item) => motionForChallenge(item, { sensitivityMultiplier });
+  const staged = !motion && challenge.stages
+    ? createStagedMotion(challenge.stages.map(getMotion))
+    : null;
   
-  // For tilt duration challenges
-  if (challenge.duration && tiltDetected === challenge.directions[0]) {
-    if (lastDirectionMatchTime === 0) {
-      lastDirectionMatchTime = Date.now();
-    } else {
-      directionMatchDuration = (Date.now() - lastDirectionMatchTime) / 1000;
-      
-      if (directionMatchDuration >= challenge.duration) {
-        // Reset variables
-        tiltStates = [];
-        lastDirectionMatchTime = 0;
-        directionMatchDuration = 0;
-        
-        return { completed: true, performance: 1.0 };
-      }
-    }
-  } else {
-    // Reset timer if not tilted correctly
-    lastDirectionMatchTime = 0;
-  }
+  // Start the synthetic clock away from 0 so frame times are never falsy
+  const generator = createSyntheticGenerator(
+    staged ? staged.motion : motion || getMotion(challenge),
+    { seed, startTime: 1000, ...generatorOptions }
+  );
+  const separator = createGravitySeparator();
+  const verifier = createChallengeVerifier(challenge, { sensitivityMultiplier, customThresholds });
+  let result = { completed: false, performance: 0 };
+  let stage = 0;
   
-  // Check if we've done all required tilt directions in order
-  if (challenge.directions) {
-    // Check if all directions have been hit in order
-    let allDirectionsMatched = true;
-    let directionIndex = 0;
+  for (let elapsed = 0; elapsed <= timeLimit * 1000; elapsed += checkInterval) {
+    const frame = generator.frameAt(elapsed);
+    const components = separator.apply(frame.accelerometer);
     
-    for (let i = 0; i < tiltStates.length && directionIndex < challenge.directions.length; i++) {
-      if (tiltStates[i] === challenge.directions[directionIndex]) {
-        directionIndex++;
-      }
-    }
+    result = verifier.update({ ...frame, ...components });
     
-    allDirectionsMatched = directionIndex === challenge.directions.length;
+    if (result.completed || result.failed) {
+      return { ...result, elapsed };
+    }
     
-    if (allDirectionsMatched) {
-      // Reset for next challenge
-      tiltStates = [];
-      
-      return { 
-        completed: true, 
-        performance: 1.0 
-      };
+    if (staged && verifier.getProgress().stage > stage) {
+      stage = verifier.getProgress().stage;
+      staged.advance(elapsed / 1000);
     }
   }
   
-  // Not completed yet - calculate partial progress
-  let progress = 0;
-  if (challenge.directions) {
-    progress = Math.min(tiltStates.length / challenge.directions.length, 1.0);
-  } else if (challenge.duration) {
-    progress = directionMatchDuration / challenge.duration;
-  }
-  
-  return { 
-    completed: false, 
-    performance: progress
-  };
+  return { ...result, elapsed: timeLimit * 1000 };
 };
 
-// Verify direction challenges
-const verifyDirectionChallenge = (challenge, magnetometer, thresholds) => {
-  // Calculate heading
-  const heading = Math.atan2(magnetometer.y, magnetometer.x) * (180 / Math.PI);
-  const normalizedHeading = heading < 0 ? heading + 360 : heading;
-  
-  // Get target heading based on direction
-  const targetHeading = getHeadingFromDirection(challenge.direction);
-  
-  // Calculate difference, accounting for wraparound
-  let diff = Math.abs(normalizedHeading - targetHeading);
-  if (diff > 180) {
-    diff = 360 - diff;
+// Verify if the challenge has been completed
+// Keeps one verifier per challenge object between calls; resetChallengeTracking starts them over
+export const verifyChallengeCompletion = (challenge, sensorData, sensitivityMultiplier = 1.0) => {
+  if (!challenge || !sensorData) {
+    return { completed: false, performance: 0 };
   }
   
-  // Check if we're within tolerance
-  const tolerance = challenge.tolerance || thresholds.DIRECTION_TOLERANCE;
-  const isMatched = diff <= tolerance;
-  
-  // For challenges that require holding a direction
-  if (isMatched) {
-    if (!directionMatched) {
-      // First time matched
-      directionMatched = true;
-      lastDirectionMatchTime = Date.now();
-      playSound(SOUND_TYPES.DIRECTION_MATCHED);
-    } else {
-      // Already matched, check if we've held it long enough
-      const holdTime = (Date.now() - lastDirectionMatchTime) / 1000;
-      if (holdTime >= 2) { // Require holding for 2 seconds
-        // Reset for next challenge
-        directionMatched = false;
-        lastDirectionMatchTime = 0;
-        
-        return { 
-          completed: true, 
-          performance: 1.0 - (diff / tolerance)
-        };
-      }
-    }
-  } else {
-    // Lost the match
-    directionMatched = false;
-    lastDirectionMatchTime = 0;
+  let entry = adapterVerifiers.get(challenge);
+  if (!entry || entry.sensitivityMultiplier !== sensitivityMultiplier) {
+    entry = { sensitivityMultiplier, verifier: createChallengeVerifier(challenge, { sensitivityMultiplier }) };
+    adapterVerifiers.set(challenge, entry);
   }
   
-  // Calculate progress based on how close we are to the target
-  const progress = Math.max(0, 1.0 - (diff / 180));
-  
-  return { 
-    completed: false, 
-    performance: progress
-  };
-};
-
-// Helper function to convert direction names to heading angles
-const getHeadingFromDirection = (direction) => {
-  switch (direction) {
-    case 'N': return 0;
-    case 'NE': return 45;
-    case 'E': return 90;
-    case 'SE': return 135;
-    case 'S': return 180;
-    case 'SW': return 225;
-    case 'W': return 270;
-    case 'NW': return 315;
-    default: return 0;
-  }
+  return entry.verifier.update(sensorData);
 };
 
 // ==================== STORAGE SERVICES ====================
@@ -623,11 +1445,26 @@ const HISTORY_KEY = 'stepmaster_history';
 const SETTINGS_KEY = 'stepmaster_settings';
 const THEME_KEY = 'stepmaster_theme';
 const LANGUAGE_KEY = 'stepmaster_language';
+const TRACE_KEY = 'stepmaster_last_trace';
+const COMPASS_KEY = 'stepmaster_compass';
+const MAG_CALIBRATION_KEY = 'stepmaster_mag_calibration';
+const BIAS_KEY = 'stepmaster_sensor_bias';
+const PERMISSION_DENIALS_KEY = 'stepmaster_permission_denials';
 
 // Default settings
 const DEFAULT_SETTINGS = {
+  difficulty: 'medium',
   sensitivity: 1.0,
-  timeMultiplier: 1.0
+  timeMultiplier: 1.0,
+  customThresholds: null,
+  samplingProfile: SAMPLING_PROFILES.BALANCED,
+  displayRate: 10
+};
+
+// Default compass settings (magnetic north, no declination)
+const DEFAULT_COMPASS_SETTINGS = {
+  declination: 0,
+  useTrueNorth: false
 };
 
 // Save a completed challenge session to history
@@ -675,12 +1512,35 @@ export const clearHistory = async () => {
   }
 };
 
+// Keep the sensor trace of a challenge attempt (only the latest one is kept)
+export const saveSensorTrace = async (trace, challenge = null) => {
+  try {
+    await AsyncStorage.setItem(TRACE_KEY, JSON.stringify({ challenge, trace }));
+    return true;
+  } catch (error) {
+    console.error('Failed to save sensor trace:', error);
+    throw error;
+  }
+};
+
+// Get the last saved sensor trace ({ challenge, trace } or null)
+export const getSavedSensorTrace = async () => {
+  try {
+    const traceJson = await AsyncStorage.getItem(TRACE_KEY);
+    return traceJson ? JSON.parse(traceJson) : null;
+  } catch (error) {
+    console.error('Failed to get sensor trace:', error);
+    return null;
+  }
+};
+
 // Set difficulty settings
 export const setDifficultySettings = async (settings) => {
   try {
-    // Merge with defaults to ensure all properties are set
+    // Merge with the saved settings (and defaults) so other settings are kept
     const mergedSettings = {
       ...DEFAULT_SETTINGS,
+      ...(await getDifficultySettings()),
       ...settings
     };
     
@@ -696,13 +1556,155 @@ export const setDifficultySettings = async (settings) => {
 export const getDifficultySettings = async () => {
   try {
     const settingsJson = await AsyncStorage.getItem(SETTINGS_KEY);
-    return settingsJson ? JSON.parse(settingsJson) : DEFAULT_SETTINGS;
+    return settingsJson ? { ...DEFAULT_SETTINGS, ...JSON.parse(settingsJson) } : DEFAULT_SETTINGS;
   } catch (error) {
     console.error('Failed to get settings:', error);
     return DEFAULT_SETTINGS;
   }
 };
 
+// Save a difficulty profile by name (and a custom profile's thresholds)
+// The profile's sensitivity and time multiplier are saved along, for older readers
+export const setDifficultyProfile = async (difficulty, customThresholds = undefined) => {
+  if (!DIFFICULTY_PROFILES[difficulty]) {
+    console.error('Unknown difficulty profile:', difficulty);
+    throw new Error(`Unknown difficulty profile: ${difficulty}`);
+  }
+  
+  return setDifficultySettings({
+    difficulty,
+    ...DIFFICULTY_PROFILES[difficulty],
+    ...(customThresholds !== undefined ? { customThresholds } : {})
+  });
+};
+
+// Set the sampling profile, apply it to the sensor service and keep it with the other settings
+export const setSamplingProfile = async (profile) => {
+  setSensorSamplingProfile(profile);
+  return setDifficultySettings({ samplingProfile: profile });
+};
+
+// Set the readout display rate, apply it and keep it with the other settings
+export const setDisplayRate = async (rate) => {
+  setSensorDisplayRate(rate);
+  return setDifficultySettings({ displayRate: rate });
+};
+
+// Set compass settings and apply them to the heading service
+export const setCompassSettings = async (settings) => {
+  try {
+    const mergedSettings = {
+      ...DEFAULT_COMPASS_SETTINGS,
+      ...settings
+    };
+    
+    setHeadingDeclination(mergedSettings);
+    await AsyncStorage.setItem(COMPASS_KEY, JSON.stringify(mergedSettings));
+    return true;
+  } catch (error) {
+    console.error('Failed to save compass settings:', error);
+    throw error;
+  }
+};
+
+// Get compass settings
+export const getCompassSettings = async () => {
+  try {
+    const settingsJson = await AsyncStorage.getItem(COMPASS_KEY);
+    return settingsJson ? { ...DEFAULT_COMPASS_SETTINGS, ...JSON.parse(settingsJson) } : DEFAULT_COMPASS_SETTINGS;
+  } catch (error) {
+    console.error('Failed to get compass settings:', error);
+    return DEFAULT_COMPASS_SETTINGS;
+  }
+};
+
+// Save the magnetometer calibration of this device and start using it
+export const saveMagnetometerCalibration = async (calibration) => {
+  try {
+    setMagnetometerCalibration(calibration);
+    await AsyncStorage.setItem(MAG_CALIBRATION_KEY, JSON.stringify(calibration));
+    return true;
+  } catch (error) {
+    console.error('Failed to save magnetometer calibration:', error);
+    throw error;
+  }
+};
+
+// Get the saved magnetometer calibration (or null)
+export const getSavedMagnetometerCalibration = async () => {
+  try {
+    const calibrationJson = await AsyncStorage.getItem(MAG_CALIBRATION_KEY);
+    return calibrationJson ? JSON.parse(calibrationJson) : null;
+  } catch (error) {
+    console.error('Failed to get magnetometer calibration:', error);
+    return null;
+  }
+};
+
+// Forget the magnetometer calibration
+export const clearMagnetometerCalibration = async () => {
+  try {
+    setMagnetometerCalibration(null);
+    await AsyncStorage.removeItem(MAG_CALIBRATION_KEY);
+    return true;
+  } catch (error) {
+    console.error('Failed to clear magnetometer calibration:', error);
+    throw error;
+  }
+};
+
+// Save the gyroscope/accelerometer bias (with the time it was measured) and start using it
+export const saveSensorBias = async (bias) => {
+  try {
+    setSensorBias(bias);
+    await AsyncStorage.setItem(BIAS_KEY, JSON.stringify(bias));
+    return true;
+  } catch (error) {
+    console.error('Failed to save sensor bias:', error);
+    throw error;
+  }
+};
+
+// Get the saved gyroscope/accelerometer bias (or null)
+export const getSavedSensorBias = async () => {
+  try {
+    const biasJson = await AsyncStorage.getItem(BIAS_KEY);
+    if (!biasJson) return null;
+    
+    // Biases saved while the accelerometer was read in g hold the gravity magnitude in g
+    const bias = JSON.parse(biasJson);
+    if (bias.gravityMagnitude && bias.gravityMagnitude < 2) {
+      bias.gravityMagnitude *= STANDARD_GRAVITY;
+    }
+    return bias;
+  } catch (error) {
+    console.error('Failed to get sensor bias:', error);
+    return null;
+  }
+};
+
+// Save the sensors whose permission the user refused
+export const saveSensorPermissionDenials = async (sensors) => {
+  try {
+    await AsyncStorage.setItem(PERMISSION_DENIALS_KEY, JSON.stringify(sensors));
+    return true;
+  } catch (error) {
+    console.error('Failed to save permission denials:', error);
+    throw error;
+  }
+};
+
+// Get the sensors whose permission the user refused
+export const getSensorPermissionDenials = async () => {
+  try {
+    const denialsJson = await AsyncStorage.getItem(PERMISSION_DENIALS_KEY);
+    return denialsJson ? JSON.parse(denialsJson) : [];
+  } catch (error) {
+    console.error('Failed to get permission denials:', error);
+    return [];
+  }
+};
+
 // Set theme
 export const setTheme = async (theme) => {
   try {